@@ -67,6 +67,9 @@ export const CONTENT_DATA = {
     blogs: {
         title: "Technical Insights",
         subtitle: "Thoughts on software development, technology trends, and digital innovation",
+        // Local Markdown posts in src/data/posts/<slug>.md, rendered in-app at #blogs/<slug>
+        posts: ["sumcheck-in-one-page"],
+        // External articles, linked out
         articles: [
             {
                 title: "Veil: Regulatory-compliant stablecoin design",
@@ -93,26 +96,32 @@ export const CONTENT_DATA = {
         subtitle: "I have contributed to a bunch of cutting-edge open-source projects",
         items: [
             {
+                id: "noir-circuits",
                 title: "Noir Circuits",
                 description: "A monorepo of reusable Noir circuits.",
                 technologies: ["Noir"],
+                role: "maintainer",
                 links: {
                     github: "https://github.com/ModoriLabs/noir-web-prover-circuits"
                 }
             },
             {
+                id: "reth",
                 title: "Reth",
                 description: "Modular, contributor-friendly and blazing-fast implementation of the Ethereum protocol, in Rust.",
                 technologies: ["Rust"],
+                role: "contributor",
                 links: {
                     github: "https://github.com/paradigmxyz/reth"
                 }
             },
 
             {
+                id: "noir-symmetric-crypto",
                 title: "Noir Symmetric Crypto",
                 description: "A collection of symmetric cryptographic algorithms implemented in Noir, including AES-128, AES-256, and ChaCha20.",
                 technologies: ["Noir", "Cryptography"],
+                role: "maintainer",
                 links: {
                     github: "https://github.com/ModoriLabs/noir-symmetric-crypto"
                 }
@@ -130,29 +139,60 @@ export const CONTENT_DATA = {
                 title: "zBlock2 fellowship",
                 content: "Presentation on blockchain technology and zero-knowledge proofs focusing on Proof of Solvency applications",
                 date: "2024-06-24",
-                link: "https://www.youtube.com/watch?v=TAVTzLSI-gU&t=4s"
+                tags: ["ZK", "Proof of Solvency"],
+                video: { provider: "youtube", id: "TAVTzLSI-gU", start: 4 }
             },
             {
                 title: "An overview of additive PCS",
                 content: "Technical talk on additive polynomial commitment schemes including Bulletproof, KZG, DARK, DORY, and their applications in zero-knowledge proofs",
                 date: "2024-01-01",
-                link: "https://www.youtube.com/watch?v=H3wWgZ2DNvo&t=186s"
+                tags: ["ZK", "Cryptography", "PCS", "Bulletproofs"],
+                video: { provider: "youtube", id: "H3wWgZ2DNvo", start: 186 }
             }
         ]
     },
     
-    // Navigation structure
+    // Timeline page content: every dated item on the site, newest first
+    timeline: {
+        title: "Timeline",
+        subtitle: "Work, study, hackathons, grants, writing and talks in one chronology"
+    },
+    
+    // Tag index page content
+    tags: {
+        title: "Tags",
+        subtitle: "Everything on this site, grouped by topic"
+    },
+    
+    // Page registry - every routable page is declared once here.
+    // `renderer` names a ContentLoader method, `dataKey` the CONTENT_DATA section it renders,
+    // `routes` adds nested routes (e.g. "blogs/:slug") whose named params are passed to the renderer.
     navigation: [
-        { name: "Home", page: "home", icon: "🏠" },
-        { name: "Blogs", page: "blogs", icon: "📝" },
-        { name: "Projects", page: "projects", icon: "💻" },
-        { name: "Misc", page: "misc", icon: "🔗" }
+        { name: "Home", page: "home", icon: "🏠", title: "Home", renderer: "renderHomeContent", dataKey: "home" },
+        {
+            name: "Blogs", page: "blogs", icon: "📝", title: "Blogs", renderer: "renderBlogsContent", dataKey: "blogs",
+            routes: [{ path: "blogs/:slug", renderer: "renderPostContent" }]
+        },
+        {
+            name: "Projects", page: "projects", icon: "💻", title: "Projects", renderer: "renderProjectsContent", dataKey: "projects",
+            routes: [{ path: "projects/:id", renderer: "renderProjectContent" }]
+        },
+        { name: "Misc", page: "misc", icon: "🔗", title: "Miscellaneous", renderer: "renderMiscContent", dataKey: "misc" },
+        { name: "Timeline", page: "timeline", icon: "🗓️", title: "Timeline", renderer: "renderTimelineContent", dataKey: "timeline" },
+        { name: "Resume", page: "resume", icon: "📄", title: "Resume", renderer: "renderResumeContent", dataKey: "home", showInNav: false },
+        {
+            name: "Tags", page: "tags", icon: "🏷️", title: "Tags", renderer: "renderTagsContent", dataKey: "tags", showInNav: false,
+            routes: [{ path: "tags/:tag", renderer: "renderTagContent" }]
+        }
     ],
     
     // Site metadata
     site: {
         title: "Karl's Digital Space",
         description: "Personal website and portfolio of Karl, software engineer and technology enthusiast",
+        // Public URL of the deployed site, used for absolute links in feeds
+        url: "https://0xkarl98.github.io",
+        language: "en",
         author: "Karl",
         keywords: ["software engineer", "web developer", "programming", "technology"],
         social: {
@@ -192,14 +232,20 @@ export const ContentUtils = {
         return CONTENT_DATA.site;
     },
     
+    /**
+     * Locale dates are formatted in; set from the active locale by i18n.js
+     */
+    locale: 'en-US',
+
     /**
      * Format date to readable format
      * @param {string} dateString - Date string
+     * @param {string} [locale] - Locale to format in (defaults to the active locale)
      * @returns {string} Formatted date
      */
-    formatDate(dateString) {
+    formatDate(dateString, locale = this.locale) {
         const date = new Date(dateString);
-        return date.toLocaleDateString('en-US', {
+        return date.toLocaleDateString(locale, {
             year: 'numeric',
             month: 'long',
             day: 'numeric'
@@ -212,5 +258,29 @@ export const ContentUtils = {
      */
     getCurrentYear() {
         return new Date().getFullYear();
+    },
+    
+    /**
+     * Convert text to a URL and id friendly slug
+     * @param {string} text - Text to slugify
+     * @returns {string} Slug
+     */
+    slugify(text) {
+        return String(text)
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '');
+    },
+    
+    /**
+     * Get the DOM id of a rendered content item, used as a scroll target
+     * @param {string} type - Item type (e.g. 'project', 'talk')
+     * @param {string} title - Item title
+     * @returns {string} Element id
+     */
+    getAnchorId(type, title) {
+        return `${type}-${this.slugify(title)}`;
     }
 };
\ No newline at end of file
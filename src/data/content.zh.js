@@ -0,0 +1,116 @@
+/**
+ * Content Data (中文) - Chinese overrides merged over CONTENT_DATA by i18n.js
+ * Only translated fields are listed: objects merge key by key, and lists are overridden item by
+ * item under the English item's id, slug, page, title or degree (see mergeContent). Anything left
+ * out, such as tags, links and project names, stays as in CONTENT_DATA.
+ */
+
+export const CONTENT_DATA_ZH = {
+    home: {
+        hero: {
+            title: "Karl 的数字空间",
+            subtitle: "软件工程师 & 技术爱好者",
+            description: "探索技术、创造力与人类体验的交汇之处。"
+        },
+
+        experience: {
+            "Smart Contract Engineer": {
+                title: "智能合约工程师",
+                description: "在 Hashcloak 从事智能合约开发。"
+            },
+            "Security Engineer": {
+                title: "安全工程师",
+                description: "在 Silent Protocol 从事安全工程。"
+            }
+        },
+
+        education: {
+            "Bachelor of Computer Science": {
+                degree: "计算机科学学士",
+                institution: "理工大学",
+                description: "专注于软件工程、算法与系统设计。"
+            }
+        },
+
+        hackathons: {
+            "Noir Hackathon": {
+                description: "“Genie” 团队演示：通过币安内部转账实现加密货币入金。"
+            }
+        },
+
+        grants: {
+            "NRG#4 Grant": {
+                title: "NRG#4 资助",
+                description: "获得资助的提案：Noir WebProof SDK。"
+            }
+        }
+    },
+
+    blogs: {
+        title: "技术洞察",
+        subtitle: "关于软件开发、技术趋势与数字创新的思考",
+        articles: {
+            "Veil: Regulatory-compliant stablecoin design": {
+                description: "在 Miden 等注重隐私、由零知识驱动的区块链上设计合规的稳定币"
+            },
+            "How Bulletproofs Leverage the Sum-check Protocol": {
+                description: "关于 Bulletproof 的简短笔记"
+            }
+        }
+    },
+
+    projects: {
+        title: "精选项目",
+        subtitle: "我参与过许多前沿的开源项目",
+        items: {
+            "noir-circuits": {
+                description: "可复用 Noir 电路的单体仓库。"
+            },
+            reth: {
+                description: "以 Rust 编写的以太坊协议实现：模块化、易于贡献且速度极快。"
+            },
+            "noir-symmetric-crypto": {
+                description: "用 Noir 实现的对称密码算法集合，包括 AES-128、AES-256 和 ChaCha20。"
+            }
+        }
+    },
+
+    misc: {
+        title: "杂记",
+        subtitle: "技术演讲、研究心得与专业活动",
+        thoughts: {
+            "zBlock2 fellowship": {
+                content: "关于区块链技术与零知识证明的演讲，重点介绍偿付能力证明（Proof of Solvency）的应用"
+            },
+            "An overview of additive PCS": {
+                content: "关于加法多项式承诺方案的技术演讲，涵盖 Bulletproof、KZG、DARK、DORY 及其在零知识证明中的应用"
+            }
+        }
+    },
+
+    timeline: {
+        title: "时间线",
+        subtitle: "工作、学习、黑客松、资助、写作与演讲，按时间排列"
+    },
+
+    tags: {
+        title: "标签",
+        subtitle: "本站的全部内容，按主题分组"
+    },
+
+    navigation: {
+        home: { name: "首页", title: "首页" },
+        blogs: { name: "博客", title: "博客" },
+        projects: { name: "项目", title: "项目" },
+        misc: { name: "杂记", title: "杂记" },
+        timeline: { name: "时间线", title: "时间线" },
+        resume: { name: "简历", title: "简历" },
+        tags: { name: "标签", title: "标签" }
+    },
+
+    site: {
+        title: "Karl 的数字空间",
+        description: "Karl 的个人网站与作品集：软件工程师、技术爱好者",
+        language: "zh-CN"
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * GitHub repository snapshots keyed by lowercase "owner/repo"
+ * Generated by tools/build-github.mjs from src/data/github; edit the snapshots, not this file
+ */
+
+export const GITHUB_DATA = {
+    "modorilabs/noir-symmetric-crypto": {
+        "fetchedAt": "2026-10-15",
+        "stars": 31,
+        "language": "Noir",
+        "license": "MIT",
+        "lastCommit": "2026-05-12",
+        "contributions": 41
+    },
+    "modorilabs/noir-web-prover-circuits": {
+        "fetchedAt": "2026-10-15",
+        "stars": 18,
+        "language": "Noir",
+        "license": "Apache-2.0",
+        "lastCommit": "2026-08-27",
+        "contributions": 64
+    },
+    "paradigmxyz/reth": {
+        "fetchedAt": "2026-10-15",
+        "stars": 4812,
+        "language": "Rust",
+        "license": "Apache-2.0",
+        "lastCommit": "2026-10-14",
+        "contributions": 9
+    }
+};
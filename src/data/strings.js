@@ -0,0 +1,309 @@
+/**
+ * UI Strings - Interface text for each locale, looked up by key with i18n.t()
+ * Values may contain {name} placeholders; plural values are objects keyed by
+ * Intl.PluralRules category ('one', 'other') and picked by the `count` parameter.
+ * Keys missing from a locale fall back to English.
+ */
+
+export const UI_STRINGS = {
+    en: {
+        // Page chrome
+        'locale.label': 'Language',
+        'a11y.skip': 'Skip to content',
+        'a11y.navigated': 'Navigated to {title}',
+        'loading': 'Loading content...',
+        'meta.notFound': 'Page Not Found',
+        'meta.tagDescription': 'Blogs, projects and talks tagged {tag}',
+
+        // Home and resume
+        'home.resumeLink': 'Printable resume',
+        'resume.experience': 'Experience',
+        'resume.education': 'Education',
+        'resume.hackathons': 'Hackathons',
+        'resume.grants': 'Grants & Awards',
+        'resume.skills': 'Skills',
+        'resume.viewProject': 'View Project',
+        'resume.viewProposal': 'View Proposal',
+        'resume.print': 'Print / Save as PDF',
+        'resume.download': 'Download JSON Resume',
+
+        // Tags and filters
+        'tags.filter': 'Filter by tag',
+        'tags.all': 'All tags',
+        'tags.back': 'All tags',
+        'tags.title': 'Tagged “{tag}”',
+        'tags.count': { one: '{count} item', other: '{count} items' },
+        'tags.group.blog': 'Blogs',
+        'tags.group.project': 'Projects',
+        'tags.group.talk': 'Talks',
+        'filter.results': { one: '{count} result tagged', other: '{count} results tagged' },
+        'filter.and': ' and ',
+        'filter.or': ' or ',
+        'filter.match': 'Match',
+        'filter.any': 'any',
+        'filter.all': 'all',
+        'filter.everything': 'Everything tagged {tag}',
+        'filter.clear': 'Clear filter',
+
+        // Blogs
+        'post.back': 'Back to Blogs',
+        'post.readTime': '{count} min read',
+
+        // Projects
+        'project.back': 'Back to Projects',
+        'project.github': 'GitHub',
+        'project.demo': 'Demo',
+        'project.live': 'Live',
+        'project.role.maintainer': 'Maintainer',
+        'project.role.contributor': 'Contributor',
+        'project.snapshot': 'GitHub snapshot from {date}',
+        'project.stars': { one: ' star', other: ' stars' },
+        'project.lastCommit': 'Last commit',
+        'project.contributions': { one: '{count} contribution', other: '{count} contributions' },
+        'project.sort': 'Sort projects',
+        'project.sortBy': 'Sort by',
+        'project.sort.featured': 'Featured',
+        'project.sort.activity': 'Recently active',
+        'project.sort.stars': 'Most stars',
+
+        // Talks
+        'misc.talks': 'Professional Talks',
+        'talk.slides': 'View Slides',
+        'talk.play': 'Play video',
+        'talk.playLabel': 'Play {title} (loads {provider})',
+        'talk.notice': 'Playing loads the video from {provider}.',
+        'talk.watch': 'Watch on {provider}',
+        'talk.chapters': 'Chapters',
+
+        // Timeline
+        'timeline.filter': 'Filter by type',
+        'timeline.all': 'All',
+        'timeline.empty': 'Nothing on the timeline matches this filter.',
+        'timeline.type.experience': 'Experience',
+        'timeline.type.education': 'Education',
+        'timeline.type.hackathon': 'Hackathons',
+        'timeline.type.grant': 'Grants',
+        'timeline.type.blog': 'Writing',
+        'timeline.type.talk': 'Talks',
+
+        // Search and command palette
+        'search.found': { one: 'Found {count} result', other: 'Found {count} results' },
+        'search.empty': 'No results found for "{query}"',
+        'search.emptyHint': 'Try different keywords or check your spelling',
+        'search.type.page': 'Page',
+        'search.type.section': 'Section',
+        'search.type.experience': 'Experience',
+        'search.type.education': 'Education',
+        'search.type.hackathon': 'Hackathon',
+        'search.type.grant': 'Grant',
+        'search.type.article': 'Article',
+        'search.type.project': 'Project',
+        'search.type.talk': 'Talk',
+        'search.type.tag': 'Tag',
+        'palette.label': 'Command palette',
+        'palette.placeholder': 'Search pages, posts, projects, talks or actions…',
+        'palette.results': 'Results',
+        'palette.navigate': 'to navigate',
+        'palette.open': 'to open',
+        'palette.close': 'to close',
+        'palette.searchAgain': 'Search again',
+        'palette.empty': 'No results for "{query}"',
+        'palette.group.recent': 'Recent Searches',
+        'palette.group.pages': 'Pages',
+        'palette.group.articles': 'Articles',
+        'palette.group.projects': 'Projects',
+        'palette.group.talks': 'Talks',
+        'palette.group.resume': 'Resume',
+        'palette.group.tags': 'Tags',
+        'palette.group.actions': 'Actions',
+        'palette.toggleTheme': 'Toggle theme',
+        'palette.theme': 'Theme: {theme}',
+        'palette.language': 'Language: {language}',
+        'palette.resume': 'Printable resume',
+        'palette.tags': 'Browse tags',
+        'palette.clearCaches': 'Clear caches',
+
+        // Theme picker
+        'theme.choose': 'Choose theme',
+        'theme.menu': 'Theme',
+        'theme.system': 'System',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+        'theme.high-contrast': 'High contrast',
+        'theme.sepia': 'Sepia',
+        'theme.solarized': 'Solarized',
+
+        // Code blocks
+        'code.copy': 'Copy',
+        'code.copyLabel': 'Copy code to clipboard',
+        'code.copied': 'Copied',
+        'code.copyFailed': 'Copy failed',
+
+        // Not found and errors
+        'notFound.title': 'Page Not Found',
+        'notFound.message': 'The page you are looking for doesn\'t exist or has moved.',
+        'notFound.back': 'Back to Home',
+        'error.title': 'Content Not Available',
+        'error.page': 'Sorry, we couldn\'t load the content for "{page}". Please try refreshing the page.',
+        'error.generic': 'Sorry, we couldn\'t load the requested content.',
+        'error.refresh': 'Refresh Page',
+
+        // Notifications
+        'notify.loaded': 'Website loaded successfully',
+        'notify.initFailed': 'Failed to initialize website',
+        'notify.error': 'An error occurred',
+        'notify.errorRefresh': 'An error occurred. Please refresh the page.',
+        'notify.networkError': 'A network error occurred. Please check your connection.',
+        'notify.offline': 'You are offline',
+        'notify.offlineCached': 'You are offline. Pages you have visited are still available',
+        'notify.online': 'You are back online',
+        'notify.cachesCleared': 'All caches cleared',
+        'update.message': 'A new version is available.',
+        'update.reload': 'Reload',
+        'update.dismiss': 'Dismiss'
+    },
+
+    zh: {
+        'locale.label': '语言',
+        'a11y.skip': '跳到主要内容',
+        'a11y.navigated': '已打开 {title}',
+        'loading': '正在加载内容…',
+        'meta.notFound': '页面未找到',
+        'meta.tagDescription': '标记为 {tag} 的博客、项目和演讲',
+
+        'home.resumeLink': '可打印简历',
+        'resume.experience': '工作经历',
+        'resume.education': '教育背景',
+        'resume.hackathons': '黑客松',
+        'resume.grants': '资助与奖项',
+        'resume.skills': '技能',
+        'resume.viewProject': '查看项目',
+        'resume.viewProposal': '查看提案',
+        'resume.print': '打印 / 另存为 PDF',
+        'resume.download': '下载 JSON Resume',
+
+        'tags.filter': '按标签筛选',
+        'tags.all': '全部标签',
+        'tags.back': '全部标签',
+        'tags.title': '标签“{tag}”',
+        'tags.count': { other: '{count} 项' },
+        'tags.group.blog': '博客',
+        'tags.group.project': '项目',
+        'tags.group.talk': '演讲',
+        'filter.results': { other: '{count} 条结果，标签为' },
+        'filter.and': ' 且 ',
+        'filter.or': ' 或 ',
+        'filter.match': '匹配',
+        'filter.any': '任一',
+        'filter.all': '全部',
+        'filter.everything': '所有标记为 {tag} 的内容',
+        'filter.clear': '清除筛选',
+
+        'post.back': '返回博客',
+        'post.readTime': '阅读约 {count} 分钟',
+
+        'project.back': '返回项目',
+        'project.demo': '演示',
+        'project.live': '在线访问',
+        'project.role.maintainer': '维护者',
+        'project.role.contributor': '贡献者',
+        'project.snapshot': 'GitHub 快照，更新于 {date}',
+        'project.stars': { other: ' 颗星' },
+        'project.lastCommit': '最近提交',
+        'project.contributions': { other: '{count} 次贡献' },
+        'project.sort': '项目排序',
+        'project.sortBy': '排序：',
+        'project.sort.featured': '精选',
+        'project.sort.activity': '最近活跃',
+        'project.sort.stars': '星标最多',
+
+        'misc.talks': '技术演讲',
+        'talk.slides': '查看幻灯片',
+        'talk.play': '播放视频',
+        'talk.playLabel': '播放 {title}（从 {provider} 加载）',
+        'talk.notice': '播放时将从 {provider} 加载视频。',
+        'talk.watch': '在 {provider} 上观看',
+        'talk.chapters': '章节',
+
+        'timeline.filter': '按类型筛选',
+        'timeline.all': '全部',
+        'timeline.empty': '时间线上没有符合筛选条件的内容。',
+        'timeline.type.experience': '工作经历',
+        'timeline.type.education': '教育背景',
+        'timeline.type.hackathon': '黑客松',
+        'timeline.type.grant': '资助',
+        'timeline.type.blog': '写作',
+        'timeline.type.talk': '演讲',
+
+        'search.found': { other: '找到 {count} 条结果' },
+        'search.empty': '没有找到与“{query}”相关的结果',
+        'search.emptyHint': '请尝试其他关键词或检查拼写',
+        'search.type.page': '页面',
+        'search.type.section': '栏目',
+        'search.type.experience': '工作经历',
+        'search.type.education': '教育背景',
+        'search.type.hackathon': '黑客松',
+        'search.type.grant': '资助',
+        'search.type.article': '文章',
+        'search.type.project': '项目',
+        'search.type.talk': '演讲',
+        'search.type.tag': '标签',
+        'palette.label': '命令面板',
+        'palette.placeholder': '搜索页面、文章、项目、演讲或操作…',
+        'palette.results': '结果',
+        'palette.navigate': '选择',
+        'palette.open': '打开',
+        'palette.close': '关闭',
+        'palette.searchAgain': '再次搜索',
+        'palette.empty': '没有与“{query}”相关的结果',
+        'palette.group.recent': '最近搜索',
+        'palette.group.pages': '页面',
+        'palette.group.articles': '文章',
+        'palette.group.projects': '项目',
+        'palette.group.talks': '演讲',
+        'palette.group.resume': '简历',
+        'palette.group.tags': '标签',
+        'palette.group.actions': '操作',
+        'palette.toggleTheme': '切换主题',
+        'palette.theme': '主题：{theme}',
+        'palette.language': '语言：{language}',
+        'palette.resume': '可打印简历',
+        'palette.tags': '浏览标签',
+        'palette.clearCaches': '清除缓存',
+
+        'theme.choose': '选择主题',
+        'theme.menu': '主题',
+        'theme.system': '跟随系统',
+        'theme.light': '浅色',
+        'theme.dark': '深色',
+        'theme.high-contrast': '高对比度',
+        'theme.sepia': '复古',
+        'theme.solarized': 'Solarized',
+
+        'code.copy': '复制',
+        'code.copyLabel': '复制代码到剪贴板',
+        'code.copied': '已复制',
+        'code.copyFailed': '复制失败',
+
+        'notFound.title': '页面未找到',
+        'notFound.message': '你要找的页面不存在或已被移动。',
+        'notFound.back': '返回首页',
+        'error.title': '内容不可用',
+        'error.page': '抱歉，无法加载“{page}”的内容。请尝试刷新页面。',
+        'error.generic': '抱歉，无法加载所请求的内容。',
+        'error.refresh': '刷新页面',
+
+        'notify.loaded': '网站加载完成',
+        'notify.initFailed': '网站初始化失败',
+        'notify.error': '发生错误',
+        'notify.errorRefresh': '发生错误，请刷新页面。',
+        'notify.networkError': '网络错误，请检查网络连接。',
+        'notify.offline': '你已离线',
+        'notify.offlineCached': '你已离线，已访问过的页面仍可浏览',
+        'notify.online': '网络已恢复',
+        'notify.cachesCleared': '已清除所有缓存',
+        'update.message': '有新版本可用。',
+        'update.reload': '重新加载',
+        'update.dismiss': '关闭'
+    }
+};
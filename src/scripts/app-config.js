@@ -0,0 +1,113 @@
+/**
+ * App Config - Resolves APP_CONFIG from its defaults and page-level overrides
+ * Overrides come from a <script type="application/json" id="app-config"> block and,
+ * in debug mode only, from URL params such as ?config.features.search=false&config.cache.maxSize=10
+ */
+
+const CONFIG_ELEMENT_ID = 'app-config';
+const URL_PARAM_PREFIX = 'config.';
+
+/**
+ * Check for a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge overrides into a config, keeping only keys the config defines with values of the same type
+ * @param {Object} base - Config to merge into
+ * @param {Object} overrides - Override values
+ * @param {string} [source] - Where the overrides came from, for warnings
+ * @param {string[]} [path] - Path of base within the root config
+ * @returns {Object} Merged copy
+ */
+export function mergeConfig(base, overrides, source = 'overrides', path = []) {
+    const merged = { ...base };
+
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+        const name = [...path, key].join('.');
+
+        if (!(key in base)) {
+            console.warn(`Ignoring unknown config option "${name}" from ${source}`);
+        } else if (isPlainObject(base[key])) {
+            if (isPlainObject(value)) {
+                merged[key] = mergeConfig(base[key], value, source, [...path, key]);
+            } else {
+                console.warn(`Ignoring config option "${name}" from ${source}: expected an object`);
+            }
+        } else if (typeof value !== typeof base[key]) {
+            console.warn(`Ignoring config option "${name}" from ${source}: expected a ${typeof base[key]}`);
+        } else {
+            merged[key] = value;
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Read the inline JSON config block
+ * @param {Document} document - Document
+ * @returns {Object} Overrides (empty if missing or invalid)
+ */
+function readInlineConfig(document) {
+    const element = document.getElementById(CONFIG_ELEMENT_ID);
+    if (!element) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(element.textContent);
+    } catch (error) {
+        console.warn(`Ignoring invalid JSON in #${CONFIG_ELEMENT_ID}:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Read config.* URL params into a nested object
+ * Values are parsed as JSON where possible, so 'false' and '10' become a boolean and a number
+ * @param {Location} location - Location
+ * @returns {Object} Overrides
+ */
+function readUrlConfig(location) {
+    const overrides = {};
+
+    new URLSearchParams(location.search).forEach((value, name) => {
+        if (!name.startsWith(URL_PARAM_PREFIX)) return;
+
+        const keys = name.slice(URL_PARAM_PREFIX.length).split('.');
+        const last = keys.pop();
+        const target = keys.reduce((node, key) => {
+            if (!isPlainObject(node[key])) node[key] = {};
+            return node[key];
+        }, overrides);
+
+        try {
+            target[last] = JSON.parse(value);
+        } catch (error) {
+            target[last] = value;
+        }
+    });
+
+    return overrides;
+}
+
+/**
+ * Resolve the app config: defaults, then the inline block, then URL params when debugging
+ * @param {Object} defaults - Default config
+ * @param {Object} [environment] - Where overrides are read from
+ * @param {Document} [environment.document] - Document holding the inline block
+ * @param {Location} [environment.location] - Location holding the URL params
+ * @returns {Object} Resolved config
+ */
+export function resolveConfig(defaults, { document = window.document, location = window.location } = {}) {
+    const config = mergeConfig(defaults, readInlineConfig(document), `#${CONFIG_ELEMENT_ID}`);
+
+    return config.debug
+        ? mergeConfig(config, readUrlConfig(location), 'URL params')
+        : config;
+}
@@ -3,32 +3,143 @@
  * Central hub for theme, navigation, search, and global functionality
  */
 
-import { ThemeManager } from './theme-manager.js';
+import { ThemeManager, THEMES } from './theme-manager.js';
 import { NavigationManager } from './navigation-manager.js';
 import { SearchManager } from './search-manager.js';
+import { CommandPalette } from './command-palette.js';
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { html } from './html.js';
+import { i18n } from './i18n.js';
+import { LocaleManager } from './locale-manager.js';
+import { pageRegistry } from './page-registry.js';
+import { PluginManager } from './plugin-manager.js';
+import { VideoEmbed } from './video-embed.js';
+
+/**
+ * Features enabled when the config doesn't say otherwise
+ */
+const DEFAULT_FEATURES = {
+    theme: true,
+    navigation: true,
+    search: true,
+    notifications: true
+};
+
+/**
+ * Parse a shortcut such as 'Alt+R' or 'Ctrl+Shift+L' (Ctrl also matches Cmd)
+ * @param {string} keys - Modifiers and key joined by '+'
+ * @returns {{key: string, ctrl: boolean, alt: boolean, shift: boolean}} Parsed shortcut
+ */
+function parseShortcut(keys) {
+    const parts = keys.split('+').map(part => part.trim().toLowerCase());
+    const key = parts.pop();
+    if (!key) {
+        throw new Error(`Invalid shortcut: ${keys}`);
+    }
+
+    return {
+        key,
+        ctrl: parts.includes('ctrl') || parts.includes('cmd'),
+        alt: parts.includes('alt'),
+        shift: parts.includes('shift')
+    };
+}
 
 export class ApplicationManager {
-    constructor() {
+    /**
+     * Managers are created and started by init(), so an instance can be set up before anything
+     * touches the page
+     * @param {Object} [config] - Application config (APP_CONFIG)
+     * @param {Object} [config.features] - Which managers to construct
+     * @param {Object} [config.cache] - Page and content cache limits
+     * @param {Object} [options] - Application options
+     * @param {EventBus} [options.events] - Event bus shared by every manager; extensions subscribe
+     *     through appManager.events (see event-bus.js)
+     * @param {Object} [options.environment] - Window, document, storage and fetch shared by every manager
+     *     instead of the globals (see environment.js)
+     * @param {Array<Object>} [options.plugins] - Plugins installed once the managers exist (see plugin-manager.js)
+     */
+    constructor(config = {}, { events = new EventBus(), environment = {}, plugins = [] } = {}) {
+        this.events = events;
+        this.environment = resolveEnvironment(environment);
+        this.window = this.environment.window;
+        this.document = this.environment.document;
+        this.storage = this.environment.storage;
+        this.config = config;
+        this.features = { ...DEFAULT_FEATURES, ...config.features };
+        this.localeManager = null;
         this.themeManager = null;
         this.navigationManager = null;
         this.searchManager = null;
+        this.commandPalette = null;
+        this.plugins = null;
+        this.shortcuts = [];
         this.initialized = false;
         this.errorHandlers = [];
-        this.init();
+        this.initialPlugins = plugins;
     }
 
     /**
-     * Initialize application manager
+     * Initialize application manager: create and start the enabled managers, then install plugins
+     * @returns {Promise<void>} Resolves once the home page is preloaded
      */
     async init() {
         try {
-            // Initialize managers in order of dependency
-            this.themeManager = new ThemeManager();
-            this.navigationManager = new NavigationManager();
-            this.searchManager = new SearchManager();
+            // Errors reported by managers while they start up are recorded too
+            this.events.on('error', ({ error }) => this.handleError(error));
+
+            // Initialize enabled managers in order of dependency;
+            // the locale comes first since every manager renders in it
+            this.localeManager = new LocaleManager({ registry: pageRegistry, events: this.events, environment: this.environment });
+            this.localeManager.init();
+
+            if (this.features.theme) {
+                this.themeManager = new ThemeManager({ events: this.events, environment: this.environment });
+                this.themeManager.init();
+            }
+
+            if (this.features.navigation) {
+                this.navigationManager = new NavigationManager(pageRegistry, { cache: this.config.cache, events: this.events, environment: this.environment });
+                this.navigationManager.init();
+            }
+
+            // Search results and the command palette open pages through navigation
+            if (this.features.search && this.navigationManager) {
+                this.searchManager = new SearchManager({
+                    contentLoader: this.navigationManager.contentLoader,
+                    navigationManager: this.navigationManager,
+                    events: this.events,
+                    environment: this.environment
+                });
+                this.searchManager.init();
+
+                this.commandPalette = new CommandPalette({
+                    searchManager: this.searchManager,
+                    navigationManager: this.navigationManager,
+                    actions: this.getPaletteActions(),
+                    events: this.events,
+                    environment: this.environment
+                });
+                // Relabel the built-in actions before the palette re-renders in the new locale
+                this.events.on('locale:changed', () => {
+                    this.getPaletteActions().forEach(action => this.commandPalette.registerAction(action));
+                });
+                this.commandPalette.init();
+            } else if (this.features.search) {
+                console.warn('Search requires the navigation feature; search disabled');
+            }
+
+            this.hideDisabledControls();
+
+            this.plugins = new PluginManager({ app: this, events: this.events });
+            this.plugins.init();
+            this.initialPlugins.forEach(plugin => this.use(plugin));
 
             // Wait for navigation manager to initialize pages
-            await this.navigationManager.initializePages();
+            if (this.navigationManager) {
+                await this.navigationManager.initializePages();
+            }
 
             // Set up global error handling
             this.setupErrorHandling();
@@ -45,40 +156,58 @@ export class ApplicationManager {
             console.log('Application Manager initialized successfully');
             
             // Show initialization notification
-            this.showNotification('Website loaded successfully', 'success');
+            this.showNotification(i18n.t('notify.loaded'), 'success');
             
         } catch (error) {
             console.error('Failed to initialize Application Manager:', error);
-            this.showNotification('Failed to initialize website', 'error');
+            this.showNotification(i18n.t('notify.initFailed'), 'error');
             throw error;
         }
     }
 
+    /**
+     * Hide header controls whose manager is not running
+     */
+    hideDisabledControls() {
+        const controls = {
+            '.theme-picker': this.themeManager,
+            '.search-container': this.searchManager
+        };
+
+        Object.entries(controls).forEach(([selector, manager]) => {
+            const element = this.document.querySelector(selector);
+            if (element && !manager) {
+                element.hidden = true;
+            }
+        });
+    }
+
     /**
      * Set up global error handling
      */
     setupErrorHandling() {
         // Handle JavaScript errors
-        window.addEventListener('error', (event) => {
+        this.window.addEventListener('error', (event) => {
             console.error('Global error:', event.error);
-            this.showNotification('An error occurred', 'error');
-            this.handleError(event.error);
+            this.showNotification(i18n.t('notify.error'), 'error');
+            this.events.emit('error', { error: event.error, source: 'window' });
         });
 
         // Handle unhandled promise rejections
-        window.addEventListener('unhandledrejection', (event) => {
+        this.window.addEventListener('unhandledrejection', (event) => {
             console.error('Unhandled promise rejection:', event.reason);
-            this.showNotification('An error occurred', 'error');
-            this.handleError(event.reason);
+            this.showNotification(i18n.t('notify.error'), 'error');
+            this.events.emit('error', { error: event.reason, source: 'window' });
         });
 
         // Handle offline/online events
-        window.addEventListener('offline', () => {
-            this.showNotification('You are offline', 'warning');
+        this.window.addEventListener('offline', () => {
+            const hasOfflineCache = 'serviceWorker' in this.window.navigator && !!this.window.navigator.serviceWorker.controller;
+            this.showNotification(i18n.t(hasOfflineCache ? 'notify.offlineCached' : 'notify.offline'), 'warning');
         });
 
-        window.addEventListener('online', () => {
-            this.showNotification('You are back online', 'success');
+        this.window.addEventListener('online', () => {
+            this.showNotification(i18n.t('notify.online'), 'success');
         });
     }
 
@@ -87,22 +216,46 @@ export class ApplicationManager {
      */
     setupGlobalListeners() {
         // Handle page visibility changes
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
+        this.document.addEventListener('visibilitychange', () => {
+            if (this.document.hidden) {
                 this.handlePageHide();
             } else {
                 this.handlePageShow();
             }
         });
 
+        // Code copy buttons, the resume print button, video placeholders and talk chapters
+        // (content is re-rendered, so delegate from the document)
+        this.document.addEventListener('click', (event) => {
+            const button = event.target.closest('.code-copy');
+            if (button) {
+                this.copyCodeBlock(button);
+            }
+
+            if (event.target.closest('.resume-print')) {
+                this.window.print();
+            }
+
+            const embed = event.target.closest('.video-embed-load')?.closest('.video-embed');
+            if (embed) {
+                VideoEmbed.load(embed);
+            }
+
+            const chapter = event.target.closest('.talk-chapter');
+            const player = chapter?.closest('.thought-item')?.querySelector('.video-embed');
+            if (player) {
+                VideoEmbed.seek(player, Number(chapter.dataset.seek));
+            }
+        });
+
         // Handle before unload
-        window.addEventListener('beforeunload', () => {
+        this.window.addEventListener('beforeunload', () => {
             this.handleBeforeUnload();
         });
 
         // Handle resize for responsive behavior (delay to ensure managers are initialized)
         let resizeTimeout;
-        window.addEventListener('resize', () => {
+        this.window.addEventListener('resize', () => {
             clearTimeout(resizeTimeout);
             resizeTimeout = setTimeout(() => {
                 // Only call handleResize if managers are initialized
@@ -117,31 +270,37 @@ export class ApplicationManager {
      * Set up keyboard shortcuts
      */
     setupKeyboardShortcuts() {
-        document.addEventListener('keydown', (e) => {
-            // Ctrl/Cmd + K for search
-            if ((e.ctrlKey || e.metaKey) && e.key === 'k') {
+        this.document.addEventListener('keydown', (e) => {
+            // Registered shortcuts (plugins); plain keys don't fire while typing
+            const shortcut = this.shortcuts.find(({ key, ctrl, alt, shift }) =>
+                e.key.toLowerCase() === key &&
+                ctrl === (e.ctrlKey || e.metaKey) &&
+                alt === e.altKey &&
+                shift === e.shiftKey);
+            if (shortcut && (shortcut.ctrl || shortcut.alt || !e.target.closest?.('input, textarea, select, [contenteditable]'))) {
                 e.preventDefault();
-                if (this.searchManager) {
-                    this.searchManager.focusSearchInput();
-                }
+                shortcut.run(e);
+                return;
             }
 
-            // Ctrl/Cmd + T for theme toggle
-            if ((e.ctrlKey || e.metaKey) && e.key === 't') {
+            // Ctrl/Cmd + K for the command palette
+            // (disabled features leave the browser's own shortcut alone)
+            if ((e.ctrlKey || e.metaKey) && e.key === 'k' && this.commandPalette) {
                 e.preventDefault();
-                if (this.themeManager) {
-                    this.themeManager.toggleTheme();
-                }
+                this.commandPalette.toggle();
             }
 
-            // Escape to close search
-            if (e.key === 'Escape') {
-                if (this.searchManager) {
-                    this.searchManager.clearSearch();
-                }
+            // Ctrl/Cmd + T for theme toggle
+            if ((e.ctrlKey || e.metaKey) && e.key === 't' && this.themeManager) {
+                e.preventDefault();
+                this.themeManager.toggleTheme();
             }
 
+            // Escape is handled where focus is: the search input clears itself
+            // and the command palette closes itself
+
             // Arrow keys for navigation (when search is not focused)
+            if (this.commandPalette && this.commandPalette.isOpen) return;
             if (this.searchManager && !this.searchManager.isSearchFocused()) {
                 if (e.key === 'ArrowLeft' && e.altKey) {
                     e.preventDefault();
@@ -155,6 +314,116 @@ export class ApplicationManager {
         });
     }
 
+    /**
+     * Register a keyboard shortcut
+     * @param {Object} shortcut - Shortcut definition
+     * @param {string} shortcut.keys - Modifiers and key, e.g. 'Alt+R' (Ctrl also matches Cmd)
+     * @param {string} [shortcut.description] - What the shortcut does
+     * @param {Function} shortcut.run - Called with the keydown event
+     * @returns {Function} Function removing the shortcut
+     */
+    registerShortcut(shortcut) {
+        const registered = { ...shortcut, ...parseShortcut(shortcut.keys) };
+        this.shortcuts.push(registered);
+        return () => {
+            this.shortcuts = this.shortcuts.filter(existing => existing !== registered);
+        };
+    }
+
+    /**
+     * Install a plugin (see plugin-manager.js)
+     * @param {Object} plugin - Plugin
+     * @returns {ApplicationManager} Application manager for chaining
+     */
+    use(plugin) {
+        this.plugins.install(plugin);
+        return this;
+    }
+
+    /**
+     * Get the actions offered in the command palette
+     * @returns {Array<Object>} Palette actions
+     */
+    getPaletteActions() {
+        const themeActions = this.themeManager ? [
+            {
+                id: 'toggle-theme',
+                title: i18n.t('palette.toggleTheme'),
+                icon: '🌓',
+                keywords: ['dark', 'light', 'mode'],
+                shortcut: 'Ctrl+T',
+                run: () => this.themeManager.toggleTheme()
+            },
+            ...THEMES.map(theme => ({
+                id: `theme-${theme.id}`,
+                title: i18n.t('palette.theme', { theme: i18n.t(`theme.${theme.id}`) }),
+                icon: theme.icon,
+                keywords: ['theme', 'appearance', 'color'],
+                run: () => this.themeManager.setTheme(theme.id)
+            }))
+        ] : [];
+
+        const localeActions = i18n.locales.map(locale => ({
+            id: `locale-${locale.id}`,
+            title: i18n.t('palette.language', { language: locale.label }),
+            icon: '🌐',
+            keywords: ['language', 'locale', 'translate', locale.id],
+            run: () => this.localeManager.setLocale(locale.id)
+        }));
+
+        return [
+            ...themeActions,
+            ...localeActions,
+            {
+                id: 'open-resume',
+                title: i18n.t('palette.resume'),
+                icon: '📄',
+                keywords: ['cv', 'print', 'pdf'],
+                run: () => this.navigationManager && this.navigationManager.navigateToPage('resume')
+            },
+            {
+                id: 'browse-tags',
+                title: i18n.t('palette.tags'),
+                icon: '🏷️',
+                keywords: ['topics'],
+                run: () => this.navigationManager && this.navigationManager.navigateToPage('tags')
+            },
+            {
+                id: 'clear-caches',
+                title: i18n.t('palette.clearCaches'),
+                icon: '🧹',
+                keywords: ['reset', 'reload'],
+                run: () => this.clearAllCaches()
+            }
+        ];
+    }
+
+    /**
+     * Copy a code block's source to the clipboard
+     * @param {HTMLElement} button - Copy button inside the code block
+     */
+    async copyCodeBlock(button) {
+        const code = button.closest('.code-block')?.querySelector('code');
+        if (!code) return;
+
+        // Shell prompts are decoration, not part of the command
+        const source = code.cloneNode(true);
+        source.querySelectorAll('.token-prompt').forEach(prompt => prompt.remove());
+
+        try {
+            await this.window.navigator.clipboard.writeText(source.textContent);
+            button.textContent = i18n.t('code.copied');
+        } catch (error) {
+            console.warn('Failed to copy code:', error);
+            button.textContent = i18n.t('code.copyFailed');
+        }
+
+        clearTimeout(button.resetTimer);
+        button.resetTimer = setTimeout(() => {
+            button.textContent = i18n.t('code.copy');
+        }, 2000);
+    }
+
     /**
      * Handle page hide event
      */
@@ -215,7 +484,7 @@ export class ApplicationManager {
         if (this.navigationManager) {
             // This would require implementing a page history stack
             // For now, we'll use browser back
-            window.history.back();
+            this.window.history.back();
         }
     }
 
@@ -226,7 +495,7 @@ export class ApplicationManager {
         if (this.navigationManager) {
             // This would require implementing a page history stack
             // For now, we'll use browser forward
-            window.history.forward();
+            this.window.history.forward();
         }
     }
 
@@ -239,10 +508,10 @@ export class ApplicationManager {
                 timestamp: Date.now(),
                 currentPage: this.navigationManager ? this.navigationManager.getCurrentPage() : 'home',
                 theme: this.themeManager ? this.themeManager.getCurrentTheme() : 'light',
-                scrollPosition: window.pageYOffset
+                scrollPosition: this.window.pageYOffset
             };
 
-            localStorage.setItem('appState', JSON.stringify(state));
+            this.storage.setItem('appState', JSON.stringify(state));
         } catch (error) {
             console.warn('Failed to save application state:', error);
         }
@@ -253,7 +522,7 @@ export class ApplicationManager {
      */
     restoreApplicationState() {
         try {
-            const savedState = localStorage.getItem('appState');
+            const savedState = this.storage.getItem('appState');
             if (!savedState) return;
 
             const state = JSON.parse(savedState);
@@ -261,20 +530,20 @@ export class ApplicationManager {
             // Check if state is recent (within 1 hour)
             const maxAge = 60 * 60 * 1000; // 1 hour
             if (Date.now() - state.timestamp > maxAge) {
-                localStorage.removeItem('appState');
+                this.storage.removeItem('appState');
                 return;
             }
 
             // Restore scroll position
             if (state.scrollPosition) {
                 setTimeout(() => {
-                    window.scrollTo(0, state.scrollPosition);
+                    this.window.scrollTo(0, state.scrollPosition);
                 }, 100);
             }
 
         } catch (error) {
             console.warn('Failed to restore application state:', error);
-            localStorage.removeItem('appState');
+            this.storage.removeItem('appState');
         }
     }
 
@@ -284,13 +553,23 @@ export class ApplicationManager {
      * @param {string} type - Notification type (success, error, warning, info)
      */
     showNotification(message, type = 'info') {
+        if (!this.features.notifications) {
+            return;
+        }
+
         // Create notification element
-        const notification = document.createElement('div');
+        const notification = this.document.createElement('div');
         notification.className = `notification notification-${type}`;
         notification.textContent = message;
 
+        // Errors interrupt screen readers, everything else waits for a pause
+        const isError = type === 'error';
+        notification.setAttribute('role', isError ? 'alert' : 'status');
+        notification.setAttribute('aria-live', isError ? 'assertive' : 'polite');
+        notification.setAttribute('aria-atomic', 'true');
+
         // Add to page
-        document.body.appendChild(notification);
+        this.document.body.appendChild(notification);
 
         // Add show class after a delay for animation
         setTimeout(() => {
@@ -308,6 +587,31 @@ export class ApplicationManager {
         }, 3000);
     }
 
+    /**
+     * Show a persistent prompt to reload into a newly deployed version
+     * @param {Function} onReload - Called when the user accepts the update
+     */
+    showUpdatePrompt(onReload) {
+        if (this.document.querySelector('.update-prompt')) return;
+
+        const prompt = this.document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = html`
+            <span class="update-prompt-message">${i18n.t('update.message')}</span>
+            <button type="button" class="update-prompt-reload">${i18n.t('update.reload')}</button>
+            <button type="button" class="update-prompt-dismiss" aria-label="${i18n.t('update.dismiss')}">×</button>
+        `;
+
+        prompt.querySelector('.update-prompt-reload').addEventListener('click', () => {
+            prompt.querySelector('.update-prompt-reload').disabled = true;
+            onReload();
+        });
+        prompt.querySelector('.update-prompt-dismiss').addEventListener('click', () => prompt.remove());
+
+        this.document.body.appendChild(prompt);
+    }
+
     /**
      * Handle errors
      * @param {Error} error - Error object
@@ -338,7 +642,8 @@ export class ApplicationManager {
             managers: {
                 theme: this.themeManager ? this.themeManager.getStats() : null,
                 navigation: this.navigationManager ? this.navigationManager.getStats() : null,
-                search: this.searchManager ? this.searchManager.getStats() : null
+                search: this.searchManager ? this.searchManager.getStats() : null,
+                commandPalette: this.commandPalette ? this.commandPalette.getStats() : null
             },
             errorCount: this.errorHandlers.length,
             recentErrors: this.errorHandlers.slice(-3)
@@ -355,9 +660,9 @@ export class ApplicationManager {
         if (this.searchManager) {
             this.searchManager.clearCache();
         }
-        localStorage.removeItem('appState');
+        this.storage.removeItem('appState');
         
-        this.showNotification('All caches cleared', 'success');
+        this.showNotification(i18n.t('notify.cachesCleared'), 'success');
     }
 
     /**
@@ -366,9 +671,12 @@ export class ApplicationManager {
      */
     getManagers() {
         return {
+            locale: this.localeManager,
             theme: this.themeManager,
             navigation: this.navigationManager,
-            search: this.searchManager
+            search: this.searchManager,
+            commandPalette: this.commandPalette,
+            plugins: this.plugins
         };
     }
 }
\ No newline at end of file
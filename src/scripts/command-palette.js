@@ -0,0 +1,459 @@
+/**
+ * Command Palette - Keyboard-driven search and actions (Ctrl/Cmd + K)
+ * Implements the ARIA combobox/listbox pattern with grouped results
+ */
+
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { pageRegistry } from './page-registry.js';
+import { html } from './html.js';
+
+const RECENT_QUERIES_KEY = 'recentSearches';
+const MAX_RECENT_QUERIES = 5;
+const MAX_RESULTS_PER_GROUP = 5;
+
+/**
+ * Result groups in display order, keyed by search document type; labels are the palette.group.<id> strings
+ */
+const GROUPS = [
+    { id: 'recent', types: [] },
+    { id: 'pages', types: ['page'] },
+    { id: 'articles', types: ['article'] },
+    { id: 'projects', types: ['project'] },
+    { id: 'talks', types: ['talk'] },
+    { id: 'resume', types: ['section', 'experience', 'education', 'hackathon', 'grant'] },
+    { id: 'tags', types: ['tag'] },
+    { id: 'actions', types: [] }
+];
+
+export class CommandPalette {
+    /**
+     * @param {Object} options - Palette options
+     * @param {SearchManager} options.searchManager - Provides search results and highlighting
+     * @param {NavigationManager} options.navigationManager - Opens results
+     * @param {Array<Object>} [options.actions] - Actions ({ id, title, icon, keywords, run })
+     * @param {EventBus} [options.events] - Application event bus (see event-bus.js)
+     * @param {Object} [options.environment] - Window, document, storage and fetch to use instead of the globals (see environment.js)
+     */
+    constructor({ searchManager, navigationManager, actions = [], events = new EventBus(), environment = {} }) {
+        const env = resolveEnvironment(environment);
+        this.document = env.document;
+        this.storage = env.storage;
+        this.events = events;
+        this.searchManager = searchManager;
+        this.navigationManager = navigationManager;
+        this.actions = [];
+        this.items = [];
+        this.activeIndex = -1;
+        this.isOpen = false;
+        this.previousFocus = null;
+        this.element = null;
+        this.input = null;
+        this.list = null;
+        actions.forEach(action => this.registerAction(action));
+    }
+
+    /**
+     * Initialize command palette
+     */
+    init() {
+        this.createElements();
+        this.setupEventListeners();
+
+        this.events.on('locale:changed', () => {
+            this.localize();
+            if (this.isOpen) {
+                this.update();
+            }
+        });
+    }
+
+    /**
+     * Create the palette dialog
+     */
+    createElements() {
+        this.element = this.document.createElement('div');
+        this.element.className = 'command-palette';
+        this.element.hidden = true;
+        this.element.innerHTML = `
+            <div class="command-palette-backdrop" data-palette-close></div>
+            <div class="command-palette-dialog" role="dialog" aria-modal="true">
+                <input type="text"
+                       class="command-palette-input"
+                       role="combobox"
+                       aria-expanded="true"
+                       aria-controls="command-palette-list"
+                       aria-autocomplete="list"
+                       aria-activedescendant=""
+                       autocomplete="off"
+                       spellcheck="false">
+                <div id="command-palette-list" class="command-palette-list" role="listbox"></div>
+                <div class="command-palette-footer" aria-hidden="true"></div>
+            </div>
+        `;
+
+        this.document.body.appendChild(this.element);
+        this.input = this.element.querySelector('.command-palette-input');
+        this.list = this.element.querySelector('.command-palette-list');
+        this.localize();
+    }
+
+    /**
+     * Label the dialog, input and key hints in the active locale
+     */
+    localize() {
+        this.element.querySelector('.command-palette-dialog').setAttribute('aria-label', i18n.t('palette.label'));
+        this.input.placeholder = i18n.t('palette.placeholder');
+        this.list.setAttribute('aria-label', i18n.t('palette.results'));
+        this.element.querySelector('.command-palette-footer').innerHTML = html`
+            <span><kbd>↑</kbd><kbd>↓</kbd> ${i18n.t('palette.navigate')}</span>
+            <span><kbd>Enter</kbd> ${i18n.t('palette.open')}</span>
+            <span><kbd>Esc</kbd> ${i18n.t('palette.close')}</span>
+        `;
+    }
+
+    /**
+     * Set up palette event listeners
+     */
+    setupEventListeners() {
+        this.input.addEventListener('input', () => {
+            this.update();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            this.handleKeydown(e);
+        });
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target.closest('[data-palette-close]')) {
+                this.close();
+                return;
+            }
+
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                this.runItem(Number(option.dataset.index));
+            }
+        });
+
+        this.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index), false);
+            }
+        });
+    }
+
+    /**
+     * Handle keyboard interaction inside the palette
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                this.moveActive(1);
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.moveActive(-1);
+                break;
+            case 'Home':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.setActive(0);
+                }
+                break;
+            case 'End':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    this.setActive(this.items.length - 1);
+                }
+                break;
+            case 'Enter':
+                e.preventDefault();
+                this.runItem(this.activeIndex);
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+                break;
+            case 'Tab':
+                // Keep focus inside the dialog
+                e.preventDefault();
+                break;
+        }
+    }
+
+    /**
+     * Register an action shown in the Actions group
+     * @param {Object} action - Action definition
+     * @param {string} action.id - Unique id
+     * @param {string} action.title - Label
+     * @param {string} [action.icon] - Icon
+     * @param {string[]} [action.keywords] - Extra words the action matches
+     * @param {Function} action.run - Callback
+     */
+    registerAction(action) {
+        const entry = { icon: '⚡', keywords: [], ...action };
+        const index = this.actions.findIndex(existing => existing.id === action.id);
+
+        // Re-registering an action (e.g. relabelled for a new locale) keeps its place
+        if (index === -1) {
+            this.actions.push(entry);
+        } else {
+            this.actions[index] = entry;
+        }
+    }
+
+    /**
+     * Open the palette
+     * @param {string} [query] - Initial query
+     */
+    open(query = '') {
+        if (this.isOpen) {
+            this.input.select();
+            return;
+        }
+
+        this.previousFocus = this.document.activeElement;
+        this.isOpen = true;
+        this.element.hidden = false;
+        this.document.body.classList.add('command-palette-open');
+        this.input.value = query;
+        this.update();
+        this.input.focus();
+    }
+
+    /**
+     * Close the palette and restore focus
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.hidden = true;
+        this.document.body.classList.remove('command-palette-open');
+
+        if (this.previousFocus && typeof this.previousFocus.focus === 'function') {
+            this.previousFocus.focus();
+        }
+        this.previousFocus = null;
+    }
+
+    /**
+     * Toggle the palette
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Rebuild items for the current query and render them
+     */
+    update() {
+        this.items = this.getItems(this.input.value.trim());
+        this.render();
+        this.setActive(this.items.length > 0 ? 0 : -1);
+    }
+
+    /**
+     * Collect palette items for a query
+     * @param {string} query - Current query
+     * @returns {Array<Object>} Items with group, icon, title, subtitle and run
+     */
+    getItems(query) {
+        const items = [];
+
+        if (!query) {
+            this.getRecentQueries().forEach(recent => items.push({
+                group: 'recent',
+                icon: '🕘',
+                title: recent,
+                subtitle: i18n.t('palette.searchAgain'),
+                run: () => {
+                    this.input.value = recent;
+                    this.update();
+                    return false;
+                }
+            }));
+
+            pageRegistry.getNavigationItems().forEach(page => items.push({
+                group: 'pages',
+                icon: page.icon,
+                title: page.navLabel,
+                subtitle: page.title,
+                run: () => this.navigationManager?.navigateToPage(page.id)
+            }));
+        } else if (this.searchManager) {
+            this.searchManager.searchContent(query).forEach(result => {
+                const group = GROUPS.find(candidate => candidate.types.includes(result.type));
+                const page = pageRegistry.get(result.page);
+                items.push({
+                    group: group ? group.id : 'pages',
+                    icon: this.searchManager.getResultIcon(result),
+                    title: result.title,
+                    subtitle: page ? page.navLabel : '',
+                    highlight: true,
+                    run: () => this.navigationManager?.navigateToPage(result.route, {}, { anchor: result.anchor })
+                });
+            });
+        }
+
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        this.actions
+            .filter(action => {
+                const haystack = [action.title, ...action.keywords].join(' ').toLowerCase();
+                return words.every(word => haystack.includes(word));
+            })
+            .forEach(action => items.push({
+                group: 'actions',
+                icon: action.icon,
+                title: action.title,
+                subtitle: action.shortcut || '',
+                run: action.run
+            }));
+
+        // Order by group and cap each group
+        return GROUPS.flatMap(group => items
+            .filter(item => item.group === group.id)
+            .slice(0, group.id === 'actions' ? undefined : MAX_RESULTS_PER_GROUP));
+    }
+
+    /**
+     * Render grouped items into the listbox
+     */
+    render() {
+        const query = this.input.value.trim();
+
+        if (this.items.length === 0) {
+            this.list.innerHTML = html`
+                <div class="command-palette-empty" role="presentation">${i18n.t('palette.empty', { query })}</div>
+            `;
+            return;
+        }
+
+        this.list.innerHTML = html`${GROUPS.map(group => {
+            const groupItems = this.items
+                .map((item, index) => ({ item, index }))
+                .filter(({ item }) => item.group === group.id);
+            if (groupItems.length === 0) return '';
+
+            return html`
+                <div class="command-palette-group" role="group" aria-labelledby="command-palette-group-${group.id}">
+                    <div class="command-palette-group-label" id="command-palette-group-${group.id}" role="presentation">${i18n.t(`palette.group.${group.id}`)}</div>
+                    ${groupItems.map(({ item, index }) => html`
+                        <div class="command-palette-option" role="option" id="command-palette-option-${index}" data-index="${index}" aria-selected="false">
+                            <span class="command-palette-icon" aria-hidden="true">${item.icon}</span>
+                            <span class="command-palette-title">${item.highlight ? this.searchManager.highlightText(item.title, query) : item.title}</span>
+                            ${item.subtitle ? html`<span class="command-palette-subtitle">${item.subtitle}</span>` : ''}
+                        </div>
+                    `)}
+                </div>
+            `;
+        })}`;
+    }
+
+    /**
+     * Move the active option by an offset, wrapping around
+     * @param {number} offset - +1 or -1
+     */
+    moveActive(offset) {
+        if (this.items.length === 0) return;
+        const next = (this.activeIndex + offset + this.items.length) % this.items.length;
+        this.setActive(next);
+    }
+
+    /**
+     * Mark an option active
+     * @param {number} index - Item index, or -1 for none
+     * @param {boolean} scroll - Whether to scroll the option into view
+     */
+    setActive(index, scroll = true) {
+        this.activeIndex = index;
+
+        this.list.querySelectorAll('[role="option"]').forEach(option => {
+            const isActive = Number(option.dataset.index) === index;
+            option.setAttribute('aria-selected', String(isActive));
+            option.classList.toggle('active', isActive);
+            if (isActive && scroll) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        this.input.setAttribute('aria-activedescendant', index >= 0 ? `command-palette-option-${index}` : '');
+    }
+
+    /**
+     * Run an item and close the palette
+     * @param {number} index - Item index
+     */
+    runItem(index) {
+        const item = this.items[index];
+        if (!item) return;
+
+        const query = this.input.value.trim();
+        if (query && item.group !== 'recent') {
+            this.saveRecentQuery(query);
+        }
+
+        // Items return false to keep the palette open
+        if (item.run() !== false) {
+            this.close();
+        }
+    }
+
+    /**
+     * Get recent queries, newest first
+     * @returns {string[]} Recent queries
+     */
+    getRecentQueries() {
+        try {
+            const recent = JSON.parse(this.storage.getItem(RECENT_QUERIES_KEY));
+            // Storage is shared with other scripts; ignore anything that isn't a list of queries
+            return Array.isArray(recent) ? recent.filter(query => typeof query === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Remember a query
+     * @param {string} query - Query to save
+     */
+    saveRecentQuery(query) {
+        const recent = [query, ...this.getRecentQueries().filter(item => item !== query)]
+            .slice(0, MAX_RECENT_QUERIES);
+
+        try {
+            this.storage.setItem(RECENT_QUERIES_KEY, JSON.stringify(recent));
+        } catch (error) {
+            console.warn('Failed to save recent search:', error);
+        }
+    }
+
+    /**
+     * Clear recent queries
+     */
+    clearRecentQueries() {
+        this.storage.removeItem(RECENT_QUERIES_KEY);
+    }
+
+    /**
+     * Get command palette statistics
+     * @returns {Object} Palette statistics
+     */
+    getStats() {
+        return {
+            isOpen: this.isOpen,
+            actionCount: this.actions.length,
+            recentQueries: this.getRecentQueries().length
+        };
+    }
+}
@@ -3,13 +3,52 @@
  * Handles loading and rendering of page content components
  */
 
-import { CONTENT_DATA, ContentUtils } from '../data/content.js';
+import { ContentUtils } from '../data/content.js';
+import { GITHUB_DATA } from '../data/github.js';
+import { pageRegistry } from './page-registry.js';
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { GitHubUtils, PROJECT_SORTS } from './github.js';
+import { i18n } from './i18n.js';
+import { MarkdownUtils } from './markdown.js';
+import { TagUtils } from './tag-utils.js';
+import { html, raw } from './html.js';
+import { LRUCache } from './lru-cache.js';
+import { PeriodUtils } from './period.js';
+import { ResumeUtils } from './resume.js';
+import { Router } from './router.js';
+import { VideoEmbed } from './video-embed.js';
+
+/**
+ * Timeline entry types in filter order (labels are the timeline.type.<id> UI strings)
+ */
+const TIMELINE_TYPES = [
+    { id: 'experience', icon: '💼' },
+    { id: 'education', icon: '🎓' },
+    { id: 'hackathon', icon: '🏆' },
+    { id: 'grant', icon: '💰' },
+    { id: 'blog', icon: '📝' },
+    { id: 'talk', icon: '🎤' }
+];
 
 export class ContentLoader {
-    constructor() {
-        this.contentCache = new Map();
-        this.loadingPromises = new Map();
-        this.init();
+    /**
+     * @param {PageRegistry} registry - Page registry describing renderable pages
+     * @param {Object} [options] - Loader options
+     * @param {Function} [options.loadPostSource] - Returns a post's Markdown source for a slug
+     *     (defaults to fetching src/data/posts/<slug>.md; the prerender build reads from disk)
+     * @param {Object} [options.cache] - Rendered content cache limits (APP_CONFIG.cache)
+     * @param {EventBus} [options.events] - Application event bus; content:loaded fires once posts load
+     * @param {Object} [options.environment] - Provides the fetch used for posts instead of the global (see environment.js)
+     */
+    constructor(registry = pageRegistry, { loadPostSource = null, cache = {}, events = new EventBus(), environment = {} } = {}) {
+        this.fetch = resolveEnvironment(environment).fetch;
+        this.events = events;
+        this.registry = registry;
+        this.loadPostSource = loadPostSource || (slug => this.fetchPostSource(slug));
+        this.contentCache = new LRUCache(cache);
+        this.posts = new Map();
+        this.postsReady = null;
     }
 
     /**
@@ -17,20 +56,97 @@ export class ContentLoader {
      */
     init() {
         this.setupContentCache();
+        this.postsReady = this.loadPosts();
         this.preloadCriticalContent();
+
+        // Cached pages and post read times were rendered in the previous locale
+        this.events.on('locale:changed', () => {
+            this.posts.forEach(post => {
+                post.readTime = MarkdownUtils.estimateReadTime(post.body);
+            });
+            this.clearCache();
+            this.setupContentCache();
+        });
     }
 
     /**
      * Set up content cache with pre-rendered content
      */
     setupContentCache() {
-        // Pre-render home content
-        this.contentCache.set('home', this.renderHomeContent());
-        
-        // Pre-render other content
-        this.contentCache.set('blogs', this.renderBlogsContent());
-        this.contentCache.set('projects', this.renderProjectsContent());
-        this.contentCache.set('misc', this.renderMiscContent());
+        if (!this.contentCache.enabled) {
+            return;
+        }
+
+        // Pre-render every registered page that has a renderer
+        this.registry.getAll().forEach(page => {
+            if (page.renderer) {
+                this.contentCache.set(page.id, this.renderPage(page.id));
+            }
+        });
+    }
+
+    /**
+     * Load local Markdown posts listed in CONTENT_DATA.blogs.posts
+     * @returns {Promise<void>}
+     */
+    async loadPosts() {
+        const slugs = i18n.content.blogs.posts || [];
+
+        await Promise.all(slugs.map(async slug => {
+            try {
+                const source = await this.loadPostSource(slug);
+                const { attributes, body } = MarkdownUtils.parseFrontMatter(source);
+
+                this.posts.set(slug, {
+                    slug,
+                    title: attributes.title || slug,
+                    date: attributes.date,
+                    description: attributes.description || '',
+                    tags: attributes.tags || [],
+                    readTime: MarkdownUtils.estimateReadTime(body),
+                    body
+                });
+            } catch (error) {
+                console.warn(`Failed to load post: ${slug}`, error);
+            }
+        }));
+
+        // Re-render pages so the blog listing includes the loaded posts
+        this.setupContentCache();
+        this.events.emit('content:loaded', { posts: [...this.posts.keys()] });
+    }
+
+    /**
+     * Fetch a post's Markdown source
+     * Resolved against this module so prerendered pages in subdirectories load the same file
+     * @param {string} slug - Post slug
+     * @returns {Promise<string>} Markdown source
+     */
+    async fetchPostSource(slug) {
+        const response = await this.fetch(new URL(`../data/posts/${slug}.md`, import.meta.url));
+        if (!response.ok) {
+            throw new Error(`Post not found: ${slug}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Get a loaded local post
+     * @param {string} slug - Post slug
+     * @returns {Object|null} Post with front-matter fields and Markdown body
+     */
+    getPost(slug) {
+        return this.posts.get(slug) || null;
+    }
+
+    /**
+     * Get local posts and external articles, newest first
+     * @param {Object} data - Blogs content section
+     * @returns {Array} Article entries
+     */
+    getArticles(data = i18n.content.blogs) {
+        return [...this.posts.values(), ...data.articles]
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
     }
 
     /**
@@ -46,89 +162,152 @@ export class ContentLoader {
     /**
      * Load content component
      * @param {string} page - Page name
-     * @returns {Promise<string>} HTML content
+     * @param {Object} [route] - Router match with renderer, params and query
+     * @returns {Promise<SafeHtml>} HTML content
      */
-    async loadContentComponent(page) {
-        // Return cached content if available
-        if (this.contentCache.has(page)) {
-            return this.contentCache.get(page);
-        }
+    async loadContentComponent(page, route = null) {
+        // Local posts must be loaded before blog content is served
+        await this.postsReady;
 
-        // Return existing promise if already loading
-        if (this.loadingPromises.has(page)) {
-            return this.loadingPromises.get(page);
+        // Nested or parameterized routes are rendered on demand
+        if (route && !this.isPlainRoute(page, route)) {
+            return this.renderPage(page, route);
         }
 
-        // Create loading promise
-        const loadingPromise = this.fetchContentComponent(page);
-        this.loadingPromises.set(page, loadingPromise);
-
-        try {
-            const content = await loadingPromise;
-            this.contentCache.set(page, content);
-            this.loadingPromises.delete(page);
-            return content;
-        } catch (error) {
-            this.loadingPromises.delete(page);
-            throw error;
+        // Return cached content if available
+        const cached = this.contentCache.get(page);
+        if (cached !== undefined) {
+            return cached;
         }
+
+        const content = this.renderPage(page);
+        this.contentCache.set(page, content);
+        return content;
     }
 
     /**
-     * Fetch content component from server
+     * Check whether a route renders the page's default, cacheable content
      * @param {string} page - Page name
-     * @returns {Promise<string>} HTML content
-     */
-    async fetchContentComponent(page) {
-        try {
-            const response = await fetch(`./src/components/content-${page}.html`);
-            
-            if (!response.ok) {
-                throw new Error(`Content not found: ${page}`);
-            }
-            
-            return await response.text();
-        } catch (error) {
-            console.error(`Failed to load content for page: ${page}`, error);
-            
-            // Fallback to generated content
-            return this.generateFallbackContent(page);
-        }
+     * @param {Object} route - Router match
+     * @returns {boolean} True if the route has no params, query or custom renderer
+     */
+    isPlainRoute(page, route) {
+        const definition = this.registry.get(page);
+        return (!route.renderer || route.renderer === definition?.renderer)
+            && Object.keys(route.params || {}).length === 0
+            && Object.keys(route.query || {}).length === 0;
     }
 
     /**
-     * Generate fallback content if component loading fails
+     * Render a registered page with its renderer and data section
+     * Renderers are called as renderer(data, params, query)
      * @param {string} page - Page name
-     * @returns {string} Generated HTML content
+     * @param {Object} [route] - Router match with renderer, params and query
+     * @returns {SafeHtml} Generated HTML content
      */
-    generateFallbackContent(page) {
-        const content = CONTENT_DATA[page];
-        if (!content) {
+    renderPage(page, route = {}) {
+        const definition = this.registry.get(page);
+        const rendererRef = route.renderer || definition?.renderer;
+        if (!definition || !rendererRef) {
+            return this.generateErrorContent(page);
+        }
+
+        const data = definition.data || i18n.content[definition.dataKey];
+        if (!data) {
+            return this.generateErrorContent(page);
+        }
+
+        const renderer = typeof rendererRef === 'function' ? rendererRef : this[rendererRef];
+
+        if (typeof renderer !== 'function') {
+            console.warn(`Unknown renderer for page: ${page}`);
             return this.generateErrorContent(page);
         }
 
-        switch (page) {
-            case 'home':
-                return this.renderHomeContent();
-            case 'blogs':
-                return this.renderBlogsContent();
-            case 'projects':
-                return this.renderProjectsContent();
-            case 'misc':
-                return this.renderMiscContent();
-            default:
-                return this.generateErrorContent(page);
+        return renderer.call(this, data, route.params || {}, route.query || {});
+    }
+
+    /**
+     * Get the title of the item a nested route points at
+     * @param {Object} route - Router match
+     * @returns {string|null} Item title (post or project), if any
+     */
+    getRouteTitle(route) {
+        const { slug, id, tag } = route.params || {};
+        if (route.page === 'blogs' && slug) {
+            return this.getPost(slug)?.title || null;
+        }
+        if (route.page === 'projects' && id) {
+            return this.getProject(id)?.title || null;
+        }
+        if (route.page === 'tags' && tag) {
+            return this.resolveTag(tag);
+        }
+        return null;
+    }
+
+    /**
+     * Get the meta description for a route
+     * @param {Object} route - Router match
+     * @returns {string|null} Description of the post, project, tag or page, if any
+     */
+    getRouteDescription(route) {
+        const { slug, id, tag } = route.params || {};
+        if (route.page === 'blogs' && slug) {
+            return this.getPost(slug)?.description || null;
+        }
+        if (route.page === 'projects' && id) {
+            return this.getProject(id)?.description || null;
+        }
+        if (route.page === 'tags' && tag) {
+            const resolved = this.resolveTag(tag);
+            return resolved ? i18n.t('meta.tagDescription', { tag: resolved }) : null;
+        }
+
+        const definition = this.registry.get(route.page);
+        const data = definition?.data || i18n.content[definition?.dataKey];
+        return data?.subtitle || data?.hero?.description || null;
+    }
+
+    /**
+     * Get the document title and meta description for a route
+     * @param {Object|null} route - Router match, or null for an unknown route
+     * @returns {{title: string, description: string}} Route metadata
+     */
+    getRouteMeta(route) {
+        const { title: siteTitle, description: siteDescription } = i18n.content.site;
+        if (!route) {
+            return {
+                title: `${this.registry.getDocumentTitle(null, siteTitle)} - ${i18n.t('meta.notFound')}`,
+                description: siteDescription
+            };
         }
+
+        const title = this.registry.getDocumentTitle(route.page, siteTitle);
+        const itemTitle = this.getRouteTitle(route);
+
+        return {
+            title: itemTitle ? `${title} - ${itemTitle}` : title,
+            description: this.getRouteDescription(route) || siteDescription
+        };
+    }
+
+    /**
+     * Render an empty named slot that plugins fill with their sections (see plugin-manager.js)
+     * @param {string} name - Slot name, e.g. 'home:bottom'
+     * @returns {SafeHtml} HTML content
+     */
+    renderSlot(name) {
+        return html`<div class="plugin-slot" data-slot="${name}" hidden></div>`;
     }
 
     /**
      * Render home page content
-     * @returns {string} HTML content
+     * @param {Object} data - Home content section
+     * @returns {SafeHtml} HTML content
      */
-    renderHomeContent() {
-        const data = CONTENT_DATA.home;
-        
-        return `
+    renderHomeContent(data = i18n.content.home) {
+        return html`
             <div class="page-content">
                 <!-- Hero Section -->
                 <section class="hero-section">
@@ -136,115 +315,174 @@ export class ContentLoader {
                         <h1 class="hero-title">${data.hero.title}</h1>
                         <p class="hero-subtitle">${data.hero.subtitle}</p>
                         <p class="hero-description">${data.hero.description}</p>
+                        <a href="#resume" class="hero-resume-link">📄 ${i18n.t('home.resumeLink')} →</a>
                     </div>
                 </section>
 
-                <!-- Resume Section -->
-                <section class="resume-section">
-                    <!-- Experience -->
-                    <div class="resume-block">
-                        <h2 class="resume-title">Experience</h2>
-                        <div class="experience-list">
-                            ${data.experience.map(job => `
-                                <div class="experience-item">
-                                    <div class="experience-header">
-                                        <h3 class="experience-title">${job.title}</h3>
-                                        <span class="experience-period">${job.period}</span>
-                                    </div>
-                                    <div class="experience-company">${job.company}</div>
-                                    <p class="experience-description">${job.description}</p>
+                ${this.renderSlot('home:top')}
+                ${this.renderResumeSections(data)}
+                ${this.renderSlot('home:bottom')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render the resume sections shared by the home and resume pages
+     * @param {Object} data - Home content section
+     * @returns {SafeHtml} HTML content
+     */
+    renderResumeSections(data = i18n.content.home) {
+        return html`
+            <section class="resume-section">
+                <!-- Experience -->
+                <div class="resume-block">
+                    <h2 class="resume-title">${i18n.t('resume.experience')}</h2>
+                    <div class="experience-list">
+                        ${data.experience.map(job => html`
+                            <div class="experience-item" id="${ContentUtils.getAnchorId('experience', job.title)}">
+                                <div class="experience-header">
+                                    <h3 class="experience-title">${job.title}</h3>
+                                    <span class="experience-period">${job.period}</span>
                                 </div>
-                            `).join('')}
-                        </div>
+                                <div class="experience-company">${job.company}</div>
+                                <p class="experience-description">${job.description}</p>
+                            </div>
+                        `)}
                     </div>
+                </div>
 
-                    <!-- Education -->
-                    <div class="resume-block">
-                        <h2 class="resume-title">Education</h2>
-                        <div class="education-list">
-                            ${data.education.map(edu => `
-                                <div class="education-item">
-                                    <div class="education-header">
-                                        <h3 class="education-degree">${edu.degree}</h3>
-                                        <span class="education-period">${edu.period}</span>
-                                    </div>
-                                    <div class="education-institution">${edu.institution}</div>
-                                    <p class="education-description">${edu.description}</p>
+                <!-- Education -->
+                <div class="resume-block">
+                    <h2 class="resume-title">${i18n.t('resume.education')}</h2>
+                    <div class="education-list">
+                        ${data.education.map(edu => html`
+                            <div class="education-item" id="${ContentUtils.getAnchorId('education', edu.degree)}">
+                                <div class="education-header">
+                                    <h3 class="education-degree">${edu.degree}</h3>
+                                    <span class="education-period">${edu.period}</span>
                                 </div>
-                            `).join('')}
-                        </div>
+                                <div class="education-institution">${edu.institution}</div>
+                                <p class="education-description">${edu.description}</p>
+                            </div>
+                        `)}
                     </div>
+                </div>
 
-                    <!-- Hackathons -->
-                    <div class="resume-block">
-                        <h2 class="resume-title">Hackathons</h2>
-                        <div class="hackathon-list">
-                            ${data.hackathons.map(hackathon => `
-                                <div class="hackathon-item">
-                                    <div class="hackathon-header">
-                                        <h3 class="hackathon-title">${hackathon.title}</h3>
-                                        <span class="hackathon-period">${hackathon.period}</span>
-                                    </div>
-                                    <div class="hackathon-event">${hackathon.event}</div>
-                                    <p class="hackathon-description">${hackathon.description}</p>
-                                    ${hackathon.link ? `<a href="${hackathon.link}" target="_blank" class="hackathon-link">View Project →</a>` : ''}
+                <!-- Hackathons -->
+                <div class="resume-block">
+                    <h2 class="resume-title">${i18n.t('resume.hackathons')}</h2>
+                    <div class="hackathon-list">
+                        ${data.hackathons.map(hackathon => html`
+                            <div class="hackathon-item" id="${ContentUtils.getAnchorId('hackathon', hackathon.title)}">
+                                <div class="hackathon-header">
+                                    <h3 class="hackathon-title">${hackathon.title}</h3>
+                                    <span class="hackathon-period">${hackathon.period}</span>
                                 </div>
-                            `).join('')}
-                        </div>
+                                <div class="hackathon-event">${hackathon.event}</div>
+                                <p class="hackathon-description">${hackathon.description}</p>
+                                ${hackathon.link ? html`<a href="${hackathon.link}" target="_blank" class="hackathon-link">${i18n.t('resume.viewProject')} →</a>` : ''}
+                            </div>
+                        `)}
                     </div>
+                </div>
 
-                    <!-- Grants -->
-                    <div class="resume-block">
-                        <h2 class="resume-title">Grants & Awards</h2>
-                        <div class="grants-list">
-                            ${data.grants.map(grant => `
-                                <div class="grant-item">
-                                    <div class="grant-header">
-                                        <h3 class="grant-title">${grant.title}</h3>
-                                        <span class="grant-period">${grant.period}</span>
-                                    </div>
-                                    <div class="grant-organization">${grant.organization}</div>
-                                    <p class="grant-description">${grant.description}</p>
-                                    ${grant.link ? `<a href="${grant.link}" target="_blank" class="grant-link">View Proposal →</a>` : ''}
+                <!-- Grants -->
+                <div class="resume-block">
+                    <h2 class="resume-title">${i18n.t('resume.grants')}</h2>
+                    <div class="grants-list">
+                        ${data.grants.map(grant => html`
+                            <div class="grant-item" id="${ContentUtils.getAnchorId('grant', grant.title)}">
+                                <div class="grant-header">
+                                    <h3 class="grant-title">${grant.title}</h3>
+                                    <span class="grant-period">${grant.period}</span>
                                 </div>
-                            `).join('')}
-                        </div>
+                                <div class="grant-organization">${grant.organization}</div>
+                                <p class="grant-description">${grant.description}</p>
+                                ${grant.link ? html`<a href="${grant.link}" target="_blank" class="grant-link">${i18n.t('resume.viewProposal')} →</a>` : ''}
+                            </div>
+                        `)}
                     </div>
+                </div>
 
-                    <!-- Skills -->
-                    <div class="resume-block">
-                        <h2 class="resume-title">Skills</h2>
-                        <div class="skills-grid">
-                            ${data.skills.map(skill => `
-                                <span class="skill-tag">${skill}</span>
-                            `).join('')}
-                        </div>
+                <!-- Skills -->
+                <div class="resume-block" id="skills">
+                    <h2 class="resume-title">${i18n.t('resume.skills')}</h2>
+                    <div class="skills-grid">
+                        ${data.skills.map(skill => html`
+                            <span class="skill-tag">${skill}</span>
+                        `)}
                     </div>
-                </section>
+                </div>
+            </section>
+        `;
+    }
+
+    /**
+     * Render the printable resume: contact header, summary and resume sections
+     * @param {Object} data - Home content section
+     * @returns {SafeHtml} HTML content
+     */
+    renderResumeContent(data = i18n.content.home) {
+        const basics = ResumeUtils.getBasics(data, i18n.content.site);
+
+        return html`
+            <div class="page-content resume-page">
+                <div class="resume-container">
+                    <header class="resume-header">
+                        <h1 class="resume-name">${basics.name}</h1>
+                        <p class="resume-label">${basics.label}</p>
+                        <p class="resume-contact">
+                            ${basics.email ? html`<span class="contact-item"><a href="mailto:${basics.email}" class="contact-link">${basics.email}</a></span>` : ''}
+                            ${basics.url ? html`<span class="contact-item"><a href="${basics.url}" class="contact-link">${basics.url.replace(/^https?:\/\//, '')}</a></span>` : ''}
+                            ${basics.profiles.map(profile => html`
+                                <span class="contact-item"><a href="${profile.url}" class="contact-link">${profile.network}: ${profile.username}</a></span>
+                            `)}
+                        </p>
+                        <div class="resume-actions">
+                            <button type="button" class="resume-print">🖨️ ${i18n.t('resume.print')}</button>
+                            <a href="./resume.json" class="resume-download" download>${i18n.t('resume.download')}</a>
+                        </div>
+                    </header>
+
+                    <p class="resume-summary">${basics.summary}</p>
+
+                    ${this.renderResumeSections(data)}
+                </div>
             </div>
         `;
     }
 
     /**
      * Render blogs page content
-     * @returns {string} HTML content
+     * @param {Object} data - Blogs content section
+     * @param {Object} params - Route params
+     * @param {Object} query - Query parameters (tag and match filter the list)
+     * @returns {SafeHtml} HTML content
      */
-    renderBlogsContent() {
-        const data = CONTENT_DATA.blogs;
-        
-        return `
+    renderBlogsContent(data = i18n.content.blogs, params = {}, query = {}) {
+        const allArticles = this.getArticles(data);
+        const tagLists = allArticles.map(article => article.tags);
+        const selected = TagUtils.resolveTags(TagUtils.getSelectedTags(query), tagLists);
+        const mode = TagUtils.getMatchMode(query);
+        const articles = allArticles.filter(article => TagUtils.matches(article.tags, selected, mode));
+
+        return html`
             <div class="page-content">
                 <header class="page-header">
                     <h1 class="page-title">${data.title}</h1>
                     <p class="page-subtitle">${data.subtitle}</p>
                 </header>
 
+                ${this.renderSlot('blogs:top')}
+                ${this.renderTagCloud('blogs', tagLists, selected, mode)}
+                ${this.renderFilterBar('blogs', selected, mode, articles.length)}
+
                 <div class="articles-grid">
-                    ${data.articles.map(article => `
-                        <article class="article-card">
+                    ${articles.map(article => html`
+                        <article class="article-card" id="${ContentUtils.getAnchorId('article', article.title)}">
                             <div class="article-header">
                                 <h3 class="article-title">
-                                    ${article.link ? `<a href="${article.link}" target="_blank" rel="noopener noreferrer">${article.title}</a>` : article.title}
+                                    ${this.renderArticleTitle(article)}
                                 </h3>
                                 <div class="article-meta">
                                     <time class="article-date">${ContentUtils.formatDate(article.date)}</time>
@@ -253,84 +491,657 @@ export class ContentLoader {
                             </div>
                             <p class="article-description">${article.description}</p>
                             <div class="article-tags">
-                                ${article.tags.map(tag => `
-                                    <span class="tag">${tag}</span>
-                                `).join('')}
+                                ${this.renderTagLinks('blogs', article.tags, selected, mode)}
                             </div>
                         </article>
-                    `).join('')}
+                    `)}
                 </div>
+                ${this.renderSlot('blogs:bottom')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a tag cloud whose tags toggle the page's tag filter
+     * @param {string} page - Page the filter applies to
+     * @param {Array<string[]>} tagLists - Tags of each item on the page
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @param {Object} [extraQuery] - Other query parameters the links keep
+     * @returns {SafeHtml} HTML content
+     */
+    renderTagCloud(page, tagLists, selected, mode, extraQuery = {}) {
+        const counts = TagUtils.countTags(tagLists);
+        if (counts.length === 0) return '';
+
+        return html`
+            <nav class="tag-cloud" aria-label="${i18n.t('tags.filter')}">
+                ${counts.map(({ tag, count }) => html`
+                    <a href="#${TagUtils.buildFilterRoute(page, TagUtils.toggle(selected, tag), mode, extraQuery)}"
+                       class="tag tag-link${TagUtils.isSelected(selected, tag) ? ' active' : ''}"
+                       aria-pressed="${TagUtils.isSelected(selected, tag)}">
+                        ${tag} <span class="tag-count">${count}</span>
+                    </a>
+                `)}
+            </nav>
+        `;
+    }
+
+    /**
+     * Render the active filter summary with match mode and clear controls
+     * @param {string} page - Page the filter applies to
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @param {number} resultCount - Number of matching items
+     * @param {Object} [extraQuery] - Other query parameters the links keep
+     * @returns {SafeHtml} HTML content
+     */
+    renderFilterBar(page, selected, mode, resultCount, extraQuery = {}) {
+        if (selected.length === 0) return '';
+
+        const modeLink = (value, label) => value === mode
+            ? html`<span class="filter-mode active">${label}</span>`
+            : html`<a href="#${TagUtils.buildFilterRoute(page, selected, value, extraQuery)}" class="filter-mode">${label}</a>`;
+
+        return html`
+            <div class="filter-bar">
+                <span>
+                    ${i18n.t('filter.results', { count: resultCount })}
+                    ${selected.map((tag, index) => html`${index > 0 ? i18n.t(mode === 'all' ? 'filter.and' : 'filter.or') : ''}<span class="tag">${tag}</span>`)}
+                </span>
+                <span class="filter-actions">
+                    ${selected.length > 1 ? html`${i18n.t('filter.match')} ${modeLink('any', i18n.t('filter.any'))} / ${modeLink('all', i18n.t('filter.all'))}` : ''}
+                    ${selected.length === 1 ? html`<a href="#tags/${encodeURIComponent(selected[0])}">${i18n.t('filter.everything', { tag: selected[0] })}</a>` : ''}
+                    <a href="#${Router.build(page, extraQuery)}" class="filter-clear">${i18n.t('filter.clear')}</a>
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Render an item's tags as links that toggle the page's tag filter
+     * @param {string} page - Page the filter applies to
+     * @param {string[]} tags - Item tags
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @param {string} className - Tag class name
+     * @param {Object} [extraQuery] - Other query parameters the links keep
+     * @returns {SafeHtml} HTML content
+     */
+    renderTagLinks(page, tags = [], selected = [], mode = 'any', className = 'tag', extraQuery = {}) {
+        return html`${tags.map(tag => html`
+            <a href="#${TagUtils.buildFilterRoute(page, TagUtils.toggle(selected, tag), mode, extraQuery)}"
+               class="${className} tag-link${TagUtils.isSelected(selected, tag) ? ' active' : ''}">${tag}</a>
+        `)}`;
+    }
+
+    /**
+     * Render tags linking to their tag index pages
+     * @param {string[]} tags - Item tags
+     * @param {string} className - Tag class name
+     * @returns {SafeHtml} HTML content
+     */
+    renderTagIndexLinks(tags = [], className = 'tag') {
+        return html`${tags.map(tag => html`
+            <a href="#tags/${encodeURIComponent(tag)}" class="${className} tag-link">${tag}</a>
+        `)}`;
+    }
+
+    /**
+     * Collect every tagged item on the site (blogs, projects and talks)
+     * @returns {Array<Object>} Items with type, title, href, external flag, date and tags
+     */
+    getTaggedItems() {
+        const blogs = this.getArticles().map(article => ({
+            type: 'blog',
+            title: article.title,
+            description: article.description,
+            href: article.slug ? `#blogs/${article.slug}` : article.link,
+            external: !article.slug,
+            date: article.date,
+            tags: article.tags || []
+        }));
+
+        const { projects: projectData, misc } = i18n.content;
+        const projects = projectData.items.map(project => ({
+            type: 'project',
+            title: project.title,
+            description: project.description,
+            href: project.id ? `#projects/${project.id}` : project.links?.github,
+            external: !project.id,
+            tags: project.technologies || []
+        }));
+
+        const talks = misc.thoughts.map(thought => ({
+            type: 'talk',
+            title: thought.title,
+            description: thought.content,
+            href: VideoEmbed.getTalkUrl(thought),
+            external: true,
+            date: thought.date,
+            tags: thought.tags || []
+        }));
+
+        return [...blogs, ...projects, ...talks];
+    }
+
+    /**
+     * Resolve a tag from a route to its spelling in the content
+     * @param {string} tag - Tag from the URL
+     * @returns {string|null} Canonical tag, or null if nothing carries it
+     */
+    resolveTag(tag) {
+        const [resolved] = TagUtils.resolveTags([tag], this.getTaggedItems().map(item => item.tags));
+        return resolved || null;
+    }
+
+    /**
+     * Render the tag index with every tag and its usage count
+     * @param {Object} data - Tags content section
+     * @returns {SafeHtml} HTML content
+     */
+    renderTagsContent(data = i18n.content.tags) {
+        const counts = TagUtils.countTags(this.getTaggedItems().map(item => item.tags));
+
+        return html`
+            <div class="page-content">
+                <header class="page-header">
+                    <h1 class="page-title">${data.title}</h1>
+                    <p class="page-subtitle">${data.subtitle}</p>
+                </header>
+
+                <nav class="tag-cloud" aria-label="${i18n.t('tags.all')}">
+                    ${counts.map(({ tag, count }) => html`
+                        <a href="#tags/${encodeURIComponent(tag)}" class="tag tag-link">
+                            ${tag} <span class="tag-count">${count}</span>
+                        </a>
+                    `)}
+                </nav>
+            </div>
+        `;
+    }
+
+    /**
+     * Render every blog, project and talk carrying a tag
+     * @param {Object} data - Tags content section
+     * @param {Object} params - Route params
+     * @param {string} params.tag - Tag to list
+     * @returns {SafeHtml} HTML content
+     */
+    renderTagContent(data, params) {
+        const tag = this.resolveTag(params.tag);
+        if (!tag) {
+            return this.renderNotFoundContent();
+        }
+
+        const items = this.getTaggedItems().filter(item => TagUtils.matches(item.tags, [tag]));
+        const groups = ['blog', 'project', 'talk'].map(type => ({ type, title: i18n.t(`tags.group.${type}`) }));
+
+        return html`
+            <div class="page-content">
+                <header class="page-header">
+                    <a href="#tags" class="post-back">← ${i18n.t('tags.back')}</a>
+                    <h1 class="page-title">${i18n.t('tags.title', { tag })}</h1>
+                    <p class="page-subtitle">${i18n.t('tags.count', { count: items.length })}</p>
+                </header>
+
+                ${groups.map(group => {
+                    const groupItems = items.filter(item => item.type === group.type);
+                    if (groupItems.length === 0) return '';
+
+                    return html`
+                        <section class="tag-group">
+                            <h2 class="tag-group-title">${group.title}</h2>
+                            <ul class="tag-group-list">
+                                ${groupItems.map(item => html`
+                                    <li class="tag-group-item">
+                                        <a href="${item.href}"${item.external ? html` target="_blank" rel="noopener noreferrer"` : ''}>${item.title}</a>
+                                        ${item.date ? html`<time class="tag-group-date">${ContentUtils.formatDate(item.date)}</time>` : ''}
+                                        <p class="tag-group-description">${item.description}</p>
+                                    </li>
+                                `)}
+                            </ul>
+                        </section>
+                    `;
+                })}
+            </div>
+        `;
+    }
+
+    /**
+     * Render article title, linking local posts in-app and external articles out
+     * @param {Object} article - Article entry
+     * @returns {SafeHtml} HTML content
+     */
+    renderArticleTitle(article) {
+        if (article.slug) {
+            return html`<a href="#blogs/${article.slug}">${article.title}</a>`;
+        }
+        if (article.link) {
+            return html`<a href="${article.link}" target="_blank" rel="noopener noreferrer">${article.title}</a>`;
+        }
+        return article.title;
+    }
+
+    /**
+     * Render a single local blog post
+     * @param {Object} data - Blogs content section
+     * @param {Object} params - Route params
+     * @param {string} params.slug - Post slug
+     * @returns {SafeHtml} HTML content
+     */
+    renderPostContent(data, { slug }) {
+        const post = this.getPost(slug);
+        if (!post) {
+            return this.renderNotFoundContent();
+        }
+
+        return html`
+            <div class="page-content">
+                <article class="post">
+                    <header class="post-header">
+                        <a href="#blogs" class="post-back">← ${i18n.t('post.back')}</a>
+                        <h1 class="post-title">${post.title}</h1>
+                        <div class="article-meta">
+                            <time class="article-date">${ContentUtils.formatDate(post.date)}</time>
+                            <span class="article-read-time">${post.readTime}</span>
+                        </div>
+                        <div class="article-tags">
+                            ${this.renderTagIndexLinks(post.tags)}
+                        </div>
+                    </header>
+                    <div class="post-body no-math">
+                        ${raw(MarkdownUtils.render(post.body))}
+                    </div>
+                    ${this.renderSlot('post:bottom')}
+                </article>
+            </div>
+        `;
+    }
+
+    /**
+     * Get a project by id
+     * @param {string} id - Project id
+     * @returns {Object|null} Project entry
+     */
+    getProject(id) {
+        return i18n.content.projects.items.find(project => project.id === id) || null;
+    }
+
+    /**
+     * Render project links
+     * @param {Object} [links] - Project links (github, demo, live)
+     * @returns {SafeHtml} HTML content
+     */
+    renderProjectLinks(links = {}) {
+        return html`
+            ${links.github ? html`<a href="${links.github}" target="_blank" rel="noopener noreferrer" class="project-link">${i18n.t('project.github')}</a>` : ''}
+            ${links.demo ? html`<a href="${links.demo}" target="_blank" rel="noopener noreferrer" class="project-link">${i18n.t('project.demo')}</a>` : ''}
+            ${links.live ? html`<a href="${links.live}" target="_blank" rel="noopener noreferrer" class="project-link">${i18n.t('project.live')}</a>` : ''}
+        `;
+    }
+
+    /**
+     * Render the author's role on a project
+     * @param {string} [role] - 'maintainer' or 'contributor'
+     * @returns {SafeHtml|string} HTML content
+     */
+    renderProjectRole(role) {
+        if (!role) return '';
+        return html`<span class="project-role project-role-${role}">${i18n.t(`project.role.${role}`)}</span>`;
+    }
+
+    /**
+     * Render a project's GitHub snapshot: stars, language, license, last commit and contributions
+     * @param {Object|null} stats - Snapshot from GitHubUtils.getStats
+     * @returns {SafeHtml|string} HTML content
+     */
+    renderProjectStats(stats) {
+        if (!stats) return '';
+
+        return html`
+            <ul class="project-stats" title="${i18n.t('project.snapshot', { date: ContentUtils.formatDate(stats.fetchedAt) })}">
+                <li class="project-stat"><span aria-hidden="true">★</span> ${i18n.formatNumber(stats.stars)}<span class="sr-only">${i18n.t('project.stars', { count: stats.stars })}</span></li>
+                ${stats.language ? html`<li class="project-stat">${stats.language}</li>` : ''}
+                ${stats.license ? html`<li class="project-stat">${stats.license}</li>` : ''}
+                <li class="project-stat">${i18n.t('project.lastCommit')} <time datetime="${stats.lastCommit}">${ContentUtils.formatDate(stats.lastCommit)}</time></li>
+                <li class="project-stat">${i18n.t('project.contributions', { count: i18n.formatNumber(stats.contributions) })}</li>
+            </ul>
+        `;
+    }
+
+    /**
+     * Render the project order links, keeping the tag filter
+     * @param {string} sort - Current PROJECT_SORTS id
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @returns {SafeHtml} HTML content
+     */
+    renderProjectSort(sort, selected, mode) {
+        return html`
+            <nav class="project-sort" aria-label="${i18n.t('project.sort')}">
+                ${i18n.t('project.sortBy')}
+                ${PROJECT_SORTS.map(option => option.id === sort
+                    ? html`<span class="project-sort-option active" aria-current="true">${i18n.t(`project.sort.${option.id}`)}</span>`
+                    : html`<a href="#${TagUtils.buildFilterRoute('projects', selected, mode, { sort: option.id === PROJECT_SORTS[0].id ? null : option.id })}" class="project-sort-option">${i18n.t(`project.sort.${option.id}`)}</a>`)}
+            </nav>
+        `;
+    }
+
+    /**
+     * Render a single project
+     * @param {Object} data - Projects content section
+     * @param {Object} params - Route params
+     * @param {string} params.id - Project id
+     * @returns {SafeHtml} HTML content
+     */
+    renderProjectContent(data, { id }) {
+        const project = this.getProject(id);
+        if (!project) {
+            return this.renderNotFoundContent();
+        }
+
+        return html`
+            <div class="page-content">
+                <article class="project-detail">
+                    <header class="post-header">
+                        <a href="#projects" class="post-back">← ${i18n.t('project.back')}</a>
+                        <h1 class="post-title">${project.title}</h1>
+                        ${this.renderProjectRole(project.role)}
+                        <div class="project-links">
+                            ${this.renderProjectLinks(project.links)}
+                        </div>
+                    </header>
+                    ${this.renderProjectStats(GitHubUtils.getStats(project, GITHUB_DATA))}
+                    <p class="project-description">${project.description}</p>
+                    <div class="project-technologies">
+                        ${this.renderTagIndexLinks(project.technologies, 'tech-tag')}
+                    </div>
+                </article>
             </div>
         `;
     }
 
     /**
      * Render projects page content
-     * @returns {string} HTML content
+     * @param {Object} data - Projects content section
+     * @param {Object} params - Route params
+     * @param {Object} query - Query parameters (tag and match filter by technology, sort orders by activity or stars)
+     * @returns {SafeHtml} HTML content
      */
-    renderProjectsContent() {
-        const data = CONTENT_DATA.projects;
-        
-        return `
+    renderProjectsContent(data = i18n.content.projects, params = {}, query = {}) {
+        const tagLists = data.items.map(project => project.technologies);
+        const selected = TagUtils.resolveTags(TagUtils.getSelectedTags(query), tagLists);
+        const mode = TagUtils.getMatchMode(query);
+        const sort = GitHubUtils.getSort(query);
+        const sortQuery = { sort: sort === PROJECT_SORTS[0].id ? null : sort };
+        const projects = GitHubUtils.sortProjects(
+            data.items.filter(project => TagUtils.matches(project.technologies, selected, mode)),
+            sort,
+            GITHUB_DATA
+        );
+
+        return html`
             <div class="page-content">
                 <header class="page-header">
                     <h1 class="page-title">${data.title}</h1>
                     <p class="page-subtitle">${data.subtitle}</p>
                 </header>
 
+                ${this.renderSlot('projects:top')}
+                ${this.renderTagCloud('projects', tagLists, selected, mode, sortQuery)}
+                ${this.renderFilterBar('projects', selected, mode, projects.length, sortQuery)}
+                ${this.renderProjectSort(sort, selected, mode)}
+
                 <div class="projects-grid">
-                    ${data.items.map(project => `
-                        <div class="project-card">
+                    ${projects.map(project => html`
+                        <div class="project-card" id="${ContentUtils.getAnchorId('project', project.title)}">
                             <div class="project-header">
-                                <h3 class="project-title">${project.title}</h3>
+                                <h3 class="project-title">
+                                    ${project.id ? html`<a href="#projects/${project.id}">${project.title}</a>` : project.title}
+                                </h3>
                                 <div class="project-links">
-                                    ${project.links.github ? `<a href="${project.links.github}" target="_blank" rel="noopener noreferrer" class="project-link">GitHub</a>` : ''}
-                                    ${project.links.demo ? `<a href="${project.links.demo}" target="_blank" rel="noopener noreferrer" class="project-link">Demo</a>` : ''}
-                                    ${project.links.live ? `<a href="${project.links.live}" target="_blank" rel="noopener noreferrer" class="project-link">Live</a>` : ''}
+                                    ${this.renderProjectLinks(project.links)}
                                 </div>
                             </div>
+                            ${this.renderProjectRole(project.role)}
                             <p class="project-description">${project.description}</p>
+                            ${this.renderProjectStats(GitHubUtils.getStats(project, GITHUB_DATA))}
                             <div class="project-technologies">
-                                ${project.technologies.map(tech => `
-                                    <span class="tech-tag">${tech}</span>
-                                `).join('')}
+                                ${this.renderTagLinks('projects', project.technologies, selected, mode, 'tech-tag', sortQuery)}
                             </div>
                         </div>
-                    `).join('')}
+                    `)}
                 </div>
+                ${this.renderSlot('projects:bottom')}
             </div>
         `;
     }
 
     /**
      * Render miscellaneous page content
-     * @returns {string} HTML content
+     * @param {Object} data - Misc content section
+     * @returns {SafeHtml} HTML content
      */
-    renderMiscContent() {
-        const data = CONTENT_DATA.misc;
-        
-        return `
+    renderMiscContent(data = i18n.content.misc) {
+        return html`
             <div class="page-content">
                 <header class="page-header">
                     <h1 class="page-title">${data.title}</h1>
                     <p class="page-subtitle">${data.subtitle}</p>
                 </header>
 
+                ${this.renderSlot('misc:top')}
                 <!-- Professional Talks Section -->
                 <section class="misc-section">
-                    <h2 class="misc-title">Professional Talks</h2>
+                    <h2 class="misc-title">${i18n.t('misc.talks')}</h2>
                     <div class="thoughts-list">
-                        ${data.thoughts.map(thought => `
-                            <div class="thought-item">
-                                <h3 class="thought-title">
-                                    ${thought.link ? `<a href="${thought.link}" target="_blank" rel="noopener noreferrer">${thought.title}</a>` : thought.title}
-                                </h3>
-                                <p class="thought-content">${thought.content}</p>
-                                <time class="thought-date">${ContentUtils.formatDate(thought.date)}</time>
-                            </div>
-                        `).join('')}
+                        ${data.thoughts.map(thought => this.renderTalk(thought))}
                     </div>
                 </section>
+                ${this.renderSlot('misc:bottom')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render a talk card: venue, duration, click-to-load video, chapters and slides
+     * @param {Object} talk - Talk from CONTENT_DATA.misc.thoughts
+     * @returns {SafeHtml} HTML content
+     */
+    renderTalk(talk) {
+        const url = VideoEmbed.getTalkUrl(talk);
+
+        return html`
+            <div class="thought-item" id="${ContentUtils.getAnchorId('talk', talk.title)}">
+                <h3 class="thought-title">
+                    ${url ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${talk.title}</a>` : talk.title}
+                </h3>
+                ${talk.venue || talk.duration ? html`
+                    <p class="talk-meta">
+                        ${talk.venue ? html`<span class="talk-venue">📍 ${talk.venue}</span>` : ''}
+                        ${talk.duration ? html`<span class="talk-duration">⏱️ ${talk.duration}</span>` : ''}
+                    </p>
+                ` : ''}
+                <p class="thought-content">${talk.content}</p>
+                ${talk.video ? this.renderVideoEmbed(talk) : ''}
+                ${talk.video && talk.chapters ? this.renderTalkChapters(talk.chapters) : ''}
+                ${talk.slides ? html`<a href="${talk.slides}" target="_blank" rel="noopener noreferrer" class="talk-slides">${i18n.t('talk.slides')} →</a>` : ''}
+                <div class="article-tags">
+                    ${this.renderTagIndexLinks(talk.tags)}
+                </div>
+                <time class="thought-date">${ContentUtils.formatDate(talk.date)}</time>
+            </div>
+        `;
+    }
+
+    /**
+     * Render a click-to-load video placeholder (nothing loads from the provider until clicked)
+     * @param {Object} talk - Talk with a video
+     * @returns {SafeHtml} HTML content
+     */
+    renderVideoEmbed(talk) {
+        const provider = VideoEmbed.getProvider(talk.video.provider);
+        if (!provider) {
+            return '';
+        }
+
+        return html`
+            <div class="video-embed" data-provider="${talk.video.provider}" data-video-id="${talk.video.id}" data-start="${talk.video.start || 0}" data-title="${talk.title}">
+                <button type="button" class="video-embed-load" aria-label="${i18n.t('talk.playLabel', { title: talk.title, provider: provider.name })}">
+                    <span class="video-embed-play" aria-hidden="true">▶</span>
+                    <span class="video-embed-label">${i18n.t('talk.play')}</span>
+                </button>
+                <p class="video-embed-notice">
+                    ${i18n.t('talk.notice', { provider: provider.name })}
+                    <a href="${VideoEmbed.getWatchUrl(talk.video)}" target="_blank" rel="noopener noreferrer">${i18n.t('talk.watch', { provider: provider.name })}</a>
+                </p>
+            </div>
+        `;
+    }
+
+    /**
+     * Render chapter links that seek the talk's player
+     * @param {Array<{time: string, title: string}>} chapters - Chapters in order
+     * @returns {SafeHtml} HTML content
+     */
+    renderTalkChapters(chapters) {
+        return html`
+            <ol class="talk-chapters" aria-label="${i18n.t('talk.chapters')}">
+                ${chapters.map(chapter => html`
+                    <li>
+                        <button type="button" class="talk-chapter" data-seek="${VideoEmbed.parseTimestamp(chapter.time)}">
+                            <span class="talk-chapter-time">${chapter.time}</span>
+                            <span class="talk-chapter-title">${chapter.title}</span>
+                        </button>
+                    </li>
+                `)}
+            </ol>
+        `;
+    }
+
+    /**
+     * Collect every dated item on the site, newest first
+     * Each entry links back to the card it came from (route plus element id)
+     * @returns {Array<Object>} Entries with type, title, subtitle, label, period, route and anchor
+     */
+    getTimelineItems() {
+        const { home, misc } = i18n.content;
+        const entry = (type, title, subtitle, when, route, anchorType = type) => ({
+            type,
+            title,
+            subtitle,
+            // Periods are shown as written; ISO dates are formatted like everywhere else
+            label: /^\d{4}-\d{2}-\d{2}$/.test(when) ? ContentUtils.formatDate(when) : when,
+            period: PeriodUtils.parse(when),
+            route,
+            anchor: ContentUtils.getAnchorId(anchorType, title)
+        });
+
+        const items = [
+            ...home.experience.map(job => entry('experience', job.title, job.company, job.period, 'home')),
+            ...home.education.map(edu => entry('education', edu.degree, edu.institution, edu.period, 'home')),
+            ...home.hackathons.map(hackathon => entry('hackathon', hackathon.title, hackathon.event, hackathon.period, 'home')),
+            ...home.grants.map(grant => entry('grant', grant.title, grant.organization, grant.period, 'home')),
+            ...this.getArticles().map(article => entry('blog', article.title, article.readTime || '', article.date, 'blogs', 'article')),
+            ...misc.thoughts.map(talk => entry('talk', talk.title, talk.venue || '', talk.date, 'misc'))
+        ];
+
+        const unreadable = items.filter(item => !item.period);
+        if (unreadable.length > 0) {
+            console.warn('Timeline skips entries with unreadable dates:', unreadable.map(item => item.label));
+        }
+
+        return items
+            .filter(item => item.period)
+            .sort((a, b) => PeriodUtils.compareDescending(a.period, b.period));
+    }
+
+    /**
+     * Render the timeline: every dated item grouped by start year, filterable by type
+     * @param {Object} data - Timeline content section
+     * @param {Object} params - Route params
+     * @param {Object} query - Query parameters (repeated type= values filter the entries)
+     * @returns {SafeHtml} HTML content
+     */
+    renderTimelineContent(data = i18n.content.timeline, params = {}, query = {}) {
+        const allItems = this.getTimelineItems();
+        const selected = [].concat(query.type || []).filter(type => TIMELINE_TYPES.some(({ id }) => id === type));
+        const items = selected.length > 0 ? allItems.filter(item => selected.includes(item.type)) : allItems;
+        const types = TIMELINE_TYPES.filter(type => allItems.some(item => item.type === type.id));
+        const typeInfo = Object.fromEntries(TIMELINE_TYPES.map(type => [type.id, { ...type, label: i18n.t(`timeline.type.${type.id}`) }]));
+
+        const years = [];
+        items.forEach(item => {
+            const year = item.period.start.year;
+            if (years.length === 0 || years[years.length - 1].year !== year) {
+                years.push({ year, items: [] });
+            }
+            years[years.length - 1].items.push(item);
+        });
+
+        const toggle = id => (selected.includes(id) ? selected.filter(type => type !== id) : [...selected, id]);
+
+        return html`
+            <div class="page-content">
+                <header class="page-header">
+                    <h1 class="page-title">${data.title}</h1>
+                    <p class="page-subtitle">${data.subtitle}</p>
+                </header>
+
+                ${this.renderSlot('timeline:top')}
+                <nav class="tag-cloud timeline-filters" aria-label="${i18n.t('timeline.filter')}">
+                    <a href="#timeline" class="tag tag-link${selected.length === 0 ? ' active' : ''}" aria-pressed="${selected.length === 0}">
+                        ${i18n.t('timeline.all')} <span class="tag-count">${allItems.length}</span>
+                    </a>
+                    ${types.map(type => html`
+                        <a href="#${Router.build('timeline', { type: toggle(type.id) })}"
+                           class="tag tag-link${selected.includes(type.id) ? ' active' : ''}"
+                           aria-pressed="${selected.includes(type.id)}">
+                            ${type.icon} ${typeInfo[type.id].label} <span class="tag-count">${allItems.filter(item => item.type === type.id).length}</span>
+                        </a>
+                    `)}
+                </nav>
+
+                ${years.length === 0 ? html`<p class="timeline-empty">${i18n.t('timeline.empty')}</p>` : ''}
+                ${years.map(({ year, items: yearItems }) => html`
+                    <section class="timeline-year" aria-labelledby="timeline-${year}">
+                        <h2 class="timeline-year-title" id="timeline-${year}">${year}</h2>
+                        <ol class="timeline-list">
+                            ${yearItems.map(item => html`
+                                <li class="timeline-item timeline-item-${item.type}">
+                                    <span class="timeline-icon" title="${typeInfo[item.type].label}" aria-hidden="true">${typeInfo[item.type].icon}</span>
+                                    <div class="timeline-body">
+                                        <a href="#${item.route}" data-route="${item.route}" data-anchor="${item.anchor}" class="timeline-title">${item.title}</a>
+                                        <div class="timeline-meta">
+                                            <time datetime="${PeriodUtils.toIsoDate(item.period.start)}">${item.label}</time>
+                                            ${item.subtitle ? html`<span class="timeline-subtitle">${item.subtitle}</span>` : ''}
+                                            <span class="timeline-type">${typeInfo[item.type].label}</span>
+                                        </div>
+                                    </div>
+                                </li>
+                            `)}
+                        </ol>
+                    </section>
+                `)}
+                ${this.renderSlot('timeline:bottom')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render not found content for unknown routes
+     * @returns {SafeHtml} HTML content
+     */
+    renderNotFoundContent() {
+        return html`
+            <div class="page-content">
+                <div class="error-state not-found-state">
+                    <div class="error-icon">🧭</div>
+                    <h1>${i18n.t('notFound.title')}</h1>
+                    <p>${i18n.t('notFound.message')}</p>
+                    <a href="#home" class="error-retry-btn">${i18n.t('notFound.back')}</a>
+                </div>
             </div>
         `;
     }
@@ -338,16 +1149,16 @@ export class ContentLoader {
     /**
      * Generate error content
      * @param {string} page - Page that failed to load
-     * @returns {string} Error HTML content
+     * @returns {SafeHtml} Error HTML content
      */
     generateErrorContent(page) {
-        return `
+        return html`
             <div class="page-content">
                 <div class="error-state">
                     <div class="error-icon">⚠️</div>
-                    <h2>Content Not Available</h2>
-                    <p>Sorry, we couldn't load the content for "${page}". Please try refreshing the page.</p>
-                    <button onclick="location.reload()" class="error-retry-btn">Refresh Page</button>
+                    <h2>${i18n.t('error.title')}</h2>
+                    <p>${i18n.t('error.page', { page })}</p>
+                    <button onclick="location.reload()" class="error-retry-btn">${i18n.t('error.refresh')}</button>
                 </div>
             </div>
         `;
@@ -358,7 +1169,6 @@ export class ContentLoader {
      */
     clearCache() {
         this.contentCache.clear();
-        this.loadingPromises.clear();
     }
 
     /**
@@ -368,8 +1178,7 @@ export class ContentLoader {
     getCacheStats() {
         return {
             cachedItems: this.contentCache.size,
-            loadingItems: this.loadingPromises.size,
-            totalItems: this.contentCache.size + this.loadingPromises.size
+            ...this.contentCache.getStats()
         };
     }
 }
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Environment - The browser globals the managers use: window, document, storage and fetch
+ * Managers take an `environment` option so they can run against another window (e.g. jsdom),
+ * an in-memory storage or a stubbed fetch; anything not passed falls back to the page's globals.
+ */
+
+/**
+ * @typedef {Object} Environment
+ * @property {Window} window - Window (location, history, scrolling and global events)
+ * @property {Document} document - Document
+ * @property {Storage} storage - Persistent key-value storage (localStorage)
+ * @property {Function} fetch - Fetch implementation
+ */
+
+/**
+ * Create a Storage-compatible in-memory store
+ * Used where localStorage is unavailable (e.g. blocked cookies) and handy as a test double
+ * @param {Object} [entries] - Initial entries
+ * @returns {Storage} Storage
+ */
+export function createMemoryStorage(entries = {}) {
+    const items = new Map(Object.entries(entries).map(([key, value]) => [key, String(value)]));
+
+    return {
+        get length() {
+            return items.size;
+        },
+        key: index => [...items.keys()][index] ?? null,
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, String(value));
+        },
+        removeItem: key => {
+            items.delete(key);
+        },
+        clear: () => {
+            items.clear();
+        }
+    };
+}
+
+/**
+ * Get a window's localStorage, which throws in some privacy modes
+ * @param {Window|null} win - Window
+ * @returns {Storage|null} Storage, or null if unavailable
+ */
+function getLocalStorage(win) {
+    try {
+        return win?.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Resolve an environment, filling anything not given from the global window
+ * @param {Partial<Environment>} [overrides] - Injected dependencies
+ * @returns {Environment} Environment
+ */
+export function resolveEnvironment(overrides = {}) {
+    const win = overrides.window || (typeof window !== 'undefined' ? window : null);
+    // Bound, since browsers reject fetch called as a method of another object
+    const fetchImpl = overrides.fetch || (win?.fetch ? win.fetch.bind(win) : globalThis.fetch?.bind(globalThis));
+
+    return {
+        window: win,
+        document: overrides.document || win?.document || null,
+        storage: overrides.storage || getLocalStorage(win) || createMemoryStorage(),
+        fetch: fetchImpl
+    };
+}
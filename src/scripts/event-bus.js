@@ -0,0 +1,95 @@
+/**
+ * Event Bus - Typed application events shared by the managers
+ * ApplicationManager owns one bus and passes it to every manager; extension code can
+ * subscribe through appManager.events instead of reaching into the managers.
+ */
+
+/**
+ * @typedef {Object} AppEvents
+ * @property {{from: string|null, to: string}} page:willChange - A route is about to load (from is null on first load)
+ * @property {{route: string, page: string|null, match: Object|null}} page:changed - A route was rendered (page is null for not found)
+ * @property {{theme: string, preference: string}} theme:changed - The shown theme or the chosen preference changed
+ * @property {{locale: string, lang: string}} locale:changed - The interface language changed (see i18n.js)
+ * @property {{query: string, results: Array<Object>}} search:query - A search ran
+ * @property {{posts: string[]}} content:loaded - Local posts finished loading (slugs that loaded)
+ * @property {{error: *, source: string}} error - Something failed (source names where: 'window', 'navigation', ...)
+ */
+
+/**
+ * Event names the application emits
+ */
+export const APP_EVENTS = ['page:willChange', 'page:changed', 'theme:changed', 'locale:changed', 'search:query', 'content:loaded', 'error'];
+
+export class EventBus {
+    /**
+     * @param {string[]} [events] - Known event names; subscribing to or emitting anything else throws
+     */
+    constructor(events = APP_EVENTS) {
+        this.listeners = new Map(events.map(event => [event, new Set()]));
+    }
+
+    /**
+     * Get the listeners of a known event
+     * @param {string} event - Event name
+     * @returns {Set<Function>} Listeners
+     */
+    getListeners(event) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+        return listeners;
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+        this.getListeners(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+        const off = this.on(event, detail => {
+            off();
+            handler(detail);
+        });
+        return off;
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.getListeners(event).delete(handler);
+    }
+
+    /**
+     * Emit an event; a throwing listener doesn't stop the others and is reported as an 'error' event
+     * @param {string} event - Event name
+     * @param {Object} [detail] - Event detail (see AppEvents)
+     */
+    emit(event, detail = {}) {
+        [...this.getListeners(event)].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Listener for ${event} failed:`, error);
+                if (event !== 'error' && this.listeners.has('error')) {
+                    this.emit('error', { error, source: event });
+                }
+            }
+        });
+    }
+}
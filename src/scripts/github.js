@@ -0,0 +1,72 @@
+/**
+ * GitHub - Repository stats for project cards
+ * Stats come from the snapshots bundled into src/data/github.js (GITHUB_DATA) by
+ * tools/build-github.mjs, so nothing is fetched from GitHub at runtime.
+ */
+
+/**
+ * Project orders offered on the projects page, the first being the content order
+ * (labels are the project.sort.<id> UI strings)
+ */
+export const PROJECT_SORTS = [
+    { id: 'featured' },
+    { id: 'activity' },
+    { id: 'stars' }
+];
+
+export const GitHubUtils = {
+    /**
+     * Get the "owner/repo" name from a GitHub repository URL
+     * @param {string} url - Repository URL (e.g. https://github.com/paradigmxyz/reth)
+     * @returns {string|null} Repository name, or null if the URL isn't a GitHub repository
+     */
+    getRepoName(url) {
+        const match = String(url || '').match(/^https?:\/\/(?:www\.)?github\.com\/([^/?#]+)\/([^/?#]+?)(?:\.git)?(?:[/?#].*)?$/i);
+        return match ? `${match[1]}/${match[2]}` : null;
+    },
+
+    /**
+     * Get the snapshot for a project's GitHub repository
+     * @param {Object} project - Project from CONTENT_DATA.projects.items
+     * @param {Object} data - Snapshots keyed by lowercase repository name (GITHUB_DATA)
+     * @returns {Object|null} Snapshot (stars, language, license, lastCommit, contributions, fetchedAt)
+     */
+    getStats(project, data) {
+        const repo = this.getRepoName(project.links?.github);
+        return (repo && data[repo.toLowerCase()]) || null;
+    },
+
+    /**
+     * Get the project order from route query parameters
+     * @param {Object} query - Route query parameters
+     * @returns {string} One of the PROJECT_SORTS ids
+     */
+    getSort(query = {}) {
+        return PROJECT_SORTS.some(sort => sort.id === query.sort) ? query.sort : PROJECT_SORTS[0].id;
+    },
+
+    /**
+     * Sort projects by recent activity or stars; projects without a snapshot keep
+     * their content order after the rest
+     * @param {Array<Object>} projects - Projects
+     * @param {string} sort - One of the PROJECT_SORTS ids
+     * @param {Object} data - Snapshots keyed by lowercase repository name (GITHUB_DATA)
+     * @returns {Array<Object>} Sorted copy
+     */
+    sortProjects(projects, sort, data) {
+        const value = {
+            activity: stats => stats.lastCommit,
+            stars: stats => stats.stars
+        }[sort];
+        if (!value) return [...projects];
+
+        const compare = (a, b) => (a < b ? 1 : a > b ? -1 : 0);
+        return projects
+            .map((project, index) => ({ project, index, stats: this.getStats(project, data) }))
+            .sort((a, b) => {
+                if (!a.stats || !b.stats) return (!a.stats - !b.stats) || a.index - b.index;
+                return compare(value(a.stats), value(b.stats)) || a.index - b.index;
+            })
+            .map(({ project }) => project);
+    }
+};
@@ -0,0 +1,230 @@
+/**
+ * Highlight - Syntax highlighting for fenced code blocks
+ * Small regex grammars for Rust, Noir, Solidity, TypeScript and shell; output is escaped HTML
+ * with <span class="token-…"> wrappers, one <span class="code-line"> per line
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Build a pattern matching any of the words as a whole word
+ * @param {string} list - Space-separated words
+ * @returns {RegExp} Pattern
+ */
+function words(list) {
+    return new RegExp(`\\b(?:${list.trim().split(/\s+/).join('|')})\\b`);
+}
+
+const C_COMMENTS = [
+    ['comment', /\/\/.*/],
+    ['comment', /\/\*[\s\S]*?(?:\*\/|$)/]
+];
+
+const NUMBER = ['number', /\b(?:0x[\da-fA-F_]+|0b[01_]+|\d[\d_]*(?:\.\d[\d_]*)?(?:[eE][+-]?\d+)?)(?:[iu](?:8|16|32|64|128|size)|f32|f64)?\b/];
+const TYPE_NAME = ['type', /\b[A-Z]\w*\b/];
+const FUNCTION_CALL = ['function', /\b[a-zA-Z_]\w*(?=\s*\()/];
+
+/**
+ * Rules shared by Rust and Noir, which have the same lexical structure
+ * @param {string} keywords - Space-separated keywords
+ * @param {string} types - Space-separated built-in types
+ * @returns {Array} Rules
+ */
+function rustLike(keywords, types) {
+    return [
+        ...C_COMMENTS,
+        ['attribute', /#!?\[[^\]]*\]/],
+        ['string', /b?r(#*)"[\s\S]*?"\1/],
+        ['string', /b?"(?:[^"\\]|\\[\s\S])*"/],
+        ['string', /b?'(?:[^'\\\n]|\\[^\n]+?)'/],
+        ['type', /'[a-z_]\w*\b/],
+        ['keyword', words(keywords)],
+        ['type', words(types)],
+        NUMBER,
+        ['macro', /\b[a-zA-Z_]\w*!/],
+        TYPE_NAME,
+        FUNCTION_CALL
+    ];
+}
+
+/**
+ * Grammars: ordered [token type, pattern] rules tried at each position
+ */
+const GRAMMARS = {
+    rust: rustLike(
+        'as async await break const continue crate dyn else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+        'bool char str u8 u16 u32 u64 u128 usize i8 i16 i32 i64 i128 isize f32 f64'
+    ),
+    noir: rustLike(
+        'as assert assert_eq break comptime constrained continue contract crate dep else false fn for global if impl in let loop mod mut pub return self Self struct trait true type unconstrained unsafe use where while',
+        'Field bool str u1 u8 u16 u32 u64 u128 i8 i16 i32 i64'
+    ),
+    solidity: [
+        ...C_COMMENTS,
+        ['string', /(?:hex|unicode)?"(?:[^"\\]|\\.)*"/],
+        ['string', /(?:hex|unicode)?'(?:[^'\\]|\\.)*'/],
+        ['keyword', words('abstract anonymous as assembly break calldata catch constant constructor continue contract delete do else emit enum error event external fallback false for from function if immutable import indexed interface internal is let library mapping memory modifier new override payable pragma private public pure receive return returns revert storage struct true try type unchecked using view virtual while')],
+        ['type', /\b(?:address|bool|string|bytes(?:[1-9]|[12]\d|3[0-2])?|u?int(?:8|16|24|32|40|48|56|64|72|80|88|96|104|112|120|128|136|144|152|160|168|176|184|192|200|208|216|224|232|240|248|256)?|u?fixed|var)\b/],
+        ['builtin', words('msg block tx this super require assert keccak256 sha256 ecrecover abi')],
+        ['number', /\b(?:0x[\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:e\d+)?)(?:\s*(?:wei|gwei|ether|seconds|minutes|hours|days|weeks))?\b/],
+        TYPE_NAME,
+        FUNCTION_CALL
+    ],
+    typescript: [
+        ...C_COMMENTS,
+        ['string', /`(?:[^`\\]|\\[\s\S])*`/],
+        ['string', /"(?:[^"\\\n]|\\.)*"/],
+        ['string', /'(?:[^'\\\n]|\\.)*'/],
+        ['attribute', /@[a-zA-Z_]\w*/],
+        ['keyword', words('abstract as async await break case catch class const continue declare default delete do else enum export extends false finally for from function get if implements import in instanceof interface keyof let namespace new null of private protected public readonly return satisfies set static super switch this throw true try type typeof undefined var void while yield')],
+        ['type', words('any bigint boolean never number object string symbol unknown')],
+        NUMBER,
+        TYPE_NAME,
+        FUNCTION_CALL
+    ],
+    shell: [
+        ['comment', /(?<=^|[\s;])#.*/m],
+        ['prompt', /^\$ /m],
+        ['string', /'[^']*'/],
+        ['string', /"(?:[^"\\]|\\[\s\S])*"/],
+        ['variable', /\$(?:\{[^}]*\}|\w+|[?#@*$!0-9])/],
+        ['keyword', words('case do done elif else esac export fi for function if in local readonly return select then until while')],
+        ['attribute', /(?<=\s)--?[\w-]+/],
+        ['function', /(?<=(?:^|[|;&(]|&&|\|\||\$ )\s*)[\w./-]+/m],
+        ['number', /\b\d+\b/]
+    ]
+};
+
+/**
+ * Fence info aliases for each grammar
+ */
+const ALIASES = {
+    rs: 'rust',
+    nr: 'noir',
+    sol: 'solidity',
+    ts: 'typescript',
+    tsx: 'typescript',
+    js: 'typescript',
+    javascript: 'typescript',
+    sh: 'shell',
+    bash: 'shell',
+    zsh: 'shell',
+    console: 'shell'
+};
+
+/**
+ * Sticky copies of each grammar's rules, compiled once
+ */
+const COMPILED = Object.fromEntries(Object.entries(GRAMMARS).map(([name, rules]) => [
+    name,
+    rules.map(([type, pattern]) => [type, new RegExp(pattern.source, `${pattern.flags}y`)])
+]));
+
+export const Highlighter = {
+    /**
+     * Resolve a fence language or alias to a grammar name
+     * @param {string} language - Language from the fence info string
+     * @returns {string|null} Grammar name, or null if unsupported
+     */
+    getLanguage(language) {
+        const name = String(language || '').toLowerCase();
+        const resolved = ALIASES[name] || name;
+        return COMPILED[resolved] ? resolved : null;
+    },
+
+    /**
+     * Split code into typed tokens
+     * @param {string} code - Source code
+     * @param {string} language - Language or alias
+     * @returns {Array<{type: string|null, text: string}>} Tokens (type null for plain text)
+     */
+    tokenize(code, language) {
+        const rules = COMPILED[this.getLanguage(language)];
+        if (!rules) {
+            return [{ type: null, text: code }];
+        }
+
+        const tokens = [];
+        let plain = '';
+        let position = 0;
+
+        while (position < code.length) {
+            let matched = null;
+
+            for (const [type, pattern] of rules) {
+                pattern.lastIndex = position;
+                const match = pattern.exec(code);
+                if (match && match[0].length > 0) {
+                    matched = { type, text: match[0] };
+                    break;
+                }
+            }
+
+            if (matched) {
+                if (plain) tokens.push({ type: null, text: plain });
+                plain = '';
+                tokens.push(matched);
+                position += matched.text.length;
+            } else {
+                plain += code[position];
+                position++;
+            }
+        }
+
+        if (plain) tokens.push({ type: null, text: plain });
+        return tokens;
+    },
+
+    /**
+     * Parse a line range list such as "1,3-5"
+     * Ranges are clamped to the code's lines, so "{1-999999999}" costs no more than the block itself
+     * @param {string} ranges - Comma-separated line numbers and ranges
+     * @param {number} lineCount - Number of lines in the code block
+     * @returns {Set<number>} Line numbers
+     */
+    parseLineRanges(ranges, lineCount) {
+        const lines = new Set();
+
+        String(ranges || '').split(',').forEach(part => {
+            const [start, end = start] = part.trim().split('-').map(Number);
+            if (!Number.isInteger(start) || !Number.isInteger(end)) return;
+
+            for (let line = Math.max(start, 1); line <= Math.min(end, lineCount); line++) {
+                lines.add(line);
+            }
+        });
+
+        return lines;
+    },
+
+    /**
+     * Highlight code as HTML lines
+     * Tokens spanning several lines (block comments, strings) are closed and reopened per line
+     * @param {string} code - Source code
+     * @param {string} language - Language or alias
+     * @param {Object} [options] - Options
+     * @param {Set<number>} [options.highlightLines] - 1-based lines to mark
+     * @returns {string} HTML
+     */
+    highlight(code, language, { highlightLines = new Set() } = {}) {
+        const lines = [[]];
+
+        this.tokenize(code, language).forEach(({ type, text }) => {
+            text.split('\n').forEach((part, index) => {
+                if (index > 0) lines.push([]);
+                if (!part) return;
+
+                const escaped = escapeHtml(part);
+                lines[lines.length - 1].push(type ? `<span class="token-${type}">${escaped}</span>` : escaped);
+            });
+        });
+
+        // Each line keeps its newline so the code copies and reads correctly without styles
+        return lines.map((parts, index) => {
+            const number = index + 1;
+            const className = highlightLines.has(number) ? 'code-line highlighted' : 'code-line';
+            const newline = number < lines.length ? '\n' : '';
+            return `<span class="${className}" data-line="${number}">${parts.join('')}${newline}</span>`;
+        }).join('');
+    }
+};
@@ -0,0 +1,124 @@
+/**
+ * HTML - Safe HTML templating for renderers
+ * Interpolated values are escaped by default, URLs in URL attributes are checked,
+ * and raw markup is only inserted when explicitly wrapped with raw()
+ *
+ * Usage:
+ *   html`<a href="${link}">${title}</a>`   // title escaped, link checked
+ *   html`<div>${items.map(item => html`<p>${item}</p>`)}</div>`
+ *   html`<div class="post-body">${raw(renderedMarkdown)}</div>`
+ */
+
+/**
+ * URL schemes allowed in links and sources
+ */
+const ALLOWED_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Matches template text that ends inside a URL attribute, e.g. ' href="'
+ */
+const URL_ATTRIBUTE = /\s(?:href|src|action|formaction|poster|cite)\s*=\s*["']?$/i;
+
+/**
+ * Markup that is trusted and inserted without escaping
+ */
+export class SafeHtml {
+    /**
+     * @param {string} value - Trusted HTML
+     */
+    constructor(value) {
+        this.value = String(value);
+    }
+
+    /**
+     * @returns {string} HTML
+     */
+    toString() {
+        return this.value;
+    }
+}
+
+/**
+ * Escape HTML special characters
+ * @param {*} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a URL, allowing http, https, mailto and scheme-less (relative or '#') URLs
+ * @param {string} url - URL to check
+ * @returns {string} The URL, or '#' if its scheme is not allowed
+ */
+export function safeUrl(url) {
+    const value = String(url ?? '').trim();
+
+    // Browsers ignore whitespace and control characters inside the scheme ("java\tscript:")
+    const normalized = value.replace(/[\u0000- \u007f]/g, '').toLowerCase();
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*:)/);
+
+    if (!scheme || ALLOWED_SCHEMES.includes(scheme[1])) {
+        return value;
+    }
+
+    console.warn(`Blocked unsafe URL: ${value}`);
+    return '#';
+}
+
+/**
+ * Mark a string as trusted HTML
+ * Only use for markup produced by a renderer that escapes its own input
+ * @param {string} value - Trusted HTML
+ * @returns {SafeHtml} Trusted HTML
+ */
+export function raw(value) {
+    return value instanceof SafeHtml ? value : new SafeHtml(value ?? '');
+}
+
+/**
+ * Render an interpolated value
+ * @param {*} value - SafeHtml, array, or any value to escape
+ * @returns {string} HTML
+ */
+function renderValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (value instanceof SafeHtml) {
+        return value.value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(renderValue).join('');
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes interpolated values
+ * Values in href/src attributes are also URL-checked; arrays are rendered item by item;
+ * null and undefined render as nothing
+ * @param {string[]} strings - Template strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHtml} Rendered HTML
+ */
+export function html(strings, ...values) {
+    let result = strings[0];
+
+    values.forEach((value, index) => {
+        if (URL_ATTRIBUTE.test(result) && !(value instanceof SafeHtml)) {
+            result += escapeHtml(safeUrl(value));
+        } else {
+            result += renderValue(value);
+        }
+        result += strings[index + 1];
+    });
+
+    return new SafeHtml(result);
+}
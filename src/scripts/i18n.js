@@ -0,0 +1,179 @@
+/**
+ * I18n - Active locale, UI strings and localized content
+ * The active locale picks the UI strings (src/data/strings.js), the CONTENT_DATA overrides
+ * merged over the English content, and the locale dates and numbers are formatted in.
+ * LocaleManager chooses and persists the locale; renderers read through the shared `i18n`.
+ */
+
+import { CONTENT_DATA, ContentUtils } from '../data/content.js';
+import { CONTENT_DATA_ZH } from '../data/content.zh.js';
+import { UI_STRINGS } from '../data/strings.js';
+
+/**
+ * Supported locales; the first is the default and the source the others fall back to
+ */
+export const LOCALES = [
+    { id: 'en', label: 'English', lang: 'en', formatLocale: 'en-US', content: {} },
+    { id: 'zh', label: '中文', lang: 'zh-CN', formatLocale: 'zh-CN', content: CONTENT_DATA_ZH }
+];
+
+export const DEFAULT_LOCALE = LOCALES[0].id;
+
+/**
+ * Query parameter that picks the locale in links (?lang=zh), e.g. from hreflang alternates
+ */
+export const LOCALE_PARAM = 'lang';
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for object literals
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Fields that identify a content item in a list, in order of preference
+ */
+export const ITEM_KEYS = ['id', 'slug', 'page', 'title', 'degree'];
+
+/**
+ * Get the key a list item is overridden by: its first identifying field (see ITEM_KEYS)
+ * @param {*} item - List item
+ * @returns {string|null} Key, or null if the item has none
+ */
+export function getItemKey(item) {
+    const field = isPlainObject(item) ? ITEM_KEYS.find(key => item[key] !== undefined) : undefined;
+    return field ? String(item[field]) : null;
+}
+
+/**
+ * Merge localized overrides over content: objects merge by key, and lists of items are overridden
+ * by an object from item key to overrides ({ reth: { description } } for the project with id 'reth'),
+ * so reordering or adding items in CONTENT_DATA can't shift translations. Anything else is replaced.
+ * @param {*} base - Content
+ * @param {*} overrides - Localized overrides
+ * @returns {*} Merged copy
+ */
+export function mergeContent(base, overrides) {
+    if (overrides === undefined) {
+        return base;
+    }
+    if (Array.isArray(base) && isPlainObject(overrides)) {
+        return base.map(item => {
+            const key = getItemKey(item);
+            return key !== null && Object.hasOwn(overrides, key) ? mergeContent(item, overrides[key]) : item;
+        });
+    }
+    if (isPlainObject(base) && isPlainObject(overrides)) {
+        const merged = { ...base };
+        Object.entries(overrides).forEach(([key, value]) => {
+            merged[key] = mergeContent(base[key], value);
+        });
+        return merged;
+    }
+    return overrides;
+}
+
+export class I18n {
+    /**
+     * @param {Object} [options] - I18n options
+     * @param {Array<Object>} [options.locales] - Supported locales (see LOCALES)
+     * @param {Object} [options.strings] - UI strings by locale id
+     * @param {Object} [options.content] - Content the locale overrides are merged over
+     */
+    constructor({ locales = LOCALES, strings = UI_STRINGS, content = CONTENT_DATA } = {}) {
+        this.locales = locales;
+        this.strings = strings;
+        this.baseContent = content;
+        this.localizedContent = new Map();
+        this.locale = locales[0].id;
+    }
+
+    /**
+     * Get a supported locale
+     * @param {string} id - Locale id
+     * @returns {Object|null} Locale
+     */
+    getLocale(id = this.locale) {
+        return this.locales.find(locale => locale.id === id) || null;
+    }
+
+    /**
+     * Find the supported locale for a language tag ('zh-TW' → 'zh', 'en-GB' → 'en')
+     * @param {string} tag - BCP 47 language tag or locale id
+     * @returns {string|null} Locale id
+     */
+    match(tag) {
+        const language = String(tag || '').toLowerCase().split('-')[0];
+        return this.locales.find(locale => locale.id === language)?.id || null;
+    }
+
+    /**
+     * Switch the active locale
+     * @param {string} id - Locale id
+     * @returns {boolean} True if the locale is supported
+     */
+    setLocale(id) {
+        const locale = this.getLocale(id);
+        if (!locale) {
+            return false;
+        }
+
+        this.locale = locale.id;
+        ContentUtils.locale = locale.formatLocale;
+        return true;
+    }
+
+    /**
+     * Document language of the active locale (for lang and hreflang)
+     * @returns {string} Language tag
+     */
+    get lang() {
+        return this.getLocale().lang;
+    }
+
+    /**
+     * CONTENT_DATA with the active locale's overrides merged in
+     * @returns {Object} Localized content
+     */
+    get content() {
+        if (!this.localizedContent.has(this.locale)) {
+            this.localizedContent.set(this.locale, mergeContent(this.baseContent, this.getLocale().content));
+        }
+        return this.localizedContent.get(this.locale);
+    }
+
+    /**
+     * Translate a UI string
+     * @param {string} key - String key (see src/data/strings.js)
+     * @param {Object} [params] - Placeholder values; `count` also picks the plural form
+     * @returns {string} Translated string (the key itself if no locale has it)
+     */
+    t(key, params = {}) {
+        const fallback = this.strings[this.locales[0].id] || {};
+        let value = this.strings[this.locale]?.[key] ?? fallback[key] ?? key;
+
+        if (isPlainObject(value)) {
+            const category = new Intl.PluralRules(this.lang).select(Number(params.count) || 0);
+            value = value[category] ?? value.other;
+        }
+
+        return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Format a number for the active locale
+     * @param {number} value - Number
+     * @returns {string} Formatted number
+     */
+    formatNumber(value) {
+        return Number(value).toLocaleString(this.getLocale().formatLocale);
+    }
+}
+
+/**
+ * Shared instance used by the renderers and managers
+ */
+export const i18n = new I18n();
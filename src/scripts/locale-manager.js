@@ -0,0 +1,151 @@
+/**
+ * Locale Manager - Chooses the interface language and keeps the page in step with it
+ * The locale comes from a ?lang= parameter, the saved choice or the browser languages, in that
+ * order. Switching sets <html lang>, relabels the navigation and emits locale:changed so the
+ * managers re-render (see i18n.js for the strings and content each locale uses).
+ */
+
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { html } from './html.js';
+import { DEFAULT_LOCALE, LOCALE_PARAM, i18n } from './i18n.js';
+import { pageRegistry } from './page-registry.js';
+
+const LOCALE_STORAGE_KEY = 'locale';
+
+export class LocaleManager {
+    /**
+     * @param {Object} [options] - Locale options
+     * @param {PageRegistry} [options.registry] - Registry whose page labels follow the locale
+     * @param {EventBus} [options.events] - Application event bus (see event-bus.js)
+     * @param {Object} [options.environment] - Window, document, storage and fetch to use instead of the globals (see environment.js)
+     */
+    constructor({ registry = pageRegistry, events = new EventBus(), environment = {} } = {}) {
+        const env = resolveEnvironment(environment);
+        this.window = env.window;
+        this.document = env.document;
+        this.storage = env.storage;
+        this.events = events;
+        this.registry = registry;
+        this.select = null;
+    }
+
+    /**
+     * Initialize locale manager
+     */
+    init() {
+        const { locale, persist } = this.getInitialLocale();
+        this.applyLocale(locale, { persist });
+        this.setupLocalePicker();
+        this.setupAlternateLinks();
+    }
+
+    /**
+     * Get the initial locale: a ?lang= link is followed and remembered, otherwise the saved
+     * choice, otherwise the first browser language that is supported
+     * @returns {{locale: string, persist: boolean}} Locale id and whether to save it
+     */
+    getInitialLocale() {
+        const requested = i18n.match(new URLSearchParams(this.window.location.search).get(LOCALE_PARAM));
+        if (requested) {
+            return { locale: requested, persist: true };
+        }
+
+        const saved = i18n.getLocale(this.storage.getItem(LOCALE_STORAGE_KEY));
+        if (saved) {
+            return { locale: saved.id, persist: false };
+        }
+
+        const languages = this.window.navigator?.languages || [this.window.navigator?.language];
+        const preferred = languages.map(language => i18n.match(language)).find(Boolean);
+        return { locale: preferred || DEFAULT_LOCALE, persist: false };
+    }
+
+    /**
+     * Apply a locale to the document
+     * @param {string} id - Locale id
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.persist=true] - Save the choice
+     */
+    applyLocale(id, { persist = true } = {}) {
+        if (!i18n.setLocale(id)) {
+            console.warn(`Unknown locale: ${id}`);
+            return;
+        }
+
+        this.document.documentElement.lang = i18n.lang;
+        this.registry.localize(i18n.content.navigation);
+
+        if (persist) {
+            this.storage.setItem(LOCALE_STORAGE_KEY, i18n.locale);
+        }
+
+        this.updateLocalePicker();
+        this.events.emit('locale:changed', { locale: i18n.locale, lang: i18n.lang });
+    }
+
+    /**
+     * Choose a locale (alias used by the picker and actions)
+     * @param {string} id - Locale id
+     */
+    setLocale(id) {
+        if (id !== i18n.locale) {
+            this.applyLocale(id);
+        }
+    }
+
+    /**
+     * Fill the language select in the header
+     */
+    setupLocalePicker() {
+        this.select = this.document.querySelector('.locale-select');
+        if (!this.select) {
+            return;
+        }
+
+        this.select.innerHTML = html`${i18n.locales.map(locale => html`
+            <option value="${locale.id}" lang="${locale.lang}">${locale.label}</option>
+        `)}`;
+        this.select.addEventListener('change', () => this.setLocale(this.select.value));
+        this.updateLocalePicker();
+    }
+
+    /**
+     * Show the active locale in the picker
+     */
+    updateLocalePicker() {
+        if (!this.select) return;
+
+        this.select.value = i18n.locale;
+        this.select.setAttribute('aria-label', i18n.t('locale.label'));
+    }
+
+    /**
+     * Link each locale's version of this page with hreflang, unless the prerender build did
+     */
+    setupAlternateLinks() {
+        const head = this.document.head;
+        if (!head || head.querySelector('link[rel="alternate"][hreflang]')) {
+            return;
+        }
+
+        const { origin, pathname } = this.window.location;
+        const page = `${origin}${pathname}`;
+        [...i18n.locales.map(locale => [locale.lang, `${page}?${LOCALE_PARAM}=${locale.id}`]), ['x-default', page]]
+            .forEach(([hreflang, href]) => {
+                const link = this.document.createElement('link');
+                link.rel = 'alternate';
+                link.hreflang = hreflang;
+                link.href = href;
+                head.appendChild(link);
+            });
+    }
+
+    /**
+     * Get the active locale id
+     * @returns {string} Locale id
+     */
+    getCurrentLocale() {
+        return i18n.locale;
+    }
+}
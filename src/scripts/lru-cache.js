@@ -0,0 +1,127 @@
+/**
+ * LRU Cache - Map-like cache with size and age limits
+ * Entries past maxAge are dropped on access; beyond maxSize the least recently used entry is evicted
+ */
+
+export class LRUCache {
+    /**
+     * @param {Object} [options] - Cache options (the shape of APP_CONFIG.cache)
+     * @param {boolean} [options.enabled=true] - When false nothing is stored
+     * @param {number} [options.maxAge=Infinity] - Milliseconds an entry stays valid
+     * @param {number} [options.maxSize=Infinity] - Maximum number of entries
+     */
+    constructor({ enabled = true, maxAge = Infinity, maxSize = Infinity } = {}) {
+        this.enabled = enabled;
+        this.maxAge = maxAge;
+        this.maxSize = maxSize;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Number of stored entries (expired entries count until accessed)
+     * @returns {number} Entry count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Check whether an entry has outlived maxAge
+     * @param {{storedAt: number}} entry - Cache entry
+     * @returns {boolean} True if expired
+     */
+    isExpired(entry) {
+        return Date.now() - entry.storedAt > this.maxAge;
+    }
+
+    /**
+     * Check for a live entry without touching its recency
+     * @param {*} key - Key
+     * @returns {boolean} True if a live entry exists
+     */
+    has(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return false;
+
+        if (this.isExpired(entry)) {
+            this.entries.delete(key);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Get a live entry and mark it most recently used
+     * @param {*} key - Key
+     * @returns {*} Value, or undefined if missing or expired
+     */
+    get(key) {
+        if (!this.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+
+        // Re-insert so Map order tracks recency
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entries beyond maxSize
+     * @param {*} key - Key
+     * @param {*} value - Value
+     * @returns {LRUCache} This cache
+     */
+    set(key, value) {
+        if (!this.enabled || this.maxSize <= 0) {
+            return this;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+
+        while (this.entries.size > this.maxSize) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+        return this;
+    }
+
+    /**
+     * Remove an entry
+     * @param {*} key - Key
+     * @returns {boolean} True if an entry was removed
+     */
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    /**
+     * Remove every entry
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Get cache statistics
+     * @returns {Object} Cache stats
+     */
+    getStats() {
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            maxSize: this.maxSize,
+            maxAge: this.maxAge,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions
+        };
+    }
+}
@@ -4,11 +4,17 @@
  */
 
 import { ApplicationManager } from './app-manager.js';
+import { ServiceWorkerManager } from './service-worker-manager.js';
+import { resolveConfig } from './app-config.js';
+import { html } from './html.js';
+import { i18n } from './i18n.js';
 
 /**
- * Application configuration
+ * Default application configuration
+ * Overridable per page with <script type="application/json" id="app-config">,
+ * and with config.* URL params in debug mode (see app-config.js)
  */
-const APP_CONFIG = {
+const DEFAULT_CONFIG = {
     name: "Karl's Digital Space",
     version: '2.0.0',
     debug: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1',
@@ -25,11 +31,21 @@ const APP_CONFIG = {
     }
 };
 
+/**
+ * Application configuration
+ */
+const APP_CONFIG = resolveConfig(DEFAULT_CONFIG);
+
 /**
  * Global application instance
  */
 let appManager = null;
 
+/**
+ * Service worker manager (offline support)
+ */
+let serviceWorkerManager = null;
+
 /**
  * Initialize application when DOM is ready
  */
@@ -42,7 +58,8 @@ function initializeApplication() {
 
     try {
         // Create application manager instance
-        appManager = new ApplicationManager();
+        appManager = new ApplicationManager(APP_CONFIG);
+        appManager.init();
         
         // Make app manager globally accessible for debugging
         window.appManager = appManager;
@@ -53,6 +70,9 @@ function initializeApplication() {
             setupDevelopmentHelpers();
         }
         
+        // Set up offline support
+        setupServiceWorker();
+
         // Set up performance monitoring
         setupPerformanceMonitoring();
         
@@ -98,6 +118,23 @@ function setupDevelopmentHelpers() {
     console.log('Development helpers enabled. Type debug.help() for available commands.');
 }
 
+/**
+ * Set up the offline service worker
+ * Skipped in debug mode, where cached scripts would hide local edits
+ */
+function setupServiceWorker() {
+    if (!APP_CONFIG.cache.enabled || APP_CONFIG.debug) {
+        return;
+    }
+
+    serviceWorkerManager = new ServiceWorkerManager({
+        version: APP_CONFIG.version,
+        cache: APP_CONFIG.cache,
+        onUpdateAvailable: () => appManager.showUpdatePrompt(() => serviceWorkerManager.applyUpdate())
+    });
+    serviceWorkerManager.init();
+}
+
 /**
  * Set up performance monitoring
  */
@@ -149,7 +186,7 @@ function setupPerformanceMonitoring() {
  * @param {Error} error - Initialization error
  */
 function showInitializationError(error) {
-    const errorHtml = `
+    const errorHtml = html`
         <div style="
             position: fixed;
             top: 0;
@@ -235,7 +272,7 @@ window.addEventListener('error', (event) => {
         
         // Show error notification
         if (appManager && appManager.showNotification) {
-            appManager.showNotification('An error occurred. Please refresh the page.', 'error');
+            appManager.showNotification(i18n.t('notify.errorRefresh'), 'error');
         }
     }
 });
@@ -249,7 +286,7 @@ window.addEventListener('unhandledrejection', (event) => {
     // Show user-friendly error in production
     if (!APP_CONFIG.debug) {
         if (appManager && appManager.showNotification) {
-            appManager.showNotification('A network error occurred. Please check your connection.', 'error');
+            appManager.showNotification(i18n.t('notify.networkError'), 'error');
         }
     }
 });
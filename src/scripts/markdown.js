@@ -0,0 +1,285 @@
+/**
+ * Markdown - Front-matter parsing and Markdown rendering for local blog posts
+ * Supports the subset of CommonMark used by posts: headings, paragraphs, lists,
+ * blockquotes, fenced code, rules, emphasis, inline code, links, images and $…$ math
+ */
+
+import { escapeHtml, safeUrl } from './html.js';
+import { Highlighter } from './highlight.js';
+import { i18n } from './i18n.js';
+import { MathUtils } from './math.js';
+
+const WORDS_PER_MINUTE = 200;
+
+/**
+ * Parse a single front-matter scalar value
+ * @param {string} raw - Raw value
+ * @returns {string|number|boolean|Array} Parsed value
+ */
+function parseScalar(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        return value.slice(1, -1)
+            .split(',')
+            .map(item => parseScalar(item))
+            .filter(item => item !== '');
+    }
+
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+        return value.slice(1, -1);
+    }
+
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+
+    return value;
+}
+
+/**
+ * Render inline Markdown (emphasis, code, links, images)
+ * @param {string} text - Inline Markdown
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    // Pull code spans out first so their contents are not formatted
+    const codeSpans = [];
+    let html = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    // Math is marked up for MathUtils.renderIn, without emphasis inside; other dollar signs
+    // (including \$) stay literal, and the post body is .no-math so renderIn leaves them alone
+    if (html.includes('$')) {
+        html = MathUtils.split(html).map(segment => {
+            if (segment.tex === undefined) return segment.text;
+            codeSpans.push(MathUtils.toSource(segment.tex, { display: segment.display }));
+            return `\u0000${codeSpans.length - 1}\u0000`;
+        }).join('');
+    }
+
+    html = escapeHtml(html)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => {
+            return `<img src="${safeUrl(src)}" alt="${alt}" loading="lazy">`;
+        })
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => {
+            const external = /^https?:\/\//.test(href);
+            const attrs = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `<a href="${safeUrl(href)}"${attrs}>${label}</a>`;
+        })
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_([^_]+)_(?=\W|$)/g, '$1<em>$2</em>');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[Number(index)]);
+}
+
+/**
+ * Render a fenced code block
+ * The info string is a language optionally followed by highlighted lines, e.g. "rust {2,4-5}"
+ * @param {string} code - Code contents
+ * @param {string} info - Fence info string
+ * @param {Object} options - Render options
+ * @param {boolean} options.copyButton - Include the copy-to-clipboard button
+ * @returns {string} HTML
+ */
+function renderCodeBlock(code, info, { copyButton }) {
+    const ranges = info.match(/\{([\d,\s-]*)\}/);
+    const language = info.replace(/\{[^}]*\}/, '').trim().split(/\s+/)[0];
+    const highlighted = Highlighter.highlight(code, language, {
+        highlightLines: Highlighter.parseLineRanges(ranges ? ranges[1] : '', code.split('\n').length)
+    });
+
+    const classAttr = language ? ` class="language-${escapeHtml(language)}"` : '';
+    const langAttr = language ? ` data-lang="${escapeHtml(language)}"` : '';
+    const label = language ? `<span class="code-block-lang">${escapeHtml(language)}</span>` : '';
+    const button = copyButton
+        ? `<button type="button" class="code-copy" aria-label="${escapeHtml(i18n.t('code.copyLabel'))}">${escapeHtml(i18n.t('code.copy'))}</button>`
+        : '';
+    const header = label || button ? `<div class="code-block-header">${label}${button}</div>` : '';
+
+    return `<div class="code-block"${langAttr}>${header}<pre><code${classAttr}>${highlighted}</code></pre></div>`;
+}
+
+export const MarkdownUtils = {
+    /**
+     * Split a Markdown document into front-matter attributes and body
+     * @param {string} source - Raw Markdown file contents
+     * @returns {{attributes: Object, body: string}} Parsed document
+     */
+    parseFrontMatter(source) {
+        const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) {
+            return { attributes: {}, body: source };
+        }
+
+        const attributes = {};
+        let listKey = null;
+
+        match[1].split(/\r?\n/).forEach(line => {
+            if (!line.trim() || line.trim().startsWith('#')) return;
+
+            // Block list item belonging to the previous key
+            const listItem = line.match(/^\s+-\s+(.*)$/);
+            if (listItem && listKey) {
+                attributes[listKey].push(parseScalar(listItem[1]));
+                return;
+            }
+
+            const pair = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!pair) return;
+
+            const [, key, value] = pair;
+            if (value === '') {
+                attributes[key] = [];
+                listKey = key;
+            } else {
+                attributes[key] = parseScalar(value);
+                listKey = null;
+            }
+        });
+
+        return { attributes, body: source.slice(match[0].length) };
+    },
+
+    /**
+     * Render Markdown to HTML
+     * @param {string} markdown - Markdown body
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.copyButton=true] - Give code blocks a copy button (off for feeds)
+     * @returns {string} HTML
+     */
+    render(markdown, { copyButton = true } = {}) {
+        const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+        let quote = [];
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                const items = list.items.map(item => `<li>${renderInline(item)}</li>`).join('');
+                blocks.push(`<${list.type}>${items}</${list.type}>`);
+                list = null;
+            }
+        };
+        const flushQuote = () => {
+            if (quote.length) {
+                blocks.push(`<blockquote>${this.render(quote.join('\n'), { copyButton })}</blockquote>`);
+                quote = [];
+            }
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushQuote();
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            // Fenced code block
+            const fence = line.match(/^(```|~~~)(.*)$/);
+            if (fence) {
+                flushAll();
+                const code = [];
+                i++;
+                while (i < lines.length && !lines[i].startsWith(fence[1])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                blocks.push(renderCodeBlock(code.join('\n'), fence[2], { copyButton }));
+                continue;
+            }
+
+            if (!line.trim()) {
+                flushAll();
+                continue;
+            }
+
+            const quoteLine = line.match(/^>\s?(.*)$/);
+            if (quoteLine) {
+                flushParagraph();
+                flushList();
+                quote.push(quoteLine[1]);
+                continue;
+            }
+            flushQuote();
+
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flushAll();
+                const level = heading[1].length;
+                blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+                continue;
+            }
+
+            if (/^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim())) {
+                flushAll();
+                blocks.push('<hr>');
+                continue;
+            }
+
+            const listItem = line.match(/^\s*([-*+]|\d+\.)\s+(.*)$/);
+            if (listItem) {
+                flushParagraph();
+                const type = /\d/.test(listItem[1]) ? 'ol' : 'ul';
+                if (list && list.type !== type) {
+                    flushList();
+                }
+                list = list || { type, items: [] };
+                list.items.push(listItem[2]);
+                continue;
+            }
+
+            // Continuation of the previous list item
+            if (list && /^\s+\S/.test(line)) {
+                list.items[list.items.length - 1] += ` ${line.trim()}`;
+                continue;
+            }
+
+            flushList();
+            paragraph.push(line.trim());
+        }
+
+        flushAll();
+        return blocks.join('\n');
+    },
+
+    /**
+     * Count words in a Markdown body, ignoring code fences and markup
+     * @param {string} markdown - Markdown body
+     * @returns {number} Word count
+     */
+    countWords(markdown) {
+        const text = markdown
+            .replace(/```[\s\S]*?```/g, ' ')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+            .replace(/[#>*_`~-]/g, ' ');
+
+        return text.split(/\s+/).filter(Boolean).length;
+    },
+
+    /**
+     * Estimate reading time from word count
+     * @param {string} markdown - Markdown body
+     * @returns {string} Read time label in the active locale (e.g. "4 min read")
+     */
+    estimateReadTime(markdown) {
+        const minutes = Math.max(1, Math.ceil(this.countWords(markdown) / WORDS_PER_MINUTE));
+        return i18n.t('post.readTime', { count: minutes });
+    }
+};
@@ -0,0 +1,677 @@
+/**
+ * Math - Renders TeX math ($…$ inline, $$…$$ display) to native MathML
+ * Covers the TeX used in cryptography write-ups: scripts, fractions, roots, big operators,
+ * fonts (\mathbb, \mathcal, …), accents, delimiters, spacing and matrix/cases/aligned environments.
+ * Text nodes and marked-up TeX (see toSource) are converted in place after content renders;
+ * search gets a plain-text form.
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Identifiers: Greek letters and other symbols rendered as <mi>
+ */
+const IDENTIFIERS = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+    theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+    varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+    varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+    Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+    infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', ell: 'ℓ', hbar: 'ℏ',
+    aleph: 'ℵ', top: '⊤', bot: '⊥'
+};
+
+/**
+ * Operators and relations rendered as <mo>
+ */
+const OPERATORS = {
+    cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', otimes: '⊗', odot: '⊙', setminus: '∖', wedge: '∧', land: '∧', vee: '∨', lor: '∨',
+    neg: '¬', lnot: '¬', cup: '∪', cap: '∩', sqcup: '⊔',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', ll: '≪', gg: '≫', approx: '≈', sim: '∼',
+    simeq: '≃', cong: '≅', equiv: '≡', propto: '∝', perp: '⊥', parallel: '∥', mid: '∣', nmid: '∤',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+    Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺', mapsto: '↦', hookrightarrow: '↪',
+    forall: '∀', exists: '∃', nexists: '∄',
+    ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+    langle: '⟨', rangle: '⟩', lvert: '|', rvert: '|', vert: '|', lVert: '‖', rVert: '‖', Vert: '‖',
+    lceil: '⌈', rceil: '⌉', lfloor: '⌊', rfloor: '⌋', colon: ':', prime: '′',
+    '{': '{', '}': '}', '|': '‖', '$': '$', '%': '%', '&': '&', '#': '#', '_': '_'
+};
+
+/**
+ * Large operators, whose scripts go above and below in display math
+ */
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+    bigwedge: '⋀', bigvee: '⋁', int: '∫', iint: '∬', oint: '∮'
+};
+
+/**
+ * Named functions rendered upright; those in LIMIT_FUNCTIONS take limits below in display math
+ */
+const FUNCTIONS = [
+    'arg', 'cos', 'cosh', 'cot', 'deg', 'det', 'dim', 'exp', 'gcd', 'hom', 'inf', 'ker', 'lcm', 'lg',
+    'lim', 'liminf', 'limsup', 'ln', 'log', 'max', 'min', 'Pr', 'sin', 'sinh', 'sup', 'tan', 'tanh'
+];
+const LIMIT_FUNCTIONS = ['inf', 'lim', 'liminf', 'limsup', 'max', 'min', 'Pr', 'sup'];
+
+/**
+ * Accents placed over their argument
+ */
+const ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', tilde: '~', widetilde: '~', vec: '→',
+    overrightarrow: '→', dot: '˙', ddot: '¨', check: 'ˇ'
+};
+
+/**
+ * Spacing commands and their widths
+ */
+const SPACES = {
+    ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em',
+    quad: '1em', qquad: '2em', '!': '-0.1667em', enspace: '0.5em'
+};
+
+/**
+ * Font commands: Unicode alphabet (MathML Core only supports mathvariant="normal")
+ */
+const FONTS = {
+    mathbb: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur',
+    mathbf: 'bold', boldsymbol: 'bold', bm: 'bold', mathrm: 'normal', mathit: 'italic',
+    mathsf: 'normal', mathtt: 'normal'
+};
+
+/**
+ * Unicode Mathematical Alphanumeric Symbols: start of A, start of a, and letters that live elsewhere
+ */
+const ALPHABETS = {
+    'double-struck': { upper: 0x1D538, lower: 0x1D552, digits: 0x1D7D8, exceptions: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' } },
+    script: { upper: 0x1D49C, lower: 0x1D4B6, exceptions: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' } },
+    fraktur: { upper: 0x1D504, lower: 0x1D51E, exceptions: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' } },
+    bold: { upper: 0x1D400, lower: 0x1D41A, digits: 0x1D7CE, exceptions: {} }
+};
+
+/**
+ * Environments rendered as tables, with their fences
+ */
+const ENVIRONMENTS = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], aligned: ['', ''], align: ['', ''],
+    'align*': ['', ''], gathered: ['', ''], array: ['', '']
+};
+
+/**
+ * Elements whose text is never scanned for math; .no-math marks content whose math is already
+ * marked up, such as rendered Markdown
+ */
+const SKIPPED_ELEMENTS = 'pre, code, kbd, script, style, textarea, input, math, .no-math';
+
+/**
+ * Class of the elements toSource() wraps TeX in
+ */
+const SOURCE_CLASS = 'math-tex';
+
+/**
+ * Map letters and digits to a Unicode math alphabet
+ * @param {string} text - Plain letters
+ * @param {string} variant - Alphabet name
+ * @returns {string} Mapped text
+ */
+function mapAlphabet(text, variant) {
+    const alphabet = ALPHABETS[variant];
+    if (!alphabet) return text;
+
+    return [...text].map(char => {
+        if (alphabet.exceptions[char]) return alphabet.exceptions[char];
+        if (/[A-Z]/.test(char)) return String.fromCodePoint(alphabet.upper + char.charCodeAt(0) - 65);
+        if (/[a-z]/.test(char)) return String.fromCodePoint(alphabet.lower + char.charCodeAt(0) - 97);
+        if (/[0-9]/.test(char) && alphabet.digits) return String.fromCodePoint(alphabet.digits + char.charCodeAt(0) - 48);
+        return char;
+    }).join('');
+}
+
+/**
+ * Build a MathML element
+ * @param {string} tag - Tag name
+ * @param {string|string[]} content - Child markup (already escaped)
+ * @param {Object} [attributes] - Attributes
+ * @returns {string} Markup
+ */
+function element(tag, content, attributes = {}) {
+    const attrs = Object.entries(attributes)
+        .map(([name, value]) => ` ${name}="${escapeHtml(value)}"`)
+        .join('');
+    return `<${tag}${attrs}>${Array.isArray(content) ? content.join('') : content}</${tag}>`;
+}
+
+/**
+ * Split TeX into tokens: commands, single characters, digit runs and groups delimiters
+ * @param {string} tex - TeX source
+ * @returns {string[]} Tokens (whitespace dropped)
+ */
+function lex(tex) {
+    const tokens = [];
+    const pattern = /\\(?:[a-zA-Z]+\*?|.)|\d+(?:\.\d+)?|\s+|./gs;
+    let match;
+
+    while ((match = pattern.exec(tex)) !== null) {
+        if (/^\s+$/.test(match[0])) {
+            // Whitespace only matters after a command name, which the pattern already ends
+            continue;
+        }
+        tokens.push(match[0]);
+    }
+
+    return tokens;
+}
+
+/**
+ * Recursive-descent TeX parser producing MathML
+ */
+class TexParser {
+    /**
+     * @param {string} tex - TeX source
+     * @param {boolean} display - Display style (limits above/below large operators)
+     */
+    constructor(tex, display) {
+        this.tokens = lex(tex);
+        this.position = 0;
+        this.display = display;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    /**
+     * Parse a sequence of atoms until a terminator
+     * @param {string[]} [stops] - Tokens that end the sequence (left unconsumed)
+     * @returns {string[]} MathML nodes
+     */
+    parseList(stops = []) {
+        const nodes = [];
+
+        while (this.position < this.tokens.length && !stops.includes(this.peek())) {
+            const node = this.parseScripts();
+            if (node) nodes.push(node);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Parse a required argument: a group or a single token
+     * @returns {string} MathML node
+     */
+    parseArgument() {
+        if (this.peek() === '{') {
+            this.next();
+            const nodes = this.parseList(['}']);
+            this.next();
+            return nodes.length === 1 ? nodes[0] : element('mrow', nodes);
+        }
+        return this.parseAtom() || element('mrow', '');
+    }
+
+    /**
+     * Read a raw group's text without parsing (for \text, \operatorname, environment names)
+     * @returns {string} Raw text
+     */
+    parseRawArgument() {
+        if (this.peek() !== '{') {
+            return this.next() || '';
+        }
+
+        this.next();
+        let depth = 1;
+        let text = '';
+        while (this.position < this.tokens.length) {
+            const token = this.next();
+            if (token === '{') depth++;
+            if (token === '}' && --depth === 0) break;
+            text += /^\\[a-zA-Z]/.test(token) ? `${token} ` : token;
+        }
+        return text.replace(/\\ /g, ' ').replace(/\\([{}$%&#_])/g, '$1');
+    }
+
+    /**
+     * Parse an atom with its sub/superscripts and primes
+     * @returns {string|null} MathML node
+     */
+    parseScripts() {
+        const token = this.peek();
+        const limits = this.display && (
+            (token && token.slice(1) in LARGE_OPERATORS) || LIMIT_FUNCTIONS.includes(token && token.slice(1))
+        );
+        let base = this.parseAtom();
+        if (base === null) return null;
+
+        let sub = null;
+        let sup = null;
+        while (['^', '_', "'"].includes(this.peek())) {
+            const op = this.next();
+            if (op === "'") {
+                sup = sup ? element('mrow', [sup, element('mo', '′')]) : element('mo', '′');
+            } else if (op === '^') {
+                sup = this.parseArgument();
+            } else {
+                sub = this.parseArgument();
+            }
+        }
+
+        if (sub && sup) {
+            base = element(limits ? 'munderover' : 'msubsup', [base, sub, sup]);
+        } else if (sub) {
+            base = element(limits ? 'munder' : 'msub', [base, sub]);
+        } else if (sup) {
+            base = element(limits ? 'mover' : 'msup', [base, sup]);
+        }
+        return base;
+    }
+
+    /**
+     * Parse a delimiter after \left, \right or \big
+     * @returns {string} Delimiter character ('' for '.')
+     */
+    parseDelimiter() {
+        const token = this.next() || '.';
+        if (token === '.') return '';
+        if (token.startsWith('\\')) return OPERATORS[token.slice(1)] || token.slice(1);
+        return token;
+    }
+
+    /**
+     * Parse a single atom
+     * @returns {string|null} MathML node (null for tokens that render nothing)
+     */
+    parseAtom() {
+        const token = this.next();
+        if (token === undefined) return null;
+
+        if (token === '{') {
+            const nodes = this.parseList(['}']);
+            this.next();
+            return element('mrow', nodes);
+        }
+        if (token === '}') return null;
+        if (/^\d/.test(token)) return element('mn', escapeHtml(token));
+        if (/^[a-zA-Z]$/.test(token)) return element('mi', token);
+        if (!token.startsWith('\\')) {
+            const symbol = { '-': '−', '*': '∗' }[token] || token;
+            return element('mo', escapeHtml(symbol), /[()[\]|]/.test(token) ? { stretchy: 'false' } : {});
+        }
+
+        return this.parseCommand(token.slice(1));
+    }
+
+    /**
+     * Parse a command (name without the backslash)
+     * @param {string} name - Command name
+     * @returns {string|null} MathML node
+     */
+    parseCommand(name) {
+        if (name in IDENTIFIERS) {
+            // Lowercase Greek is italic as in TeX; capitals and other symbols are upright
+            const italic = /^[a-z]/.test(name) && /[α-ϵ]/.test(IDENTIFIERS[name]);
+            return element('mi', IDENTIFIERS[name], italic ? {} : { mathvariant: 'normal' });
+        }
+        if (name in OPERATORS) return element('mo', escapeHtml(OPERATORS[name]));
+        if (name in LARGE_OPERATORS) {
+            return element('mo', LARGE_OPERATORS[name], { largeop: 'true', movablelimits: 'true' });
+        }
+        if (FUNCTIONS.includes(name)) return element('mi', name, name.length === 1 ? { mathvariant: 'normal' } : {});
+        if (name in SPACES) return element('mspace', '', { width: SPACES[name] });
+        if (name in ACCENTS) {
+            return element('mover', [this.parseArgument(), element('mo', ACCENTS[name], { stretchy: name.startsWith('wide') || name.startsWith('over') ? 'true' : 'false' })], { accent: 'true' });
+        }
+        if (name in FONTS) return this.parseFont(FONTS[name]);
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+                return element('mfrac', [this.parseArgument(), this.parseArgument()]);
+            case 'binom':
+                return element('mrow', [
+                    element('mo', '('),
+                    element('mfrac', [this.parseArgument(), this.parseArgument()], { linethickness: '0' }),
+                    element('mo', ')')
+                ]);
+            case 'sqrt': {
+                if (this.peek() === '[') {
+                    this.next();
+                    const index = this.parseList([']']);
+                    this.next();
+                    return element('mroot', [this.parseArgument(), element('mrow', index)]);
+                }
+                return element('msqrt', this.parseArgument());
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'textbf':
+            case 'mbox':
+                return element('mtext', escapeHtml(this.parseRawArgument()));
+            case 'operatorname':
+                return element('mi', escapeHtml(this.parseRawArgument().trim()), { mathvariant: 'normal' });
+            case 'left':
+            case 'right': {
+                const delimiter = this.parseDelimiter();
+                if (name === 'right') return element('mo', escapeHtml(delimiter), { fence: 'true', stretchy: 'true' });
+                const body = this.parseList(['\\right']);
+                const close = this.next() ? this.parseDelimiter() : '';
+                return element('mrow', [
+                    delimiter ? element('mo', escapeHtml(delimiter), { fence: 'true', stretchy: 'true' }) : '',
+                    ...body,
+                    close ? element('mo', escapeHtml(close), { fence: 'true', stretchy: 'true' }) : ''
+                ]);
+            }
+            case 'big': case 'Big': case 'bigg': case 'Bigg':
+            case 'bigl': case 'bigr': case 'Bigl': case 'Bigr': case 'biggl': case 'biggr':
+                return element('mo', escapeHtml(this.parseDelimiter()), { stretchy: 'false' });
+            case 'mod':
+            case 'bmod':
+                return element('mo', 'mod', { lspace: '0.5em', rspace: '0.5em' });
+            case 'pmod':
+                return element('mrow', [element('mo', '(', { lspace: '0.5em' }), element('mo', 'mod', { rspace: '0.3em' }), this.parseArgument(), element('mo', ')')]);
+            case 'begin':
+                return this.parseEnvironment(this.parseRawArgument());
+            case '\\':
+            case 'end':
+            case 'displaystyle':
+            case 'textstyle':
+            case 'limits':
+            case 'nolimits':
+                return null;
+            default:
+                return element('merror', element('mtext', escapeHtml(`\\${name}`)));
+        }
+    }
+
+    /**
+     * Parse a font command's argument into a mapped alphabet
+     * @param {string} variant - Alphabet name
+     * @returns {string} MathML node
+     */
+    parseFont(variant) {
+        const text = this.parseRawArgument();
+        if (/^[a-zA-Z0-9\s]*$/.test(text)) {
+            const mapped = mapAlphabet(text.replace(/\s+/g, ''), variant);
+            const tag = /^[0-9]+$/.test(text) ? 'mn' : 'mi';
+            return element(tag, escapeHtml(mapped), variant === 'normal' || [...mapped].length > 1 ? { mathvariant: 'normal' } : {});
+        }
+        return new TexParser(text, this.display).parseArgumentList();
+    }
+
+    /**
+     * Parse the whole token list into a single node
+     * @returns {string} MathML node
+     */
+    parseArgumentList() {
+        const nodes = this.parseList();
+        return nodes.length === 1 ? nodes[0] : element('mrow', nodes);
+    }
+
+    /**
+     * Parse an environment body into a table
+     * @param {string} name - Environment name
+     * @returns {string} MathML node
+     */
+    parseEnvironment(name) {
+        // array takes a column spec, e.g. {cc}
+        if (name === 'array' && this.peek() === '{') this.parseRawArgument();
+
+        const rows = [];
+        let cells = [];
+        while (this.position < this.tokens.length) {
+            const nodes = this.parseList(['&', '\\\\', '\\end']);
+            cells.push(element('mtd', nodes));
+
+            const token = this.next();
+            if (token === '&') continue;
+
+            rows.push(element('mtr', cells));
+            cells = [];
+            if (token === '\\end' || token === undefined) {
+                this.parseRawArgument();
+                break;
+            }
+        }
+
+        const aligned = ['aligned', 'align', 'align*', 'cases'].includes(name);
+        const table = element('mtable', rows, aligned ? { columnalign: 'right left', columnspacing: '0.25em' } : {});
+        const [open, close] = ENVIRONMENTS[name] || ['', ''];
+        return element('mrow', [
+            open ? element('mo', escapeHtml(open), { fence: 'true', stretchy: 'true' }) : '',
+            table,
+            close ? element('mo', escapeHtml(close), { fence: 'true', stretchy: 'true' }) : ''
+        ]);
+    }
+}
+
+export const MathUtils = {
+    /**
+     * Split text into plain and math segments
+     * $$…$$ is display math; $…$ is inline math when the opening $ is not followed by a space
+     * and the closing $ is not preceded by a space or followed by a digit (so "$5 and $10" stays text).
+     * \$ is a literal dollar sign.
+     * @param {string} text - Text possibly containing math
+     * @returns {Array<{text?: string, tex?: string, display?: boolean}>} Segments
+     */
+    split(text) {
+        const segments = [];
+        let plain = '';
+        let i = 0;
+
+        while (i < text.length) {
+            if (text[i] === '\\' && text[i + 1] === '$') {
+                plain += '$';
+                i += 2;
+                continue;
+            }
+
+            if (text[i] === '$') {
+                const display = text[i + 1] === '$';
+                const end = display ? this.findDisplayEnd(text, i + 2) : this.findInlineEnd(text, i + 1);
+                if (end !== -1) {
+                    if (plain) segments.push({ text: plain });
+                    plain = '';
+                    segments.push({ tex: text.slice(i + (display ? 2 : 1), end).trim(), display });
+                    i = end + (display ? 2 : 1);
+                    continue;
+                }
+            }
+
+            plain += text[i];
+            i++;
+        }
+
+        if (plain) segments.push({ text: plain });
+        return segments;
+    },
+
+    /**
+     * Find the closing $$ of display math
+     * @param {string} text - Text
+     * @param {number} start - Index after the opening $$
+     * @returns {number} Index of the closing $$, or -1
+     */
+    findDisplayEnd(text, start) {
+        const end = text.indexOf('$$', start);
+        return end > start && text.slice(start, end).trim() ? end : -1;
+    },
+
+    /**
+     * Find the closing $ of inline math
+     * @param {string} text - Text
+     * @param {number} start - Index after the opening $
+     * @returns {number} Index of the closing $, or -1
+     */
+    findInlineEnd(text, start) {
+        if (!text[start] || /\s|\$/.test(text[start])) return -1;
+
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '$') {
+                if (/\s/.test(text[i - 1]) || /\d/.test(text[i + 1] || '')) return -1;
+                return i;
+            } else if (text[i] === '\n' && text[i + 1] === '\n') {
+                return -1;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Check whether text contains math
+     * @param {string} text - Text
+     * @returns {boolean} True if any math segment is found
+     */
+    hasMath(text) {
+        return text.includes('$') && this.split(text).some(segment => segment.tex !== undefined);
+    },
+
+    /**
+     * Convert TeX to MathML markup
+     * @param {string} tex - TeX source without delimiters
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.display=false] - Display (block) math
+     * @returns {string} <math> markup
+     */
+    toMathML(tex, { display = false } = {}) {
+        let body;
+        try {
+            body = new TexParser(tex, display).parseArgumentList();
+        } catch (error) {
+            console.warn('Failed to render math:', tex, error);
+            body = element('merror', element('mtext', escapeHtml(tex)));
+        }
+
+        return element('math', element('semantics', [
+            body,
+            element('annotation', escapeHtml(tex), { encoding: 'application/x-tex' })
+        ]), {
+            display: display ? 'block' : 'inline',
+            class: 'math'
+        });
+    },
+
+    /**
+     * Mark up TeX for renderIn to convert, delimiters included so it still reads as TeX
+     * where scripts don't run (feeds, prerendered pages)
+     * @param {string} tex - TeX source without delimiters
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.display=false] - Display (block) math
+     * @returns {string} <span> markup
+     */
+    toSource(tex, { display = false } = {}) {
+        const delimiter = display ? '$$' : '$';
+        return element('span', escapeHtml(`${delimiter}${tex}${delimiter}`), {
+            class: SOURCE_CLASS,
+            'data-tex': tex,
+            'data-display': display ? 'block' : 'inline'
+        });
+    },
+
+    /**
+     * Convert TeX to readable plain text (Unicode symbols, a/b fractions, _ and ^ scripts)
+     * @param {string} tex - TeX source without delimiters
+     * @returns {string} Plain text
+     */
+    toPlainText(tex) {
+        return tex
+            .replace(/\\(?:mathbb|mathcal|mathscr|mathfrak|mathbf|boldsymbol|bm)\{([a-zA-Z0-9]+)\}/g, (match, text) => {
+                const command = match.slice(1, match.indexOf('{'));
+                return mapAlphabet(text, FONTS[command]);
+            })
+            .replace(/\\[dt]?frac\{([^{}]*)\}\{([^{}]*)\}/g, '($1)/($2)')
+            .replace(/\\sqrt(?:\[([^\]]*)\])?\{([^{}]*)\}/g, (match, index, radicand) => `${index || ''}√(${radicand})`)
+            .replace(/\\(?:begin|end)\{[^{}]*\}/g, ' ')
+            .replace(/\\\\/g, '; ')
+            .replace(/\\(?:text|textrm|mathrm|operatorname|mbox)\{([^{}]*)\}/g, '$1')
+            .replace(/\\(?:left|right|big|Big|bigg|Bigg)[lr]?\b\.?/g, '')
+            .replace(/\\([a-zA-Z]+)/g, (match, name) => {
+                if (name in IDENTIFIERS) return IDENTIFIERS[name];
+                if (name in OPERATORS) return ` ${OPERATORS[name]} `;
+                if (name in LARGE_OPERATORS) return LARGE_OPERATORS[name];
+                if (FUNCTIONS.includes(name)) return ` ${name} `;
+                if (['mod', 'bmod', 'pmod'].includes(name)) return ' mod ';
+                return name in ACCENTS || name in FONTS || name in SPACES ? ' ' : ` ${name} `;
+            })
+            .replace(/\\[,:;! ]/g, ' ')
+            .replace(/\\([{}$%&#_])/g, '$1')
+            .replace(/[{}&]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Replace math in text with searchable plain text
+     * Keeps command names (alpha, sum, log) next to their symbols so either can be searched
+     * @param {string} text - Text possibly containing math
+     * @returns {string} Text with plain-text formulas
+     */
+    toSearchText(text) {
+        if (!text || !this.hasMath(text)) return text || '';
+
+        return this.split(text).map(segment => {
+            if (segment.tex === undefined) return segment.text;
+
+            const names = (segment.tex.match(/\\[a-zA-Z]+/g) || [])
+                .map(command => command.slice(1))
+                .filter(name => name in IDENTIFIERS || name in LARGE_OPERATORS || FUNCTIONS.includes(name));
+            return ` ${this.toPlainText(segment.tex)} ${[...new Set(names)].join(' ')} `;
+        }).join('');
+    },
+
+    /**
+     * Render math marked up by toSource and in every text node under an element
+     * Text in code, preformatted text, form fields, .no-math and already rendered math is skipped
+     * @param {Element} root - Element whose text is scanned
+     * @returns {number} Number of formulas rendered
+     */
+    renderIn(root) {
+        if (!root) return 0;
+
+        const doc = root.ownerDocument;
+        const template = doc.createElement('template');
+        let count = 0;
+
+        root.querySelectorAll(`.${SOURCE_CLASS}`).forEach(source => {
+            template.innerHTML = this.toMathML(source.dataset.tex, { display: source.dataset.display === 'block' });
+            source.replaceWith(template.content);
+            count++;
+        });
+
+        const { NodeFilter } = doc.defaultView;
+        const walker = doc.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.nodeValue.includes('$') && !node.parentElement.closest(SKIPPED_ELEMENTS)
+                ? NodeFilter.FILTER_ACCEPT
+                : NodeFilter.FILTER_REJECT)
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const segments = this.split(node.nodeValue);
+            if (!segments.some(segment => segment.tex !== undefined)) return;
+
+            template.innerHTML = segments.map(segment => {
+                if (segment.tex === undefined) return escapeHtml(segment.text);
+                count++;
+                return this.toMathML(segment.tex, { display: segment.display });
+            }).join('');
+            node.replaceWith(template.content);
+        });
+
+        return count;
+    }
+};
@@ -4,51 +4,164 @@
  */
 
 import { ContentLoader } from './content-loader.js';
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { html } from './html.js';
+import { LOCALE_PARAM, i18n } from './i18n.js';
+import { LRUCache } from './lru-cache.js';
+import { MathUtils } from './math.js';
+import { pageRegistry } from './page-registry.js';
+import { Router } from './router.js';
 
 export class NavigationManager {
-    constructor() {
+    /**
+     * @param {PageRegistry} registry - Page registry describing routable pages
+     * @param {Object} [options] - Navigation options
+     * @param {Object} [options.cache] - Page and content cache limits (APP_CONFIG.cache)
+     * @param {EventBus} [options.events] - Application event bus (see event-bus.js)
+     * @param {Object} [options.environment] - Window, document, storage and fetch to use instead of the globals (see environment.js)
+     */
+    constructor(registry = pageRegistry, { cache = {}, events = new EventBus(), environment = {} } = {}) {
+        const env = resolveEnvironment(environment);
+        this.window = env.window;
+        this.document = env.document;
+        this.events = events;
+        this.registry = registry;
+        this.router = registry.registerRoutes(new Router());
         this.currentPage = 'home';
-        this.contentLoader = new ContentLoader();
-        this.pageCache = new Map();
+        this.currentRoute = null;
+        this.currentMatch = null;
+        this.navigationId = 0;
+        this.pendingAnchor = null;
+        this.anchorTarget = null;
+        this.contentLoader = new ContentLoader(registry, { cache, events, environment: env });
+        this.pageCache = new LRUCache(cache);
         this.isLoading = false;
-        this.init();
     }
 
     /**
      * Initialize navigation manager
      */
     init() {
+        this.contentLoader.init();
+        this.renderNavigation();
+        this.updateNavigationLabels();
         this.setupEventListeners();
         this.handleInitialPageLoad();
     }
 
+    /**
+     * Render navigation links from the page registry
+     */
+    renderNavigation() {
+        const navList = this.document.querySelector('.nav-list');
+        if (!navList) {
+            console.warn('Navigation list not found');
+            return;
+        }
+
+        // Prerendered pages ship their navigation with static links
+        if (navList.hasAttribute('data-prerendered')) {
+            return;
+        }
+
+        navList.innerHTML = NavigationManager.renderNavigationItems(this.registry);
+    }
+
+    /**
+     * Render navigation items for a registry (shared with the prerender build)
+     * @param {PageRegistry} registry - Page registry
+     * @param {string|null} [activePage] - Page whose link is marked active
+     * @returns {SafeHtml} Navigation list items
+     */
+    static renderNavigationItems(registry, activePage = null) {
+        return html`${registry.getNavigationItems().map(page => NavigationManager.renderNavigationItem(page, activePage))}`;
+    }
+
+    /**
+     * Render one navigation item
+     * @param {Object} page - Page definition
+     * @param {string|null} [activePage] - Page whose link is marked active
+     * @returns {SafeHtml} Navigation list item
+     */
+    static renderNavigationItem(page, activePage = null) {
+        return html`
+            <li class="nav-item">
+                <a href="#${page.id}" class="nav-link${page.id === activePage ? ' active' : ''}"${page.id === activePage ? html` aria-current="page"` : ''} data-page="${page.id}" data-icon="${page.icon}">
+                    <span class="nav-icon">${page.icon}</span>
+                    <span class="nav-text">${page.navLabel}</span>
+                </a>
+            </li>
+        `;
+    }
+
+    /**
+     * Register a page after startup (plugin pages): adds its routes and navigation link, and
+     * renders it if the current route was waiting for it
+     * @param {Object} entry - Page entry (see PageRegistry.register)
+     * @returns {Object} Page definition
+     */
+    addPage(entry) {
+        const id = entry.id || entry.page;
+        if (this.registry.has(id)) {
+            throw new Error(`Page already registered: ${id}`);
+        }
+
+        const page = this.registry.register(entry);
+        this.registry.registerPageRoutes(this.router, page);
+
+        const navList = this.document.querySelector('.nav-list');
+        if (navList && page.showInNav) {
+            navList.insertAdjacentHTML('beforeend', String(NavigationManager.renderNavigationItem(page, this.currentPage)));
+        }
+
+        // The route was rendered as not found before the page existed
+        if (this.currentPage === null && this.router.match(this.currentRoute)) {
+            this.loadPageContent(this.currentRoute);
+        }
+
+        return page;
+    }
+
     /**
      * Set up navigation event listeners
      */
     setupEventListeners() {
-        // Handle navigation link clicks
-        document.addEventListener('click', (e) => {
-            const navLink = e.target.closest('.nav-link');
-            if (navLink) {
-                e.preventDefault();
-                const page = navLink.getAttribute('data-page');
-                if (page) {
-                    this.navigateToPage(page);
-                }
+        // The location hash is the single source of truth for routing:
+        // links and navigateToPage only change the hash, and every change
+        // (including back/forward) is handled here exactly once.
+        this.window.addEventListener('hashchange', () => {
+            this.handleRouteChange();
+        });
+
+        // Links to an item on another page scroll to it (data-anchor) once its route (data-route) renders;
+        // the route is kept in data-route because the prerender build rewrites hash hrefs to paths
+        this.document.addEventListener('click', (e) => {
+            const link = e.target.closest('a[data-route][data-anchor]');
+            if (!link || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) {
+                return;
             }
+
+            e.preventDefault();
+            const { path, query } = Router.parse(link.dataset.route);
+            this.navigateToPage(path, query, { anchor: link.dataset.anchor });
         });
 
-        // Handle browser back/forward buttons
-        window.addEventListener('popstate', (e) => {
-            const page = e.state?.page || 'home';
-            this.loadPageContent(page, false);
+        // The skip link focuses the main content itself: following #main-content would replace the route hash
+        this.document.addEventListener('click', (e) => {
+            if (!e.target.closest('[data-skip-link]')) {
+                return;
+            }
+
+            e.preventDefault();
+            this.document.getElementById('main-content')?.focus();
         });
 
-        // Handle hash changes (fallback)
-        window.addEventListener('hashchange', () => {
-            const hash = window.location.hash.slice(1);
-            if (hash && hash !== this.currentPage) {
-                this.navigateToPage(hash);
+        // Relabel the navigation and render the current route again in the new language
+        this.events.on('locale:changed', () => {
+            this.updateNavigationLabels();
+            if (this.currentRoute !== null) {
+                this.loadPageContent(this.currentRoute);
             }
         });
     }
@@ -57,83 +170,273 @@ export class NavigationManager {
      * Handle initial page load
      */
     handleInitialPageLoad() {
-        const hash = window.location.hash.slice(1);
-        const initialPage = hash || 'home';
-        this.loadPageContent(initialPage, false);
+        this.handleRouteChange();
+    }
+
+    /**
+     * Get the current route from the location hash
+     * @returns {string} Route without the leading '#'
+     */
+    getLocationRoute() {
+        return this.window.location.hash.slice(1) || this.getDocumentRoute() || 'home';
+    }
+
+    /**
+     * Get the route a prerendered page was built for, including its query string
+     * @returns {string|null} Route, or null if the page was not prerendered
+     */
+    getDocumentRoute() {
+        const container = this.document.querySelector('.content-container[data-route]');
+        if (!container) {
+            return null;
+        }
+
+        // ?lang= picks the locale (see LocaleManager), it isn't part of the route
+        const query = Router.parse(this.window.location.search).query;
+        delete query[LOCALE_PARAM];
+        return Router.build(container.dataset.route, query);
+    }
+
+    /**
+     * Adopt prerendered content for the initial route instead of rendering it again
+     * @param {string} route - Route without the leading '#'
+     * @returns {boolean} True if the page was hydrated
+     */
+    hydrate(route) {
+        const container = this.document.querySelector('.content-container[data-route]');
+        const match = this.router.match(route);
+        if (!container || !match || container.dataset.route !== route) {
+            return false;
+        }
+
+        // Prerendered in another language: render it again instead
+        if (container.dataset.locale && container.dataset.locale !== i18n.locale) {
+            return false;
+        }
+
+        this.currentRoute = route;
+        this.currentPage = match.page;
+        this.currentMatch = match;
+        this.updateNavigationState(match.page);
+        MathUtils.renderIn(container);
+        this.events.emit('page:changed', { route, page: match.page, match });
+        return true;
     }
 
     /**
      * Navigate to specific page
-     * @param {string} page - Target page name
+     * @param {string} page - Target route (e.g. 'blogs' or 'blogs/<slug>')
+     * @param {Object} [query] - Query parameters (e.g. { tag: 'ZK' })
+     * @param {Object} [options] - Navigation options
+     * @param {string} [options.anchor] - Element id to scroll to once the page is rendered
      */
-    async navigateToPage(page) {
-        if (page === this.currentPage || this.isLoading) {
+    navigateToPage(page, query = {}, { anchor = null } = {}) {
+        const route = Router.build(page, query);
+        if (route === this.currentRoute) {
+            this.scrollToAnchor(anchor)?.focus({ preventScroll: true });
             return;
         }
 
+        this.pendingAnchor = anchor;
+
+        // Changing the hash adds a history entry and triggers handleRouteChange
+        this.window.location.hash = route;
+    }
+
+    /**
+     * Load the route currently in the location hash
+     */
+    async handleRouteChange() {
+        const route = this.getLocationRoute();
+        if (route === this.currentRoute) {
+            return;
+        }
+
+        this.events.emit('page:willChange', { from: this.currentRoute, to: route });
+
+        if (this.currentRoute === null && this.hydrate(route)) {
+            return;
+        }
+
+        const navigationId = ++this.navigationId;
+        const isInitialLoad = this.currentRoute === null;
         this.isLoading = true;
-        this.showLoadingState();
+
+        // The initial page already shows the loading state from index.html
+        if (!isInitialLoad) {
+            this.showLoadingState();
+        }
 
         try {
-            await this.loadPageContent(page, true);
+            await this.loadPageContent(route, navigationId);
+
+            // Keyboard and screen reader users continue from the new page, not the link they followed
+            if (!isInitialLoad && navigationId === this.navigationId) {
+                this.focusPage();
+                this.announcePage();
+            }
         } catch (error) {
-            console.error(`Failed to navigate to page: ${page}`, error);
+            console.error(`Failed to navigate to route: ${route}`, error);
             this.showErrorState(error);
         } finally {
-            this.isLoading = false;
+            if (navigationId === this.navigationId) {
+                this.isLoading = false;
+            }
         }
     }
 
     /**
      * Load page content
-     * @param {string} page - Page name
-     * @param {boolean} updateHistory - Whether to update browser history
+     * @param {string} route - Route without the leading '#'
+     * @param {number} navigationId - Navigation this load belongs to
      */
-    async loadPageContent(page, updateHistory = true) {
-        if (!this.validatePage(page)) {
-            throw new Error(`Invalid page: ${page}`);
-        }
+    async loadPageContent(route, navigationId = ++this.navigationId) {
+        const match = this.router.match(route);
+        this.currentRoute = route;
 
-        // Update URL and history
-        if (updateHistory) {
-            const url = `#${page}`;
-            window.history.pushState({ page }, '', url);
+        if (!match) {
+            this.renderNotFound();
+            return;
         }
 
         // Update navigation state
-        this.updateNavigationState(page);
+        this.updateNavigationState(match.page);
 
         // Load content using ContentLoader
         try {
-            const content = await this.contentLoader.loadContentComponent(page);
+            const content = await this.contentLoader.loadContentComponent(match.page, match);
+
+            // A newer navigation started while this one was loading
+            if (navigationId !== this.navigationId) {
+                return;
+            }
+
             this.renderContent(content);
-            this.currentPage = page;
+            this.currentPage = match.page;
+            this.currentMatch = match;
             
-            // Update page title
-            this.updatePageTitle(page);
+            // Update page title and description
+            this.updatePageTitle(match);
             
-            // Rebuild search index for new content
-            if (window.searchManager) {
-                window.searchManager.rebuildIndex();
+            // Scroll to the requested item, or to the top
+            const anchor = this.pendingAnchor;
+            this.pendingAnchor = null;
+            this.anchorTarget = this.scrollToAnchor(anchor);
+            if (!this.anchorTarget) {
+                this.window.scrollTo({ top: 0, behavior: this.getScrollBehavior() });
             }
-            
-            // Scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+
+            this.events.emit('page:changed', { route, page: match.page, match });
             
         } catch (error) {
-            console.error(`Failed to load content for page: ${page}`, error);
+            console.error(`Failed to load content for route: ${route}`, error);
             this.renderErrorContent(error);
         }
     }
 
+    /**
+     * Scroll to and briefly highlight a rendered content item
+     * @param {string|null} anchor - Element id
+     * @returns {HTMLElement|null} The element, made focusable, or null if it was not found
+     */
+    scrollToAnchor(anchor) {
+        const target = anchor ? this.document.getElementById(anchor) : null;
+        if (!target) {
+            return null;
+        }
+
+        target.scrollIntoView({ behavior: this.getScrollBehavior(), block: 'center' });
+        target.classList.add('search-target');
+        setTimeout(() => {
+            target.classList.remove('search-target');
+        }, 2000);
+
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        return target;
+    }
+
+    /**
+     * Check whether the user asked the system to minimize animations
+     * @returns {boolean} True if prefers-reduced-motion is set
+     */
+    prefersReducedMotion() {
+        return Boolean(this.window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+    }
+
+    /**
+     * Get the scroll behavior for route changes
+     * @returns {string} 'auto' with reduced motion, otherwise 'smooth'
+     */
+    getScrollBehavior() {
+        return this.prefersReducedMotion() ? 'auto' : 'smooth';
+    }
+
+    /**
+     * Move focus to the rendered page: the item scrolled to, or the page heading
+     */
+    focusPage() {
+        const target = this.anchorTarget || this.getPageHeading();
+        this.anchorTarget = null;
+        if (!target) {
+            return;
+        }
+
+        // Headings aren't focusable on their own; -1 keeps them out of the tab order
+        if (!target.hasAttribute('tabindex')) {
+            target.setAttribute('tabindex', '-1');
+        }
+        target.focus({ preventScroll: true });
+    }
+
+    /**
+     * Get the main heading of the rendered page
+     * @returns {HTMLElement|null} First h1 (or h2 if the page has none)
+     */
+    getPageHeading() {
+        const container = this.document.querySelector('.content-container');
+        return container ? container.querySelector('h1') || container.querySelector('h2') : null;
+    }
+
+    /**
+     * Announce the rendered page through the polite live region in index.html
+     */
+    announcePage() {
+        let announcer = this.document.querySelector('[data-route-announcer]');
+        if (!announcer) {
+            announcer = this.document.createElement('div');
+            announcer.className = 'sr-only';
+            announcer.setAttribute('role', 'status');
+            announcer.setAttribute('aria-live', 'polite');
+            announcer.setAttribute('aria-atomic', 'true');
+            announcer.setAttribute('data-route-announcer', '');
+            this.document.body.appendChild(announcer);
+        }
+
+        const title = this.getPageHeading()?.textContent.trim() || this.document.title;
+        announcer.textContent = i18n.t('a11y.navigated', { title });
+    }
+
+    /**
+     * Render the not found route
+     */
+    renderNotFound() {
+        this.currentPage = null;
+        this.currentMatch = null;
+        this.updateNavigationState(null);
+        this.renderContent(this.contentLoader.renderNotFoundContent());
+        this.updatePageTitle(null);
+        this.events.emit('page:changed', { route: this.currentRoute, page: null, match: null });
+    }
+
     /**
      * Validate page name
      * @param {string} page - Page name
      * @returns {boolean} Validation result
      */
     validatePage(page) {
-        const validPages = ['home', 'blogs', 'projects', 'misc'];
-        return validPages.includes(page);
+        return this.registry.has(page);
     }
 
     /**
@@ -142,36 +445,62 @@ export class NavigationManager {
      */
     updateNavigationState(page) {
         // Update active navigation item
-        const navLinks = document.querySelectorAll('.nav-link');
+        const navLinks = this.document.querySelectorAll('.nav-link');
         navLinks.forEach(link => {
             const linkPage = link.getAttribute('data-page');
-            if (linkPage === page) {
+            if (linkPage && linkPage === page) {
                 link.classList.add('active');
+                link.setAttribute('aria-current', 'page');
             } else {
                 link.classList.remove('active');
+                link.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Show the registry's (localized) labels on the navigation links, prerendered or not,
+     * and the skip link in the active language
+     */
+    updateNavigationLabels() {
+        const skipLink = this.document.querySelector('[data-skip-link]');
+        if (skipLink) {
+            skipLink.textContent = i18n.t('a11y.skip');
+        }
+
+        this.document.querySelectorAll('.nav-link[data-page]').forEach(link => {
+            const page = this.registry.get(link.dataset.page);
+            const label = link.querySelector('.nav-text');
+            if (page && label) {
+                label.textContent = page.navLabel;
             }
         });
     }
 
     /**
      * Render content in main container
-     * @param {string} content - HTML content
+     * @param {SafeHtml|string} content - HTML content
      */
     renderContent(content) {
-        const contentContainer = document.querySelector('.content-container');
+        const contentContainer = this.document.querySelector('.content-container');
         if (!contentContainer) {
             console.error('Content container not found');
             return;
         }
 
         contentContainer.innerHTML = content;
-        
+        MathUtils.renderIn(contentContainer);
+
         // Add fade-in animation
+        if (this.prefersReducedMotion()) {
+            return;
+        }
+
         contentContainer.style.opacity = '0';
         contentContainer.style.transform = 'translateY(20px)';
         contentContainer.style.transition = 'opacity 0.3s ease, transform 0.3s ease';
         
-        requestAnimationFrame(() => {
+        this.window.requestAnimationFrame(() => {
             contentContainer.style.opacity = '1';
             contentContainer.style.transform = 'translateY(0)';
         });
@@ -182,29 +511,30 @@ export class NavigationManager {
      * @param {Error} error - Error object
      */
     renderErrorContent(error) {
-        const errorContent = `
+        const errorContent = html`
             <div class="page-content">
                 <div class="error-state">
                     <div class="error-icon">⚠️</div>
-                    <h2>Content Not Available</h2>
-                    <p>${error.message || 'Sorry, we couldn\'t load the requested content.'}</p>
-                    <button onclick="location.reload()" class="error-retry-btn">Refresh Page</button>
+                    <h2>${i18n.t('error.title')}</h2>
+                    <p>${error.message || i18n.t('error.generic')}</p>
+                    <button onclick="location.reload()" class="error-retry-btn">${i18n.t('error.refresh')}</button>
                 </div>
             </div>
         `;
         
         this.renderContent(errorContent);
+        this.events.emit('error', { error, source: 'navigation' });
     }
 
     /**
      * Show loading state
      */
     showLoadingState() {
-        const loadingContent = `
+        const loadingContent = html`
             <div class="page-content">
                 <div class="loading-state">
                     <div class="loading-spinner"></div>
-                    <p>Loading content...</p>
+                    <p>${i18n.t('loading')}</p>
                 </div>
             </div>
         `;
@@ -221,18 +551,17 @@ export class NavigationManager {
     }
 
     /**
-     * Update page title based on current page
-     * @param {string} page - Page name
+     * Update the page title and meta description for the current route
+     * @param {Object|null} match - Router match, or null for not found
      */
-    updatePageTitle(page) {
-        const pageTitles = {
-            home: "Karl's Digital Space - Home",
-            blogs: "Karl's Digital Space - Blogs",
-            projects: "Karl's Digital Space - Projects",
-            misc: "Karl's Digital Space - Miscellaneous"
-        };
-        
-        document.title = pageTitles[page] || "Karl's Digital Space";
+    updatePageTitle(match) {
+        const { title, description } = this.contentLoader.getRouteMeta(match);
+        this.document.title = title;
+
+        const meta = this.document.querySelector('meta[name="description"]');
+        if (meta) {
+            meta.setAttribute('content', description);
+        }
     }
 
     /**
@@ -243,6 +572,14 @@ export class NavigationManager {
         return this.currentPage;
     }
 
+    /**
+     * Get current route match
+     * @returns {Object|null} Router match with page, path, params and query
+     */
+    getCurrentMatch() {
+        return this.currentMatch;
+    }
+
     /**
      * Initialize pages (called by ApplicationManager)
      * @returns {Promise<void>}
@@ -263,7 +600,7 @@ export class NavigationManager {
     handlePageHide() {
         // Save current page state
         this.pageCache.set(this.currentPage, {
-            scrollPosition: window.pageYOffset,
+            scrollPosition: this.window.pageYOffset,
             timestamp: Date.now()
         });
     }
@@ -277,7 +614,7 @@ export class NavigationManager {
         if (pageState && pageState.scrollPosition) {
             // Restore scroll position after a short delay
             setTimeout(() => {
-                window.scrollTo(0, pageState.scrollPosition);
+                this.window.scrollTo(0, pageState.scrollPosition);
             }, 100);
         }
     }
@@ -299,6 +636,7 @@ export class NavigationManager {
     getStats() {
         return {
             currentPage: this.currentPage,
+            currentRoute: this.currentRoute,
             pageCacheSize: this.pageCache.size,
             contentCache: this.contentLoader ? this.contentLoader.getCacheStats() : null,
             isLoading: this.isLoading
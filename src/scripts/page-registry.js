@@ -0,0 +1,147 @@
+/**
+ * Page Registry - Single source of truth for routable pages
+ * Drives navigation rendering, route validation, page titles and content fallbacks
+ */
+
+import { CONTENT_DATA } from '../data/content.js';
+
+export class PageRegistry {
+    /**
+     * @param {Array<Object>} entries - Page entries in CONTENT_DATA.navigation format
+     */
+    constructor(entries = []) {
+        this.pages = new Map();
+        entries.forEach(entry => this.register(entry));
+    }
+
+    /**
+     * Register a page
+     * @param {Object} entry - Page entry
+     * @param {string} entry.page - Page id used in routes (e.g. 'talks')
+     * @param {string} entry.name - Navigation label
+     * @param {string} [entry.title] - Title shown in the document title
+     * @param {string} [entry.icon] - Navigation icon
+     * @param {string|Function} [entry.renderer] - ContentLoader method name or render function
+     * @param {string} [entry.dataKey] - CONTENT_DATA section passed to the renderer
+     * @param {Object} [entry.data] - Data passed to the renderer instead of a CONTENT_DATA section (plugin pages)
+     * @param {Array<{path: string, renderer: string|Function}>} [entry.routes] - Nested routes
+     * @param {boolean} [entry.showInNav] - Whether the page appears in the navigation bar
+     * @returns {Object} Normalized page definition
+     */
+    register(entry) {
+        const id = entry.id || entry.page;
+        if (!id) {
+            throw new Error('Page entry requires a "page" id');
+        }
+
+        const definition = {
+            id,
+            navLabel: entry.name || entry.navLabel || id,
+            title: entry.title || entry.name || id,
+            icon: entry.icon || '',
+            renderer: entry.renderer || null,
+            dataKey: entry.dataKey || id,
+            data: entry.data || null,
+            routes: entry.routes || [],
+            showInNav: entry.showInNav !== false
+        };
+
+        this.pages.set(id, definition);
+        return definition;
+    }
+
+    /**
+     * Check whether a page is registered
+     * @param {string} id - Page id
+     * @returns {boolean} True if registered
+     */
+    has(id) {
+        return this.pages.has(id);
+    }
+
+    /**
+     * Get a page definition
+     * @param {string} id - Page id
+     * @returns {Object|null} Page definition
+     */
+    get(id) {
+        return this.pages.get(id) || null;
+    }
+
+    /**
+     * Get all registered page ids in registration order
+     * @returns {string[]} Page ids
+     */
+    getPageIds() {
+        return [...this.pages.keys()];
+    }
+
+    /**
+     * Get all page definitions in registration order
+     * @returns {Object[]} Page definitions
+     */
+    getAll() {
+        return [...this.pages.values()];
+    }
+
+    /**
+     * Get pages shown in the navigation bar
+     * @returns {Object[]} Page definitions
+     */
+    getNavigationItems() {
+        return this.getAll().filter(page => page.showInNav);
+    }
+
+    /**
+     * Register every page and its nested routes with a router
+     * @param {Router} router - Router to populate
+     * @returns {Router} Populated router
+     */
+    registerRoutes(router) {
+        this.getAll().forEach(page => this.registerPageRoutes(router, page));
+        return router;
+    }
+
+    /**
+     * Register one page and its nested routes with a router
+     * @param {Router} router - Router to populate
+     * @param {Object} page - Page definition
+     * @returns {Router} Populated router
+     */
+    registerPageRoutes(router, page) {
+        page.routes.forEach(route => {
+            router.add(route.path, { page: page.id, renderer: route.renderer });
+        });
+        router.add(page.id, { page: page.id, renderer: page.renderer });
+        return router;
+    }
+
+    /**
+     * Relabel registered pages from localized navigation entries (see i18n.js)
+     * @param {Array<Object>} entries - Page entries in CONTENT_DATA.navigation format
+     */
+    localize(entries) {
+        entries.forEach(entry => {
+            const page = this.get(entry.id || entry.page);
+            if (!page) return;
+            page.navLabel = entry.name || entry.navLabel || page.navLabel;
+            page.title = entry.title || entry.name || page.title;
+        });
+    }
+
+    /**
+     * Build the document title for a page
+     * @param {string} id - Page id
+     * @param {string} [siteTitle] - Site title (localized by the caller)
+     * @returns {string} Document title
+     */
+    getDocumentTitle(id, siteTitle = CONTENT_DATA.site.title) {
+        const page = this.get(id);
+        return page ? `${siteTitle} - ${page.title}` : siteTitle;
+    }
+}
+
+/**
+ * Shared registry built from CONTENT_DATA.navigation
+ */
+export const pageRegistry = new PageRegistry(CONTENT_DATA.navigation);
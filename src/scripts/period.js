@@ -0,0 +1,149 @@
+/**
+ * Period - Parses the date formats used across CONTENT_DATA into comparable points
+ * Handles ISO dates ("2025-01-01", "2025-01"), years ("2020"), months ("May 2025", "Sept. 2024")
+ * and ranges of them ("2020 - 2022", "May - June 2025", "Jan 2023 - Present")
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Words that end an ongoing range
+ */
+const ONGOING = ['present', 'now', 'current', 'today'];
+
+/**
+ * @typedef {Object} PeriodPoint
+ * @property {number} year - Year
+ * @property {number|null} month - Month 1-12, or null when only the year is known
+ * @property {number|null} day - Day of the month, or null when unknown
+ */
+
+/**
+ * @typedef {Object} Period
+ * @property {PeriodPoint} start - First point
+ * @property {PeriodPoint|null} end - Last point (null while ongoing)
+ * @property {boolean} ongoing - True for ranges ending in "Present"
+ */
+
+/**
+ * Parse a month name or an abbreviation of at least three letters ("Jun", "Sept")
+ * @param {string} name - Month name
+ * @returns {number|null} Month 1-12
+ */
+function parseMonth(name) {
+    const lower = name.toLowerCase();
+    const index = lower.length < 3 ? -1 : MONTH_NAMES.findIndex(month => month.toLowerCase().startsWith(lower));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Parse one side of a period
+ * @param {string} value - Date, year or month and year
+ * @returns {PeriodPoint|{year: null, month: number}|null} Point (year null for a bare month)
+ */
+function parsePoint(value) {
+    const text = value.trim();
+    let match;
+
+    if ((match = text.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/))) {
+        return { year: Number(match[1]), month: Number(match[2]), day: match[3] ? Number(match[3]) : null };
+    }
+    if ((match = text.match(/^(\d{4})$/))) {
+        return { year: Number(match[1]), month: null, day: null };
+    }
+    if ((match = text.match(/^([a-z]+)\.?(?:\s+(\d{4}))?$/i))) {
+        const month = parseMonth(match[1]);
+        if (month === null) return null;
+        return { year: match[2] ? Number(match[2]) : null, month, day: null };
+    }
+    return null;
+}
+
+export const PeriodUtils = {
+    /**
+     * Parse a date or period
+     * @param {string} value - Date or period
+     * @returns {Period|null} Period, or null if it can't be read
+     */
+    parse(value) {
+        if (!value) return null;
+
+        // "2020-2022" is a range of years, not an ISO month
+        const text = String(value).trim().replace(/^(\d{4})-(\d{4})$/, '$1 - $2');
+        const [first, second, extra] = text.split(/\s*[–—]\s*|\s+(?:-|to)\s+/i);
+        if (extra !== undefined) return null;
+
+        const ongoing = second !== undefined && ONGOING.includes(second.trim().toLowerCase());
+        const start = parsePoint(first);
+        const end = second === undefined ? start : (ongoing ? null : parsePoint(second));
+
+        if (!start || (!end && !ongoing)) return null;
+
+        // "May - June 2025": the start borrows the end's year
+        if (start.year === null) {
+            if (!end || end.year === null) return null;
+            start.year = end.year;
+        }
+        if (end && end.year === null) return null;
+
+        return { start, end, ongoing };
+    },
+
+    /**
+     * Get a sortable number for a point (unknown months and days sort first)
+     * @param {PeriodPoint} point - Point
+     * @returns {number} Sort key
+     */
+    toSortKey(point) {
+        return point.year * 10000 + (point.month || 0) * 100 + (point.day || 0);
+    },
+
+    /**
+     * Compare two periods, most recent first: by start, then by end (ongoing periods first)
+     * @param {Period} a - First period
+     * @param {Period} b - Second period
+     * @returns {number} Comparison result
+     */
+    compareDescending(a, b) {
+        const endKey = period => (period.ongoing ? Infinity : this.toSortKey(period.end));
+        return (this.toSortKey(b.start) - this.toSortKey(a.start)) || (endKey(b) - endKey(a));
+    },
+
+    /**
+     * Get the years a period covers
+     * @param {Period} period - Period
+     * @param {number} [currentYear] - Year an ongoing period runs to
+     * @returns {number[]} Years in ascending order
+     */
+    getYears(period, currentYear = new Date().getFullYear()) {
+        const last = period.ongoing ? Math.max(currentYear, period.start.year) : period.end.year;
+        const years = [];
+        for (let year = period.start.year; year <= last; year++) {
+            years.push(year);
+        }
+        return years;
+    },
+
+    /**
+     * Format a point as "2020", "May 2025" or "1 May 2025"
+     * @param {PeriodPoint} point - Point
+     * @returns {string} Formatted point
+     */
+    formatPoint(point) {
+        if (!point.month) return String(point.year);
+        const month = `${MONTH_NAMES[point.month - 1]} ${point.year}`;
+        return point.day ? `${point.day} ${month}` : month;
+    },
+
+    /**
+     * Format a point as an ISO 8601 date of the same precision ("2020", "2025-05", "2025-05-01")
+     * @param {PeriodPoint} point - Point
+     * @returns {string} ISO date
+     */
+    toIsoDate(point) {
+        return [point.year, point.month, point.day]
+            .filter(part => part !== null)
+            .map((part, index) => (index === 0 ? String(part) : String(part).padStart(2, '0')))
+            .join('-');
+    }
+};
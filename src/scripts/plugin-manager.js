@@ -0,0 +1,223 @@
+/**
+ * Plugin Manager - Extends the site without editing the managers
+ * A plugin can add pages, fill the named slots pages render (see ContentLoader.renderSlot),
+ * contribute search entries, and register keyboard shortcuts and command palette actions.
+ * Plugins are installed once and mounted on every page change, after the page renders.
+ */
+
+import { html } from './html.js';
+
+/**
+ * @typedef {Object} Plugin
+ * @property {string} name - Unique name
+ * @property {Array<Object>} [pages] - Page entries (see PageRegistry.register), with a render function as renderer
+ * @property {Object<string, Function>} [slots] - Slot name ('home:bottom', 'post:bottom', ...) to a function
+ *   called with the mount context and returning the section's content (or null to skip); build markup
+ *   with html`` like the page renderers, since plain strings are escaped as text
+ * @property {Array<Object>|Function} [searchEntries] - Search documents (type, title, text, route, anchor),
+ *   or a function returning them (see SearchManager.addDocuments)
+ * @property {Array<Object>} [shortcuts] - Keyboard shortcuts (see ApplicationManager.registerShortcut)
+ * @property {Array<Object>} [actions] - Command palette actions (see CommandPalette.registerAction)
+ * @property {Function} [install] - Called once with {app, events}
+ * @property {Function} [mount] - Called after each page renders with the mount context
+ * @property {Function} [unmount] - Called before the next page change with the same context
+ */
+
+/**
+ * @typedef {Object} MountContext
+ * @property {ApplicationManager} app - Application manager
+ * @property {EventBus} events - Application event bus
+ * @property {string} route - Rendered route
+ * @property {string|null} page - Rendered page id (null for not found)
+ * @property {Object|null} match - Router match
+ * @property {Array<HTMLElement>} slots - Sections this plugin added to the page
+ */
+
+export class PluginManager {
+    /**
+     * @param {Object} options - Plugin manager options
+     * @param {ApplicationManager} options.app - Application manager (shortcuts, managers)
+     * @param {EventBus} options.events - Application event bus
+     */
+    constructor({ app, events }) {
+        this.app = app;
+        this.events = events;
+        this.plugins = new Map();
+        this.mounted = new Map();
+        this.currentPage = null;
+    }
+
+    /**
+     * Initialize plugin manager
+     */
+    init() {
+        const navigation = this.app.navigationManager;
+
+        // The first page may have rendered (or hydrated) before plugins were installed
+        if (navigation && navigation.currentRoute !== null && !navigation.isLoading) {
+            this.currentPage = {
+                route: navigation.currentRoute,
+                page: navigation.currentMatch ? navigation.currentPage : null,
+                match: navigation.currentMatch
+            };
+        }
+
+        this.events.on('page:willChange', () => this.unmountAll());
+        this.events.on('page:changed', detail => {
+            this.currentPage = detail;
+            this.mountAll();
+        });
+    }
+
+    /**
+     * Install a plugin
+     * @param {Plugin} plugin - Plugin
+     */
+    install(plugin) {
+        if (!plugin || !plugin.name) {
+            throw new Error('Plugin requires a name');
+        }
+        if (this.plugins.has(plugin.name)) {
+            throw new Error(`Plugin already installed: ${plugin.name}`);
+        }
+
+        const { navigationManager, searchManager, commandPalette } = this.app;
+        this.plugins.set(plugin.name, plugin);
+
+        this.call(plugin, 'install', { app: this.app, events: this.events });
+
+        (plugin.pages || []).forEach(page => {
+            if (navigationManager) {
+                navigationManager.addPage(page);
+            }
+        });
+
+        if (plugin.searchEntries && searchManager) {
+            searchManager.addDocuments(`plugin:${plugin.name}`, plugin.searchEntries);
+        }
+
+        (plugin.shortcuts || []).forEach(shortcut => this.app.registerShortcut(shortcut));
+
+        (plugin.actions || []).forEach(action => {
+            if (commandPalette) {
+                commandPalette.registerAction({ ...action, id: `${plugin.name}:${action.id}` });
+            }
+        });
+
+        // Adding a page may have rendered the current route already, which mounts everything
+        if (this.currentPage && !this.mounted.has(plugin.name)) {
+            this.mount(plugin);
+        }
+    }
+
+    /**
+     * Get an installed plugin
+     * @param {string} name - Plugin name
+     * @returns {Plugin|null} Plugin
+     */
+    get(name) {
+        return this.plugins.get(name) || null;
+    }
+
+    /**
+     * Mount every installed plugin on the current page
+     */
+    mountAll() {
+        this.unmountAll();
+        this.plugins.forEach(plugin => this.mount(plugin));
+    }
+
+    /**
+     * Unmount every mounted plugin
+     */
+    unmountAll() {
+        [...this.mounted.keys()].forEach(name => this.unmount(name));
+    }
+
+    /**
+     * Fill a plugin's slots on the current page and call its mount hook
+     * @param {Plugin} plugin - Plugin
+     */
+    mount(plugin) {
+        const context = {
+            app: this.app,
+            events: this.events,
+            ...this.currentPage,
+            slots: []
+        };
+
+        context.slots = this.renderSlots(plugin, context);
+        this.mounted.set(plugin.name, context);
+        this.call(plugin, 'mount', context);
+    }
+
+    /**
+     * Call a plugin's unmount hook and remove its sections
+     * @param {string} name - Plugin name
+     */
+    unmount(name) {
+        const context = this.mounted.get(name);
+        if (!context) return;
+
+        this.mounted.delete(name);
+        this.call(this.plugins.get(name), 'unmount', context);
+        context.slots.forEach(section => {
+            const slot = section.parentElement;
+            section.remove();
+            if (slot && !slot.querySelector('.plugin-section')) {
+                slot.hidden = true;
+            }
+        });
+    }
+
+    /**
+     * Render a plugin's sections into the matching slots of the current page
+     * @param {Plugin} plugin - Plugin
+     * @param {MountContext} context - Mount context
+     * @returns {Array<HTMLElement>} Added sections
+     */
+    renderSlots(plugin, context) {
+        const document = this.app.document;
+        const container = document?.querySelector('.content-container');
+        if (!container || !plugin.slots) return [];
+
+        const sections = [];
+        container.querySelectorAll('[data-slot]').forEach(slot => {
+            const render = plugin.slots[slot.dataset.slot];
+            if (!render) return;
+
+            const content = this.call(plugin, `slot ${slot.dataset.slot}`, context, render);
+            if (content === null || content === undefined) return;
+
+            const section = document.createElement('div');
+            section.className = 'plugin-section';
+            section.dataset.plugin = plugin.name;
+            section.innerHTML = html`${content}`;
+            slot.appendChild(section);
+            slot.hidden = false;
+            sections.push(section);
+        });
+
+        return sections;
+    }
+
+    /**
+     * Call a plugin hook, reporting failures as 'error' events instead of breaking navigation
+     * @param {Plugin} plugin - Plugin
+     * @param {string} hook - Hook name (for the error message)
+     * @param {Object} context - Argument passed to the hook
+     * @param {Function} [fn] - Function to call instead of plugin[hook]
+     * @returns {*} Hook result, or undefined if it failed or doesn't exist
+     */
+    call(plugin, hook, context, fn = plugin[hook]) {
+        if (typeof fn !== 'function') return undefined;
+
+        try {
+            return fn.call(plugin, context);
+        } catch (error) {
+            console.error(`Plugin ${plugin.name} failed in ${hook}:`, error);
+            this.events.emit('error', { error, source: `plugin:${plugin.name}` });
+            return undefined;
+        }
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Resume - Maps CONTENT_DATA.home and CONTENT_DATA.site to a JSON Resume document
+ * (https://jsonresume.org/schema) for tools/build-resume.mjs and the #resume page
+ */
+
+import { CONTENT_DATA } from '../data/content.js';
+import { PeriodUtils } from './period.js';
+
+export const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/**
+ * Social profiles known by network name
+ */
+const PROFILE_NETWORKS = {
+    github: 'GitHub',
+    linkedin: 'LinkedIn',
+    twitter: 'Twitter'
+};
+
+/**
+ * Convert a period ("2020 - 2022", "May 2025", "Jan 2023 - Present") to start and end dates
+ * @param {string} period - Period
+ * @returns {{startDate?: string, endDate?: string}} Dates (endDate omitted while ongoing)
+ */
+function toResumeDates(period) {
+    const parsed = PeriodUtils.parse(period);
+    if (!parsed) return {};
+
+    return {
+        startDate: PeriodUtils.toIsoDate(parsed.start),
+        ...(parsed.end ? { endDate: PeriodUtils.toIsoDate(parsed.end) } : {})
+    };
+}
+
+/**
+ * Split a degree name such as "Bachelor of Computer Science" into study type and area
+ * @param {string} degree - Degree
+ * @returns {{studyType: string, area?: string}} Study type and area
+ */
+function splitDegree(degree) {
+    const match = degree.match(/^(.+?)\s+(?:of|in)\s+(.+)$/);
+    return match ? { studyType: match[1], area: match[2] } : { studyType: degree };
+}
+
+export const ResumeUtils = {
+    /**
+     * Get the resume owner's contact details
+     * @param {Object} [home] - CONTENT_DATA.home
+     * @param {Object} [site] - CONTENT_DATA.site
+     * @returns {Object} JSON Resume basics
+     */
+    getBasics(home = CONTENT_DATA.home, site = CONTENT_DATA.site) {
+        const { email, ...social } = site.social || {};
+
+        return {
+            name: site.author,
+            label: home.hero.subtitle,
+            ...(email ? { email } : {}),
+            url: site.url,
+            summary: home.hero.description,
+            profiles: Object.entries(social).map(([network, url]) => ({
+                network: PROFILE_NETWORKS[network] || network,
+                username: new URL(url).pathname.split('/').filter(Boolean).pop(),
+                url
+            }))
+        };
+    },
+
+    /**
+     * Build a JSON Resume document
+     * Hackathon entries become projects, grants become awards
+     * @param {Object} [home] - CONTENT_DATA.home
+     * @param {Object} [site] - CONTENT_DATA.site
+     * @returns {Object} JSON Resume
+     */
+    toJsonResume(home = CONTENT_DATA.home, site = CONTENT_DATA.site) {
+        return {
+            $schema: JSON_RESUME_SCHEMA,
+            basics: this.getBasics(home, site),
+            work: home.experience.map(job => ({
+                name: job.company,
+                position: job.title,
+                ...toResumeDates(job.period),
+                summary: job.description
+            })),
+            education: home.education.map(edu => ({
+                institution: edu.institution,
+                ...splitDegree(edu.degree),
+                ...toResumeDates(edu.period)
+            })),
+            awards: home.grants.map(grant => ({
+                title: grant.title,
+                date: toResumeDates(grant.period).startDate,
+                awarder: grant.organization,
+                summary: grant.description
+            })),
+            projects: home.hackathons.map(hackathon => ({
+                name: hackathon.title,
+                description: hackathon.description,
+                entity: hackathon.event,
+                type: 'hackathon',
+                ...toResumeDates(hackathon.period),
+                ...(hackathon.link ? { url: hackathon.link } : {})
+            })),
+            skills: home.skills.map(name => ({ name })),
+            meta: {
+                canonical: `${site.url}/resume.json`,
+                version: 'v1.0.0'
+            }
+        };
+    }
+};
@@ -0,0 +1,117 @@
+/**
+ * Router - Hash route matching with named parameters and query strings
+ * Matches routes such as '#blogs/:slug', '#projects/:id' and '#blogs?tag=ZK'
+ */
+
+export class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    /**
+     * Register a route pattern
+     * @param {string} pattern - Route pattern (e.g. 'blogs/:slug')
+     * @param {Object} target - Data returned with a match (page, renderer, ...)
+     * @returns {Router} Router for chaining
+     */
+    add(pattern, target = {}) {
+        const keys = [];
+        const source = pattern
+            .split('/')
+            .map(segment => {
+                if (segment.startsWith(':')) {
+                    keys.push(segment.slice(1));
+                    return '([^/]+)';
+                }
+                return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('/');
+
+        this.routes.push({
+            pattern,
+            keys,
+            regex: new RegExp(`^${source}/?$`),
+            target
+        });
+
+        return this;
+    }
+
+    /**
+     * Match a hash against registered routes
+     * @param {string} hash - Location hash with or without the leading '#'
+     * @returns {Object|null} Match with path, params, query and the route target (null if nothing
+     *     matches or a parameter can't be decoded)
+     */
+    match(hash) {
+        const { path, query } = Router.parse(hash);
+
+        for (const route of this.routes) {
+            const result = route.regex.exec(path);
+            if (!result) continue;
+
+            const params = {};
+            try {
+                route.keys.forEach((key, index) => {
+                    params[key] = decodeURIComponent(result[index + 1]);
+                });
+            } catch (error) {
+                // A malformed escape such as '%E0%A4' names nothing: treat the route as not found
+                if (error instanceof URIError) return null;
+                throw error;
+            }
+
+            return {
+                ...route.target,
+                pattern: route.pattern,
+                path,
+                params,
+                query
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a hash into its path and query parameters
+     * Repeated query keys are collected into arrays
+     * @param {string} hash - Location hash with or without the leading '#'
+     * @returns {{path: string, query: Object}} Parsed hash
+     */
+    static parse(hash) {
+        const raw = hash.startsWith('#') ? hash.slice(1) : hash;
+        const [path, search = ''] = raw.split('?');
+        const query = {};
+
+        new URLSearchParams(search).forEach((value, key) => {
+            if (key in query) {
+                query[key] = [].concat(query[key], value);
+            } else {
+                query[key] = value;
+            }
+        });
+
+        return { path: path.replace(/^\/+|\/+$/g, ''), query };
+    }
+
+    /**
+     * Build a hash route from a path and query parameters
+     * @param {string} path - Route path (e.g. 'blogs')
+     * @param {Object} query - Query parameters; array values repeat the key
+     * @returns {string} Route without the leading '#'
+     */
+    static build(path, query = {}) {
+        const search = new URLSearchParams();
+        Object.entries(query).forEach(([key, value]) => {
+            [].concat(value).forEach(item => {
+                if (item !== undefined && item !== null && item !== '') {
+                    search.append(key, item);
+                }
+            });
+        });
+
+        const queryString = search.toString();
+        return queryString ? `${path}?${queryString}` : path;
+    }
+}
@@ -0,0 +1,543 @@
+/**
+ * Search Index - Inverted index over all site content
+ * Built once from CONTENT_DATA (plus loaded local posts) so every page is searchable from anywhere.
+ * Queries are ranked with BM25 and support typo tolerance, quoted phrases and
+ * field qualifiers: tag:ZK, tech:Rust, year:2025, type:talk
+ */
+
+import { ContentUtils } from '../data/content.js';
+import { i18n } from './i18n.js';
+import { MathUtils } from './math.js';
+import { PeriodUtils } from './period.js';
+import { Router } from './router.js';
+
+/**
+ * Field weights applied to term frequencies
+ */
+const FIELD_WEIGHTS = {
+    title: 3,
+    tags: 2,
+    text: 1
+};
+
+/**
+ * BM25 parameters
+ */
+const BM25 = {
+    k1: 1.2,
+    b: 0.75
+};
+
+/**
+ * Score multipliers for non-exact term matches
+ */
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.6,
+    fuzzy: 0.4
+};
+
+/**
+ * Supported field qualifiers
+ */
+const QUALIFIERS = ['tag', 'tech', 'year', 'type'];
+
+/**
+ * Aliases accepted by the type: qualifier
+ */
+const TYPE_ALIASES = {
+    blog: 'article',
+    post: 'article',
+    job: 'experience',
+    work: 'experience',
+    award: 'grant'
+};
+
+/**
+ * Characters of scripts written without spaces between words (Chinese, Japanese) or indexed like them (Korean)
+ */
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Matches a run of CJK characters, captured so splitting keeps it
+ */
+const CJK_RUN = new RegExp(`(${CJK.source}+)`, 'u');
+
+/**
+ * Split text into lowercase words, with CJK runs as separate words ("zk证明" is "zk" and "证明")
+ * Single letters are dropped, single CJK characters are words of their own
+ * @param {string} text - Text to split
+ * @returns {string[]} Words
+ */
+function splitWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .flatMap(word => word.split(CJK_RUN))
+        .filter(word => word.length > 1 || CJK.test(word));
+}
+
+/**
+ * Split text into lowercase search terms
+ * CJK text has no spaces to split on, so its runs are indexed as overlapping character pairs
+ * ("零知识证明" is "零知 知识 识证 证明"): any word of two or more characters matches as the pairs it contains
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms
+ */
+export function tokenize(text) {
+    return splitWords(text).flatMap(word => {
+        if (word.length <= 2 || !CJK.test(word)) return [word];
+        const chars = [...word];
+        return chars.slice(1).map((char, index) => chars[index] + char);
+    });
+}
+
+/**
+ * Extract the years covered by dates and periods ("2025-01-01", "May 2025", "2020 - 2022")
+ * @param {...string} values - Dates or periods
+ * @returns {number[]} Years
+ */
+function extractYears(...values) {
+    const years = new Set();
+    values.map(value => PeriodUtils.parse(value)).filter(Boolean).forEach(period => {
+        PeriodUtils.getYears(period).forEach(year => years.add(year));
+    });
+    return [...years];
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Stop early once the distance exceeds this value
+ * @returns {number} Edit distance (max + 1 when over the limit)
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term of the given length
+ * @param {string} term - Query term
+ * @returns {number} Allowed edits
+ */
+function allowedEdits(term) {
+    if (term.length <= 3) return 0;
+    if (term.length <= 6) return 1;
+    return 2;
+}
+
+export class SearchIndex {
+    constructor() {
+        this.documents = new Map();
+        this.postings = new Map();
+        this.docLengths = new Map();
+        this.docTerms = new Map();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Parse a query into plain terms, quoted phrases and field qualifiers
+     * @param {string} query - Raw query (e.g. 'tag:ZK "sum check" bulletproofs')
+     * @param {Function} [split] - Splits words and phrases into terms
+     * @returns {{terms: string[], phrases: string[][], filters: Object}} Parsed query
+     */
+    static parseQuery(query, split = tokenize) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            filters: { tag: [], tech: [], year: [], type: [] }
+        };
+
+        const pattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(query)) !== null) {
+            const [, quotedKey, quotedValue, key, value, phrase, word] = match;
+            const qualifier = (quotedKey || key || '').toLowerCase();
+
+            if (qualifier && QUALIFIERS.includes(qualifier)) {
+                parsed.filters[qualifier].push((quotedValue ?? value).trim());
+            } else if (phrase !== undefined || quotedKey) {
+                const terms = split(phrase ?? `${quotedKey} ${quotedValue}`);
+                if (terms.length > 1) {
+                    parsed.phrases.push(terms);
+                } else {
+                    parsed.terms.push(...terms);
+                }
+            } else {
+                parsed.terms.push(...split(word || `${key} ${value}`));
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Get the plain words of a query, for highlighting matches
+     * CJK words are kept whole rather than split into the pairs they are searched by
+     * @param {string} query - Raw query
+     * @returns {string[]} Words from plain words and phrases
+     */
+    static getHighlightTerms(query) {
+        const { terms, phrases } = SearchIndex.parseQuery(query, splitWords);
+        return [...new Set([...terms, ...phrases.flat()])];
+    }
+
+    /**
+     * Build search documents from content data
+     * @param {Object} data - CONTENT_DATA
+     * @param {Array<Object>} posts - Loaded local posts (slug, title, description, tags, body)
+     * @param {Array<Object>} [extraDocuments] - Documents contributed by plugins (type, title, route, ...)
+     * @returns {Array<Object>} Documents with type, title, text, tags, page, route and anchor
+     */
+    static buildDocuments(data, posts = [], extraDocuments = []) {
+        const documents = [];
+        const add = (doc) => documents.push({
+            tags: [],
+            technologies: [],
+            text: '',
+            anchor: null,
+            ...doc,
+            // Formulas are indexed as plain text so "alpha" or "α" finds $\alpha$
+            title: MathUtils.toSearchText(doc.title),
+            text: MathUtils.toSearchText(doc.text),
+            years: extractYears(doc.date, doc.period)
+        });
+        const { home, blogs, projects, misc } = data;
+
+        // Pages
+        data.navigation.forEach(entry => {
+            const section = data[entry.dataKey || entry.page] || {};
+            add({
+                type: 'page',
+                title: entry.name,
+                text: [entry.title, section.title, section.subtitle].filter(Boolean).join(' '),
+                page: entry.page,
+                route: entry.page
+            });
+        });
+
+        // Home
+        add({
+            type: 'section',
+            title: home.hero.title,
+            text: `${home.hero.subtitle} ${home.hero.description}`,
+            page: 'home',
+            route: 'home'
+        });
+        home.experience.forEach(job => add({
+            type: 'experience',
+            title: job.title,
+            text: `${job.company} ${job.period} ${job.description}`,
+            period: job.period,
+            page: 'home',
+            route: 'home',
+            anchor: ContentUtils.getAnchorId('experience', job.title)
+        }));
+        home.education.forEach(edu => add({
+            type: 'education',
+            title: edu.degree,
+            text: `${edu.institution} ${edu.period} ${edu.description}`,
+            period: edu.period,
+            page: 'home',
+            route: 'home',
+            anchor: ContentUtils.getAnchorId('education', edu.degree)
+        }));
+        home.hackathons.forEach(hackathon => add({
+            type: 'hackathon',
+            title: hackathon.title,
+            text: `${hackathon.event} ${hackathon.period} ${hackathon.description}`,
+            period: hackathon.period,
+            page: 'home',
+            route: 'home',
+            anchor: ContentUtils.getAnchorId('hackathon', hackathon.title)
+        }));
+        home.grants.forEach(grant => add({
+            type: 'grant',
+            title: grant.title,
+            text: `${grant.organization} ${grant.period} ${grant.description}`,
+            period: grant.period,
+            page: 'home',
+            route: 'home',
+            anchor: ContentUtils.getAnchorId('grant', grant.title)
+        }));
+        add({
+            type: 'section',
+            title: i18n.t('resume.skills'),
+            tags: home.skills,
+            technologies: home.skills,
+            page: 'home',
+            route: 'home',
+            anchor: 'skills'
+        });
+
+        // Blogs: local posts open in-app, external articles scroll to their card
+        posts.forEach(post => add({
+            type: 'article',
+            title: post.title,
+            text: `${post.description} ${post.body || ''}`,
+            tags: post.tags,
+            date: post.date,
+            page: 'blogs',
+            route: `blogs/${post.slug}`
+        }));
+        blogs.articles.forEach(article => add({
+            type: 'article',
+            title: article.title,
+            text: article.description,
+            tags: article.tags,
+            date: article.date,
+            page: 'blogs',
+            route: 'blogs',
+            anchor: ContentUtils.getAnchorId('article', article.title)
+        }));
+
+        // Projects
+        projects.items.forEach(project => add({
+            type: 'project',
+            title: project.title,
+            text: project.description,
+            tags: project.technologies,
+            technologies: project.technologies,
+            page: 'projects',
+            route: 'projects',
+            anchor: ContentUtils.getAnchorId('project', project.title)
+        }));
+
+        // Talks
+        misc.thoughts.forEach(thought => add({
+            type: 'talk',
+            title: thought.title,
+            text: [thought.venue, thought.content, ...(thought.chapters || []).map(chapter => chapter.title)]
+                .filter(Boolean)
+                .join(' '),
+            tags: thought.tags,
+            date: thought.date,
+            page: 'misc',
+            route: 'misc',
+            anchor: ContentUtils.getAnchorId('talk', thought.title)
+        }));
+
+        // Tags and technologies
+        const tags = new Set();
+        documents.forEach(doc => doc.type !== 'section' && doc.tags.forEach(tag => tags.add(tag)));
+        tags.forEach(tag => add({
+            type: 'tag',
+            title: tag,
+            page: 'tags',
+            route: `tags/${encodeURIComponent(tag)}`
+        }));
+
+        // Plugin entries come last so their tags don't get tag pages that list no content
+        extraDocuments.forEach(doc => add({ page: Router.parse(doc.route).path.split('/')[0], ...doc }));
+
+        return documents.map((doc, index) => ({ id: index, ...doc }));
+    }
+
+    /**
+     * Replace the index contents with the given documents
+     * @param {Array<Object>} documents - Documents to index
+     */
+    build(documents) {
+        this.clear();
+        documents.forEach(doc => this.add(doc));
+    }
+
+    /**
+     * Add a document to the index
+     * @param {Object} doc - Document with id, title, text and tags
+     */
+    add(doc) {
+        this.documents.set(doc.id, doc);
+
+        const fields = {
+            title: tokenize(doc.title),
+            tags: tokenize(doc.tags.join(' ')),
+            text: tokenize(doc.text)
+        };
+
+        let length = 0;
+        Object.entries(fields).forEach(([field, terms]) => {
+            terms.forEach(term => {
+                if (!this.postings.has(term)) {
+                    this.postings.set(term, new Map());
+                }
+                const docPostings = this.postings.get(term);
+                docPostings.set(doc.id, (docPostings.get(doc.id) || 0) + FIELD_WEIGHTS[field]);
+            });
+            length += terms.length;
+        });
+
+        // Sequence of all terms, used for phrase matching
+        this.docTerms.set(doc.id, ` ${[...fields.title, ...fields.tags, ...fields.text].join(' ')} `);
+        this.docLengths.set(doc.id, length);
+        this.totalLength += length;
+    }
+
+    /**
+     * Find index terms matching a query term exactly, by prefix or within the typo budget
+     * @param {string} queryTerm - Query term
+     * @returns {Array<{term: string, weight: number}>} Matching index terms
+     */
+    expandTerm(queryTerm) {
+        const maxEdits = allowedEdits(queryTerm);
+        const expansions = [];
+
+        this.postings.forEach((docPostings, term) => {
+            if (term === queryTerm) {
+                expansions.push({ term, weight: MATCH_WEIGHTS.exact });
+            } else if (term.startsWith(queryTerm)) {
+                expansions.push({ term, weight: MATCH_WEIGHTS.prefix });
+            } else if (maxEdits > 0) {
+                // Compare against the whole term and its same-length prefix (for partial typing)
+                const distance = Math.min(
+                    editDistance(queryTerm, term, maxEdits),
+                    editDistance(queryTerm, term.slice(0, queryTerm.length), maxEdits) + 1
+                );
+                if (distance <= maxEdits) {
+                    expansions.push({ term, weight: MATCH_WEIGHTS.fuzzy / distance });
+                }
+            }
+        });
+
+        return expansions;
+    }
+
+    /**
+     * BM25 score of an index term for a document
+     * @param {string} term - Index term
+     * @param {number} docId - Document id
+     * @returns {number} Score (0 if the term is absent)
+     */
+    scoreTerm(term, docId) {
+        const docPostings = this.postings.get(term);
+        const tf = docPostings ? docPostings.get(docId) : 0;
+        if (!tf) return 0;
+
+        const count = this.documents.size;
+        const df = docPostings.size;
+        const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+        const avgLength = this.totalLength / count || 1;
+        const norm = 1 - BM25.b + BM25.b * (this.docLengths.get(docId) / avgLength);
+
+        return idf * (tf * (BM25.k1 + 1)) / (tf + BM25.k1 * norm);
+    }
+
+    /**
+     * Check a document against the query's field qualifiers
+     * @param {Object} doc - Document
+     * @param {Object} filters - Parsed filters
+     * @returns {boolean} True if every qualifier matches
+     */
+    matchesFilters(doc, filters) {
+        const includes = (values, wanted) => values.some(value => value.toLowerCase() === wanted.toLowerCase());
+
+        return filters.tag.every(tag => includes(doc.tags, tag))
+            && filters.tech.every(tech => includes(doc.technologies, tech))
+            && filters.year.every(year => doc.years.includes(Number(year)))
+            && filters.type.every(type => {
+                const wanted = type.toLowerCase();
+                return doc.type === (TYPE_ALIASES[wanted] || wanted);
+            });
+    }
+
+    /**
+     * Search the index
+     * Every plain term must match (exactly, as a prefix or within the typo budget),
+     * every phrase must appear verbatim and every qualifier must hold
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum number of results
+     * @returns {Array<Object>} Matching documents with a relevance score, best first
+     */
+    search(query, limit = 20) {
+        const { terms, phrases, filters } = SearchIndex.parseQuery(query);
+        const hasFilters = Object.values(filters).some(values => values.length > 0);
+        if (terms.length === 0 && phrases.length === 0 && !hasFilters) return [];
+
+        // Candidates satisfying qualifiers and phrases
+        const scores = new Map();
+        this.documents.forEach((doc, docId) => {
+            if (!this.matchesFilters(doc, filters)) return;
+            const docTerms = this.docTerms.get(docId);
+            if (!phrases.every(phrase => docTerms.includes(` ${phrase.join(' ')} `))) return;
+            scores.set(docId, 0);
+        });
+
+        // Phrase words score like exact terms
+        const phraseTerms = phrases.flat().map(term => [{ term, weight: MATCH_WEIGHTS.exact }]);
+        const termExpansions = terms.map(term => this.expandTerm(term));
+
+        [...termExpansions, ...phraseTerms].forEach((expansions, index) => {
+            const required = index < termExpansions.length;
+
+            scores.forEach((score, docId) => {
+                // Best-matching expansion of the term counts once
+                const best = expansions.reduce((max, { term, weight }) =>
+                    Math.max(max, this.scoreTerm(term, docId) * weight), 0);
+
+                if (required && best === 0) {
+                    scores.delete(docId);
+                } else {
+                    scores.set(docId, score + best);
+                }
+            });
+        });
+
+        return [...scores.entries()]
+            .map(([docId, relevance]) => ({ ...this.documents.get(docId), relevance }))
+            .sort((a, b) => b.relevance - a.relevance || (b.date || '').localeCompare(a.date || ''))
+            .slice(0, limit);
+    }
+
+    /**
+     * Remove all documents
+     */
+    clear() {
+        this.documents.clear();
+        this.postings.clear();
+        this.docLengths.clear();
+        this.docTerms.clear();
+        this.totalLength = 0;
+    }
+
+    /**
+     * Number of indexed documents
+     * @returns {number} Document count
+     */
+    get size() {
+        return this.documents.size;
+    }
+
+    /**
+     * Number of distinct indexed terms
+     * @returns {number} Term count
+     */
+    get termCount() {
+        return this.postings.size;
+    }
+}
@@ -1,15 +1,60 @@
 /**
  * Search Manager - Handles content search functionality
- * Provides real-time search across page content
+ * Provides real-time search across all site content
  */
 
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { i18n } from './i18n.js';
+import { pageRegistry } from './page-registry.js';
+import { SearchIndex } from './search-index.js';
+import { html } from './html.js';
+
+/**
+ * Result icons by document type; labels are the search.type.<type> strings
+ */
+const RESULT_TYPES = {
+    page: '📄',
+    section: '📌',
+    experience: '💼',
+    education: '🎓',
+    hackathon: '🏆',
+    grant: '🏅',
+    article: '📝',
+    project: '💻',
+    talk: '🎤',
+    tag: '🏷️'
+};
+
+/**
+ * Escape regular expression special characters
+ * @param {string} text - Literal text
+ * @returns {string} Pattern source matching the text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 export class SearchManager {
-    constructor() {
+    /**
+     * @param {Object} options - Search manager options
+     * @param {ContentLoader} [options.contentLoader] - Provides loaded local posts
+     * @param {NavigationManager} [options.navigationManager] - Navigates to results
+     * @param {EventBus} [options.events] - Application event bus (defaults to the content loader's)
+     * @param {Object} [options.environment] - Window, document, storage and fetch to use instead of the globals (see environment.js)
+     */
+    constructor({ contentLoader = null, navigationManager = null, events = contentLoader?.events || new EventBus(), environment = {} } = {}) {
+        const env = resolveEnvironment(environment);
+        this.window = env.window;
+        this.document = env.document;
+        this.events = events;
+        this.contentLoader = contentLoader;
+        this.navigationManager = navigationManager;
         this.searchInput = null;
         this.searchButton = null;
         this.searchResults = [];
-        this.contentIndex = new Map();
-        this.init();
+        this.contentIndex = new SearchIndex();
+        this.documentSources = new Map();
     }
 
     /**
@@ -19,14 +64,18 @@ export class SearchManager {
         this.setupSearchElements();
         this.buildContentIndex();
         this.setupEventListeners();
+
+        // Local posts load asynchronously; index them once available
+        this.events.on('content:loaded', () => this.rebuildIndex());
+        this.events.on('locale:changed', () => this.rebuildIndex());
     }
 
     /**
      * Set up search input and button elements
      */
     setupSearchElements() {
-        this.searchInput = document.querySelector('.search-input');
-        this.searchButton = document.querySelector('.search-button');
+        this.searchInput = this.document.querySelector('.search-input');
+        this.searchButton = this.document.querySelector('.search-button');
         
         if (!this.searchInput) {
             console.warn('Search input not found - search functionality disabled');
@@ -35,84 +84,33 @@ export class SearchManager {
     }
 
     /**
-     * Build searchable content index
+     * Build searchable content index from all content data
      */
     buildContentIndex() {
-        // Index main navigation items
-        const navItems = document.querySelectorAll('.nav-link');
-        navItems.forEach(item => {
-            const text = item.textContent.trim();
-            const href = item.getAttribute('href');
-            const page = item.getAttribute('data-page');
-            
-            if (text && page) {
-                this.contentIndex.set(text.toLowerCase(), {
-                    type: 'navigation',
-                    text: text,
-                    page: page,
-                    element: item
-                });
-            }
-        });
-
-        // Index current page content
-        this.indexCurrentPageContent();
+        const posts = this.contentLoader ? [...this.contentLoader.posts.values()] : [];
+        const extraDocuments = [...this.documentSources.values()].flatMap(source => source());
+        this.contentIndex.build(SearchIndex.buildDocuments(i18n.content, posts, extraDocuments));
     }
 
     /**
-     * Index content from current page
+     * Add searchable documents from outside CONTENT_DATA (plugins)
+     * @param {string} source - Source name; adding again replaces its documents
+     * @param {Array<Object>|Function} documents - Documents (type, title, text, route, ...) or a function
+     *   returning them, called on every rebuild so they can follow loaded content
      */
-    indexCurrentPageContent() {
-        const contentContainer = document.querySelector('.content-container');
-        if (!contentContainer) return;
-
-        // Index headings
-        const headings = contentContainer.querySelectorAll('h1, h2, h3, h4, h5, h6');
-        headings.forEach(heading => {
-            const text = heading.textContent.trim();
-            if (text) {
-                this.contentIndex.set(text.toLowerCase(), {
-                    type: 'heading',
-                    text: text,
-                    element: heading,
-                    tagName: heading.tagName.toLowerCase()
-                });
-            }
-        });
-
-        // Index paragraphs
-        const paragraphs = contentContainer.querySelectorAll('p');
-        paragraphs.forEach(paragraph => {
-            const text = paragraph.textContent.trim();
-            if (text && text.length > 20) { // Only index substantial content
-                const keywords = this.extractKeywords(text);
-                keywords.forEach(keyword => {
-                    if (!this.contentIndex.has(keyword)) {
-                        this.contentIndex.set(keyword, {
-                            type: 'content',
-                            text: text.substring(0, 100) + '...',
-                            element: paragraph,
-                            keywords: keywords
-                        });
-                    }
-                });
-            }
-        });
+    addDocuments(source, documents) {
+        this.documentSources.set(source, typeof documents === 'function' ? documents : () => documents);
+        this.rebuildIndex();
     }
 
     /**
-     * Extract keywords from text
-     * @param {string} text - Text to extract keywords from
-     * @returns {string[]} Array of keywords
+     * Remove the documents added by a source
+     * @param {string} source - Source name
      */
-    extractKeywords(text) {
-        // Simple keyword extraction - can be enhanced with more sophisticated NLP
-        const words = text.toLowerCase()
-            .replace(/[^\w\s]/g, ' ')
-            .split(/\s+/)
-            .filter(word => word.length > 3); // Only words longer than 3 characters
-        
-        return [...new Set(words)]; // Remove duplicates
+    removeDocuments(source) {
+        if (this.documentSources.delete(source)) {
+            this.rebuildIndex();
+        }
     }
 
     /**
@@ -155,11 +153,13 @@ export class SearchManager {
      */
     performSearch(query) {
         if (!query || query.trim().length < 2) {
-            this.clearSearch();
+            // Keep what the user is typing; only drop stale results
+            this.clearSearchResults();
+            this.clearHighlights();
             return;
         }
 
-        const searchTerm = query.toLowerCase().trim();
+        const searchTerm = query.trim();
         const results = this.searchContent(searchTerm);
         this.displaySearchResults(results, searchTerm);
     }
@@ -170,48 +170,9 @@ export class SearchManager {
      * @returns {Array} Search results
      */
     searchContent(searchTerm) {
-        const results = [];
-        
-        this.contentIndex.forEach((item, key) => {
-            if (key.includes(searchTerm) || item.text.toLowerCase().includes(searchTerm)) {
-                const relevance = this.calculateRelevance(item, searchTerm);
-                results.push({
-                    ...item,
-                    relevance: relevance
-                });
-            }
-        });
-
-        // Sort by relevance
-        return results.sort((a, b) => b.relevance - a.relevance);
-    }
-
-    /**
-     * Calculate search relevance score
-     * @param {Object} item - Search item
-     * @param {string} searchTerm - Search term
-     * @returns {number} Relevance score
-     */
-    calculateRelevance(item, searchTerm) {
-        let score = 0;
-        const text = item.text.toLowerCase();
-        
-        // Exact match gets highest score
-        if (text === searchTerm) score += 10;
-        
-        // Starts with search term
-        if (text.startsWith(searchTerm)) score += 5;
-        
-        // Contains search term
-        if (text.includes(searchTerm)) score += 3;
-        
-        // Navigation items get bonus
-        if (item.type === 'navigation') score += 2;
-        
-        // Headings get bonus
-        if (item.type === 'heading') score += 1;
-        
-        return score;
+        const results = this.contentIndex.search(searchTerm);
+        this.events.emit('search:query', { query: searchTerm, results });
+        return results;
     }
 
     /**
@@ -229,13 +190,13 @@ export class SearchManager {
         }
 
         // Create results container
-        const resultsContainer = document.createElement('div');
+        const resultsContainer = this.document.createElement('div');
         resultsContainer.className = 'search-results';
         
         // Add results header
-        const header = document.createElement('div');
+        const header = this.document.createElement('div');
         header.className = 'search-results-header';
-        header.innerHTML = `<span>Found ${results.length} result${results.length !== 1 ? 's' : ''}</span>`;
+        header.innerHTML = html`<span>${i18n.t('search.found', { count: results.length })}</span>`;
         resultsContainer.appendChild(header);
 
         // Add result items
@@ -258,32 +219,20 @@ export class SearchManager {
      * @returns {HTMLElement} Result item element
      */
     createResultItem(result, searchTerm) {
-        const item = document.createElement('div');
+        const item = this.document.createElement('div');
         item.className = 'search-result-item';
+
+        const type = result.type in RESULT_TYPES ? result.type : 'section';
+        const icon = RESULT_TYPES[type];
+        const label = i18n.t(`search.type.${type}`);
+        const page = pageRegistry.get(result.page);
+        const location = page ? `${label} · ${page.navLabel}` : label;
         
-        let icon = '';
-        let action = '';
-        
-        switch (result.type) {
-            case 'navigation':
-                icon = '📄';
-                action = `Navigate to ${result.text}`;
-                break;
-            case 'heading':
-                icon = '📝';
-                action = `Go to ${result.text}`;
-                break;
-            case 'content':
-                icon = '🔍';
-                action = `View content about ${searchTerm}`;
-                break;
-        }
-        
-        item.innerHTML = `
+        item.innerHTML = html`
             <div class="search-result-icon">${icon}</div>
             <div class="search-result-content">
-                <div class="search-result-title">${this.highlightText(result.text, searchTerm)}</div>
-                <div class="search-result-action">${action}</div>
+                <div class="search-result-title">${this.highlightText(result.title, searchTerm)}</div>
+                <div class="search-result-action">${location}</div>
             </div>
         `;
         
@@ -295,25 +244,23 @@ export class SearchManager {
         return item;
     }
 
+    /**
+     * Get the icon for a search result
+     * @param {Object} result - Search result
+     * @returns {string} Icon
+     */
+    getResultIcon(result) {
+        return RESULT_TYPES[result.type] || RESULT_TYPES.section;
+    }
+
     /**
      * Handle result item click
      * @param {Object} result - Search result
      */
     handleResultClick(result) {
-        if (result.type === 'navigation' && result.page) {
-            // Navigate to page
-            if (window.navigationManager) {
-                window.navigationManager.navigateToPage(result.page);
-            }
-        } else if (result.element) {
-            // Scroll to element
-            result.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-            
-            // Highlight element temporarily
-            result.element.style.backgroundColor = 'var(--color-highlight)';
-            setTimeout(() => {
-                result.element.style.backgroundColor = '';
-            }, 2000);
+        // Navigate to the result's page, then scroll to the matching item
+        if (this.navigationManager) {
+            this.navigationManager.navigateToPage(result.route, {}, { anchor: result.anchor });
         }
         
         // Clear search
@@ -322,15 +269,44 @@ export class SearchManager {
 
     /**
      * Highlight text with search term
+     * The text is escaped; only the <mark> wrappers are markup
      * @param {string} text - Original text
      * @param {string} searchTerm - Term to highlight
-     * @returns {string} HTML with highlighted text
+     * @returns {SafeHtml} HTML with highlighted text
      */
     highlightText(text, searchTerm) {
-        if (!searchTerm) return text;
-        
-        const regex = new RegExp(`(${searchTerm})`, 'gi');
-        return text.replace(regex, '<mark>$1</mark>');
+        const parts = this.splitHighlights(text, searchTerm);
+        return html`${parts.map(part => part.match ? html`<mark>${part.text}</mark>` : part.text)}`;
+    }
+
+    /**
+     * Split text into matching and non-matching parts
+     * @param {string} text - Original text
+     * @param {string} searchTerm - Search query
+     * @returns {Array<{text: string, match: boolean}>} Parts in order
+     */
+    splitHighlights(text, searchTerm) {
+        const regex = this.getHighlightPattern(searchTerm);
+        if (!regex) return [{ text, match: false }];
+
+        // The pattern has one capture group, so matches land on odd indices
+        return String(text)
+            .split(regex)
+            .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+            .filter(part => part.text !== '');
+    }
+
+    /**
+     * Build a pattern matching the plain words of a query
+     * Qualifiers such as tag:ZK are not highlighted
+     * @param {string} searchTerm - Search query
+     * @returns {RegExp|null} Pattern, or null if the query has no plain words
+     */
+    getHighlightPattern(searchTerm) {
+        const terms = SearchIndex.getHighlightTerms(searchTerm || '');
+        if (terms.length === 0) return null;
+
+        return new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'giu');
     }
 
     /**
@@ -338,18 +314,19 @@ export class SearchManager {
      * @param {string} searchTerm - Term to highlight
      */
     highlightSearchTerm(searchTerm) {
-        if (!searchTerm) return;
+        const regex = this.getHighlightPattern(searchTerm);
+        if (!regex) return;
         
-        const contentContainer = document.querySelector('.content-container');
+        const contentContainer = this.document.querySelector('.content-container');
         if (!contentContainer) return;
         
         // Remove existing highlights
         this.clearHighlights();
         
         // Find and highlight text
-        const walker = document.createTreeWalker(
+        const walker = this.document.createTreeWalker(
             contentContainer,
-            NodeFilter.SHOW_TEXT,
+            this.window.NodeFilter.SHOW_TEXT,
             null,
             false
         );
@@ -357,22 +334,26 @@ export class SearchManager {
         const textNodes = [];
         let node;
         while (node = walker.nextNode()) {
-            if (node.textContent.toLowerCase().includes(searchTerm.toLowerCase())) {
+            regex.lastIndex = 0;
+            if (regex.test(node.textContent)) {
                 textNodes.push(node);
             }
         }
         
-        // Highlight text nodes
+        // Highlight text nodes, building marks as DOM nodes so page text is never parsed as HTML
         textNodes.forEach(textNode => {
-            const text = textNode.textContent;
-            const regex = new RegExp(`(${searchTerm})`, 'gi');
-            const highlightedText = text.replace(regex, '<mark class="search-highlight">$1</mark>');
-            
-            if (highlightedText !== text) {
-                const span = document.createElement('span');
-                span.innerHTML = highlightedText;
-                textNode.parentNode.replaceChild(span, textNode);
-            }
+            const fragment = this.document.createDocumentFragment();
+            this.splitHighlights(textNode.textContent, searchTerm).forEach(part => {
+                if (part.match) {
+                    const mark = this.document.createElement('mark');
+                    mark.className = 'search-highlight';
+                    mark.textContent = part.text;
+                    fragment.appendChild(mark);
+                } else {
+                    fragment.appendChild(this.document.createTextNode(part.text));
+                }
+            });
+            textNode.parentNode.replaceChild(fragment, textNode);
         });
     }
 
@@ -383,13 +364,13 @@ export class SearchManager {
     showNoResults(searchTerm) {
         this.clearSearchResults();
         
-        const noResults = document.createElement('div');
+        const noResults = this.document.createElement('div');
         noResults.className = 'search-no-results';
-        noResults.innerHTML = `
+        noResults.innerHTML = html`
             <div class="search-no-results-icon">🔍</div>
             <div class="search-no-results-text">
-                <p>No results found for "${searchTerm}"</p>
-                <p>Try different keywords or check your spelling</p>
+                <p>${i18n.t('search.empty', { query: searchTerm })}</p>
+                <p>${i18n.t('search.emptyHint')}</p>
             </div>
         `;
         
@@ -400,12 +381,12 @@ export class SearchManager {
      * Clear search results
      */
     clearSearchResults() {
-        const existingResults = document.querySelector('.search-results');
+        const existingResults = this.document.querySelector('.search-results');
         if (existingResults) {
             existingResults.remove();
         }
         
-        const noResults = document.querySelector('.search-no-results');
+        const noResults = this.document.querySelector('.search-no-results');
         if (noResults) {
             noResults.remove();
         }
@@ -415,11 +396,11 @@ export class SearchManager {
      * Clear search highlights
      */
     clearHighlights() {
-        const highlights = document.querySelectorAll('.search-highlight');
+        const highlights = this.document.querySelectorAll('.search-highlight');
         highlights.forEach(highlight => {
             const parent = highlight.parentNode;
             if (parent) {
-                parent.replaceChild(document.createTextNode(highlight.textContent), highlight);
+                parent.replaceChild(this.document.createTextNode(highlight.textContent), highlight);
                 parent.normalize();
             }
         });
@@ -451,14 +432,13 @@ export class SearchManager {
      * @returns {boolean} True if search input is focused
      */
     isSearchFocused() {
-        return document.activeElement === this.searchInput;
+        return this.document.activeElement === this.searchInput;
     }
 
     /**
      * Rebuild content index (call when content changes)
      */
     rebuildIndex() {
-        this.contentIndex.clear();
         this.buildContentIndex();
     }
 
@@ -467,18 +447,19 @@ export class SearchManager {
      */
     handleResize() {
         // Close search results on mobile when resizing to smaller screens
-        if (window.innerWidth < 768) {
+        if (this.window.innerWidth < 768) {
             this.clearSearchResults();
         }
     }
 
     /**
-     * Clear search cache
+     * Clear search results and rebuild the index from scratch
+     * The index is only built on startup, content:loaded and locale:changed, so it can't be left empty
      */
     clearCache() {
-        this.contentIndex.clear();
         this.searchResults = [];
         this.clearSearch();
+        this.rebuildIndex();
     }
 
     /**
@@ -488,6 +469,7 @@ export class SearchManager {
     getStats() {
         return {
             indexSize: this.contentIndex.size,
+            termCount: this.contentIndex.termCount,
             hasSearchInput: !!this.searchInput,
             hasSearchButton: !!this.searchButton,
             searchResultsCount: this.searchResults.length
@@ -0,0 +1,136 @@
+/**
+ * Service Worker Manager - Registers the offline service worker and surfaces updates
+ * The worker is registered as sw.js?v=<version>, so each APP_CONFIG.version gets its own caches
+ */
+
+/**
+ * Service worker script, at the site root so its scope covers every page
+ */
+const SERVICE_WORKER_URL = new URL('../../sw.js', import.meta.url);
+
+export class ServiceWorkerManager {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.version - App version, used as the cache key
+     * @param {{maxAge: number, maxSize: number}} [options.cache] - Content cache limits
+     * @param {Function} [options.onUpdateAvailable] - Called when a new version is waiting
+     */
+    constructor({ version, cache = {}, onUpdateAvailable = null }) {
+        this.version = version;
+        this.cache = cache;
+        this.onUpdateAvailable = onUpdateAvailable;
+        this.registration = null;
+        this.updateAvailable = false;
+        this.reloading = false;
+    }
+
+    /**
+     * Check support and register once the page has loaded
+     */
+    init() {
+        if (!ServiceWorkerManager.isSupported()) {
+            return;
+        }
+
+        // Only reload after the user accepted an update, not when the first worker claims the page
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) {
+                window.location.reload();
+            }
+        });
+
+        if (document.readyState === 'complete') {
+            this.register();
+        } else {
+            window.addEventListener('load', () => this.register(), { once: true });
+        }
+    }
+
+    /**
+     * Check whether service workers can be used on this page
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && window.isSecureContext;
+    }
+
+    /**
+     * Get the versioned service worker URL
+     * @returns {string} Script URL
+     */
+    getScriptUrl() {
+        const url = new URL(SERVICE_WORKER_URL);
+        url.searchParams.set('v', this.version);
+        if (this.cache.maxAge) url.searchParams.set('maxAge', this.cache.maxAge);
+        if (this.cache.maxSize) url.searchParams.set('maxSize', this.cache.maxSize);
+        return url.href;
+    }
+
+    /**
+     * Register the service worker and watch for new versions
+     */
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register(this.getScriptUrl());
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            return;
+        }
+
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.notifyUpdate();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, which needs no prompt
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.notifyUpdate();
+                }
+            });
+        });
+    }
+
+    /**
+     * Report a waiting version
+     */
+    notifyUpdate() {
+        if (this.updateAvailable) return;
+        this.updateAvailable = true;
+
+        if (this.onUpdateAvailable) {
+            this.onUpdateAvailable();
+        }
+    }
+
+    /**
+     * Activate the waiting version; the page reloads once it takes control
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.reloading = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Get service worker statistics
+     * @returns {Object} Service worker stats
+     */
+    getStats() {
+        return {
+            supported: ServiceWorkerManager.isSupported(),
+            registered: !!this.registration,
+            controlled: ServiceWorkerManager.isSupported() && !!navigator.serviceWorker.controller,
+            version: this.version,
+            updateAvailable: this.updateAvailable
+        };
+    }
+}
@@ -0,0 +1,115 @@
+/**
+ * Tag Utilities - Tag filtering, counting and filter routes
+ * Filter state lives in the URL, e.g. '#blogs?tag=ZK&tag=Noir&match=all'
+ */
+
+import { Router } from './router.js';
+
+export const TagUtils = {
+    /**
+     * Get the selected tags from route query parameters
+     * @param {Object} query - Route query parameters
+     * @returns {string[]} Selected tags
+     */
+    getSelectedTags(query = {}) {
+        return [].concat(query.tag || []).filter(Boolean);
+    },
+
+    /**
+     * Get the match mode from route query parameters
+     * @param {Object} query - Route query parameters
+     * @returns {string} 'all' (AND) or 'any' (OR)
+     */
+    getMatchMode(query = {}) {
+        return query.match === 'all' ? 'all' : 'any';
+    },
+
+    /**
+     * Resolve requested tags to their canonical spelling, dropping unknown tags
+     * @param {string[]} requested - Tags from the URL
+     * @param {Array<string[]>} tagLists - Tags of each available item
+     * @returns {string[]} Known tags as spelled in the content
+     */
+    resolveTags(requested, tagLists) {
+        const known = new Map();
+        tagLists.forEach(tags => {
+            (tags || []).forEach(tag => known.set(tag.toLowerCase(), tag));
+        });
+
+        return [...new Set(requested
+            .map(tag => known.get(tag.toLowerCase()))
+            .filter(Boolean))];
+    },
+
+    /**
+     * Check whether an item's tags satisfy the selected tags
+     * @param {string[]} itemTags - Tags on the item
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @returns {boolean} True if the item matches
+     */
+    matches(itemTags = [], selected = [], mode = 'any') {
+        if (selected.length === 0) return true;
+
+        const normalized = itemTags.map(tag => tag.toLowerCase());
+        const has = tag => normalized.includes(tag.toLowerCase());
+
+        return mode === 'all' ? selected.every(has) : selected.some(has);
+    },
+
+    /**
+     * Count tag occurrences across items
+     * @param {Array<string[]>} tagLists - Tags of each item
+     * @returns {Array<{tag: string, count: number}>} Counts, most used first
+     */
+    countTags(tagLists) {
+        const counts = new Map();
+        tagLists.forEach(tags => {
+            (tags || []).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
+
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    },
+
+    /**
+     * Check whether a tag is selected
+     * @param {string[]} selected - Selected tags
+     * @param {string} tag - Tag to check
+     * @returns {boolean} True if selected
+     */
+    isSelected(selected, tag) {
+        return selected.some(item => item.toLowerCase() === tag.toLowerCase());
+    },
+
+    /**
+     * Add a tag to the selection, or remove it if already selected
+     * @param {string[]} selected - Selected tags
+     * @param {string} tag - Tag to toggle
+     * @returns {string[]} New selection
+     */
+    toggle(selected, tag) {
+        return this.isSelected(selected, tag)
+            ? selected.filter(item => item.toLowerCase() !== tag.toLowerCase())
+            : [...selected, tag];
+    },
+
+    /**
+     * Build the route for a filtered page
+     * @param {string} page - Page name
+     * @param {string[]} selected - Selected tags
+     * @param {string} mode - 'all' or 'any'
+     * @param {Object} [extraQuery] - Other query parameters to keep (e.g. { sort: 'stars' })
+     * @returns {string} Route without the leading '#'
+     */
+    buildFilterRoute(page, selected, mode = 'any', extraQuery = {}) {
+        return Router.build(page, {
+            tag: selected,
+            match: mode === 'all' ? 'all' : null,
+            ...extraQuery
+        });
+    }
+};
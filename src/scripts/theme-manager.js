@@ -1,91 +1,320 @@
 /**
- * Theme Manager - Handles dark/light theme switching
- * Provides persistent theme management with system preference detection
+ * Theme Manager - Handles named color themes and the theme picker menu
+ * Themes are CSS custom property sets selected by [data-theme]; "system" follows prefers-color-scheme
  */
 
+import { resolveEnvironment } from './environment.js';
+import { EventBus } from './event-bus.js';
+import { html } from './html.js';
+import { i18n } from './i18n.js';
+
+const THEME_STORAGE_KEY = 'theme';
+const SYSTEM_THEME = 'system';
+
+/**
+ * Available themes in menu order; each id (except system) has a [data-theme] block in reset.css
+ * and a theme.<id> label in strings.js
+ */
+export const THEMES = [
+    { id: SYSTEM_THEME, icon: '💻' },
+    { id: 'light', icon: '☀️' },
+    { id: 'dark', icon: '🌙' },
+    { id: 'high-contrast', icon: '◐' },
+    { id: 'sepia', icon: '📜' },
+    { id: 'solarized', icon: '🌅' }
+];
+
+/**
+ * Stored values written by earlier versions of the site, mapped to current theme ids
+ */
+const LEGACY_THEMES = {
+    'dark-mode': 'dark'
+};
+
 export class ThemeManager {
-    constructor() {
-        this.theme = this.getInitialTheme();
-        this.init();
+    /**
+     * @param {Object} [options] - Theme options
+     * @param {EventBus} [options.events] - Application event bus (see event-bus.js)
+     * @param {Object} [options.environment] - Window, document, storage and fetch to use instead of the globals (see environment.js)
+     */
+    constructor({ events = new EventBus(), environment = {} } = {}) {
+        const env = resolveEnvironment(environment);
+        this.window = env.window;
+        this.document = env.document;
+        this.storage = env.storage;
+        this.events = events;
+        this.preference = null;
+        this.theme = null;
+        this.systemQuery = null;
+        this.toggleButton = null;
+        this.menu = null;
     }
 
     /**
      * Initialize theme manager and set up event listeners
      */
     init() {
-        this.applyTheme(this.theme);
-        this.setupToggleButton();
+        this.preference = this.getInitialTheme();
+        this.systemQuery = this.window.matchMedia ? this.window.matchMedia('(prefers-color-scheme: dark)') : null;
+        this.applyTheme(this.preference, { persist: false });
+        this.setupThemePicker();
         this.setupSystemThemeListener();
+
+        this.events.on('locale:changed', () => this.localizeThemePicker());
     }
 
     /**
-     * Get initial theme from localStorage or system preference
-     * @returns {string} 'light' or 'dark'
+     * Get the saved theme preference, migrating legacy values
+     * @returns {string} Theme id or 'system'
      */
     getInitialTheme() {
-        const savedTheme = localStorage.getItem('theme');
-        if (savedTheme) {
-            return savedTheme;
+        const savedTheme = this.storage.getItem(THEME_STORAGE_KEY);
+
+        if (savedTheme in LEGACY_THEMES) {
+            this.storage.setItem(THEME_STORAGE_KEY, LEGACY_THEMES[savedTheme]);
+            return LEGACY_THEMES[savedTheme];
+        }
+
+        return ThemeManager.isTheme(savedTheme) ? savedTheme : SYSTEM_THEME;
+    }
+
+    /**
+     * Check whether an id names a known theme
+     * @param {string} id - Theme id
+     * @returns {boolean} True if known
+     */
+    static isTheme(id) {
+        return THEMES.some(theme => theme.id === id);
+    }
+
+    /**
+     * Resolve a preference to the theme that is shown
+     * @param {string} preference - Theme id or 'system'
+     * @returns {string} Concrete theme id
+     */
+    resolveTheme(preference) {
+        if (preference !== SYSTEM_THEME) {
+            return preference;
+        }
+        return this.systemQuery && this.systemQuery.matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Apply a theme preference to the document
+     * @param {string} preference - Theme id or 'system'
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.persist=true] - Save the preference
+     */
+    applyTheme(preference, { persist = true } = {}) {
+        if (!ThemeManager.isTheme(preference)) {
+            console.warn(`Unknown theme: ${preference}`);
+            return;
         }
-        
-        // Check system preference
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
+
+        this.preference = preference;
+        this.theme = this.resolveTheme(preference);
+        this.document.documentElement.setAttribute('data-theme', this.theme);
+        this.document.documentElement.setAttribute('data-theme-preference', preference);
+
+        if (persist) {
+            this.storage.setItem(THEME_STORAGE_KEY, preference);
         }
-        
-        return 'light';
+
+        this.updateThemePicker();
+        this.events.emit('theme:changed', { theme: this.theme, preference });
     }
 
     /**
-     * Apply theme to document
-     * @param {string} theme - 'light' or 'dark'
+     * Choose a theme (alias used by menus and actions)
+     * @param {string} preference - Theme id or 'system'
      */
-    applyTheme(theme) {
-        document.documentElement.setAttribute('data-theme', theme);
-        this.theme = theme;
-        localStorage.setItem('theme', theme);
-        this.updateToggleButton(theme);
+    setTheme(preference) {
+        this.applyTheme(preference);
     }
 
     /**
      * Toggle between light and dark themes
      */
     toggleTheme() {
-        const newTheme = this.theme === 'light' ? 'dark' : 'light';
-        this.applyTheme(newTheme);
+        this.applyTheme(this.theme === 'dark' ? 'light' : 'dark');
     }
 
     /**
-     * Set up theme toggle button event listener
+     * Turn the theme toggle button into a menu button and create the picker menu
      */
-    setupToggleButton() {
-        const toggleButton = document.querySelector('.theme-toggle');
-        if (toggleButton) {
-            toggleButton.addEventListener('click', () => this.toggleTheme());
+    setupThemePicker() {
+        this.toggleButton = this.document.querySelector('.theme-toggle');
+        if (!this.toggleButton) {
+            return;
         }
+
+        this.toggleButton.setAttribute('aria-haspopup', 'menu');
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        this.toggleButton.setAttribute('aria-controls', 'theme-menu');
+
+        this.menu = this.document.createElement('ul');
+        this.menu.id = 'theme-menu';
+        this.menu.className = 'theme-menu';
+        this.menu.setAttribute('role', 'menu');
+        this.menu.hidden = true;
+        this.menu.innerHTML = html`${THEMES.map(theme => html`
+            <li role="none">
+                <button type="button" class="theme-menu-item" role="menuitemradio" aria-checked="false" tabindex="-1" data-theme-id="${theme.id}">
+                    <span class="theme-menu-icon" aria-hidden="true">${theme.icon}</span>
+                    <span class="theme-menu-label"></span>
+                </button>
+            </li>
+        `)}`;
+        this.toggleButton.insertAdjacentElement('afterend', this.menu);
+        this.localizeThemePicker();
+
+        this.toggleButton.addEventListener('click', () => {
+            if (this.menu.hidden) {
+                this.openMenu();
+            } else {
+                this.closeMenu();
+            }
+        });
+
+        this.toggleButton.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.openMenu(e.key === 'ArrowUp' ? -1 : 0);
+            }
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-theme-id]');
+            if (item) {
+                this.setTheme(item.dataset.themeId);
+                this.closeMenu();
+            }
+        });
+
+        this.menu.addEventListener('keydown', (e) => this.handleMenuKeydown(e));
+
+        this.document.addEventListener('click', (e) => {
+            if (!this.menu.hidden && !this.menu.contains(e.target) && !this.toggleButton.contains(e.target)) {
+                this.closeMenu({ restoreFocus: false });
+            }
+        });
+
+        this.updateThemePicker();
     }
 
     /**
-     * Update toggle button appearance based on current theme
-     * @param {string} theme - Current theme
+     * Label the menu button and theme names in the active locale
      */
-    updateToggleButton(theme) {
-        const themeIcon = document.querySelector('.theme-icon');
+    localizeThemePicker() {
+        if (!this.menu) {
+            return;
+        }
+
+        this.toggleButton.setAttribute('aria-label', i18n.t('theme.choose'));
+        this.menu.setAttribute('aria-label', i18n.t('theme.menu'));
+        this.getMenuItems().forEach(item => {
+            item.querySelector('.theme-menu-label').textContent = i18n.t(`theme.${item.dataset.themeId}`);
+        });
+    }
+
+    /**
+     * Get the picker menu items
+     * @returns {HTMLElement[]} Menu items
+     */
+    getMenuItems() {
+        return this.menu ? [...this.menu.querySelectorAll('[role="menuitemradio"]')] : [];
+    }
+
+    /**
+     * Open the picker menu and focus an item
+     * @param {number|null} [index] - Item to focus (negative counts from the end; defaults to the checked item)
+     */
+    openMenu(index = null) {
+        const items = this.getMenuItems();
+        if (items.length === 0) return;
+
+        this.menu.hidden = false;
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+
+        const checked = items.findIndex(item => item.getAttribute('aria-checked') === 'true');
+        const target = index === null ? Math.max(checked, 0) : (index + items.length) % items.length;
+        items[target].focus();
+    }
+
+    /**
+     * Close the picker menu
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.restoreFocus=true] - Return focus to the menu button
+     */
+    closeMenu({ restoreFocus = true } = {}) {
+        if (!this.menu || this.menu.hidden) return;
+
+        this.menu.hidden = true;
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        if (restoreFocus) {
+            this.toggleButton.focus();
+        }
+    }
+
+    /**
+     * Handle keyboard interaction inside the picker menu
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleMenuKeydown(e) {
+        const items = this.getMenuItems();
+        const current = items.indexOf(this.document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                items[(current + 1) % items.length].focus();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                items[(current - 1 + items.length) % items.length].focus();
+                break;
+            case 'Home':
+                e.preventDefault();
+                items[0].focus();
+                break;
+            case 'End':
+                e.preventDefault();
+                items[items.length - 1].focus();
+                break;
+            case 'Escape':
+                e.preventDefault();
+                e.stopPropagation();
+                this.closeMenu();
+                break;
+            case 'Tab':
+                this.closeMenu({ restoreFocus: false });
+                break;
+        }
+    }
+
+    /**
+     * Update the menu button icon and the checked menu item
+     */
+    updateThemePicker() {
+        const themeIcon = this.document.querySelector('.theme-icon');
         if (themeIcon) {
-            themeIcon.textContent = theme === 'light' ? '🌙' : '☀️';
+            themeIcon.textContent = THEMES.find(theme => theme.id === this.preference).icon;
         }
+
+        this.getMenuItems().forEach(item => {
+            item.setAttribute('aria-checked', String(item.dataset.themeId === this.preference));
+        });
     }
 
     /**
      * Listen for system theme changes
      */
     setupSystemThemeListener() {
-        if (window.matchMedia) {
-            const darkModeQuery = window.matchMedia('(prefers-color-scheme: dark)');
-            darkModeQuery.addEventListener('change', (e) => {
-                // Only apply system theme if user hasn't manually set a preference
-                if (!localStorage.getItem('theme')) {
-                    this.applyTheme(e.matches ? 'dark' : 'light');
+        if (this.systemQuery) {
+            this.systemQuery.addEventListener('change', () => {
+                // Keep following the system while "system" is the chosen preference
+                if (this.preference === SYSTEM_THEME) {
+                    this.applyTheme(SYSTEM_THEME, { persist: false });
                 }
             });
         }
@@ -98,4 +327,24 @@ export class ThemeManager {
     getCurrentTheme() {
         return this.theme;
     }
-}
\ No newline at end of file
+
+    /**
+     * Get the chosen theme preference
+     * @returns {string} Theme id or 'system'
+     */
+    getPreference() {
+        return this.preference;
+    }
+
+    /**
+     * Get theme statistics
+     * @returns {Object} Theme stats
+     */
+    getStats() {
+        return {
+            theme: this.theme,
+            preference: this.preference,
+            themes: THEMES.map(theme => theme.id)
+        };
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Video Embed - Click-to-load video players for talks
+ * Nothing is requested from the video provider until the visitor presses play;
+ * chapter links then seek the loaded player through the provider's postMessage API.
+ */
+
+/**
+ * Supported providers: watch page, privacy-enhanced embed and seek commands
+ */
+export const VIDEO_PROVIDERS = {
+    youtube: {
+        name: 'YouTube',
+        watchUrl: (id, start) => `https://www.youtube.com/watch?v=${encodeURIComponent(id)}${start ? `&t=${start}s` : ''}`,
+        embedUrl: (id, start) => `https://www.youtube-nocookie.com/embed/${encodeURIComponent(id)}?autoplay=1&enablejsapi=1&start=${start}`,
+        seekMessages: seconds => [
+            { event: 'command', func: 'seekTo', args: [seconds, true] },
+            { event: 'command', func: 'playVideo', args: [] }
+        ]
+    },
+    vimeo: {
+        name: 'Vimeo',
+        watchUrl: (id, start) => `https://vimeo.com/${encodeURIComponent(id)}${start ? `#t=${start}s` : ''}`,
+        embedUrl: (id, start) => `https://player.vimeo.com/video/${encodeURIComponent(id)}?autoplay=1&dnt=1#t=${start}s`,
+        seekMessages: seconds => [
+            { method: 'setCurrentTime', value: seconds },
+            { method: 'play' }
+        ]
+    }
+};
+
+export const VideoEmbed = {
+    /**
+     * Parse a timestamp such as "3:06" or "1:02:03" (or a number of seconds)
+     * @param {string|number} value - Timestamp
+     * @returns {number|null} Seconds, or null if invalid
+     */
+    parseTimestamp(value) {
+        if (Number.isInteger(value) && value >= 0) return value;
+        if (!/^(?:\d+:)?\d{1,2}:\d{2}$/.test(String(value))) return null;
+
+        return String(value).split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    },
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     * @param {number} seconds - Seconds
+     * @returns {string} Timestamp
+     */
+    formatTimestamp(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    },
+
+    /**
+     * Get a provider by name
+     * @param {string} name - Provider name
+     * @returns {Object|null} Provider
+     */
+    getProvider(name) {
+        return VIDEO_PROVIDERS[name] || null;
+    },
+
+    /**
+     * Get the provider's watch page for a video
+     * @param {Object} video - Video ({ provider, id, start })
+     * @param {number} [start] - Start offset in seconds
+     * @returns {string|null} URL
+     */
+    getWatchUrl(video, start = video.start || 0) {
+        const provider = this.getProvider(video.provider);
+        return provider ? provider.watchUrl(video.id, start) : null;
+    },
+
+    /**
+     * Get the embeddable player URL for a video
+     * @param {Object} video - Video ({ provider, id, start })
+     * @param {number} [start] - Start offset in seconds
+     * @returns {string|null} URL
+     */
+    getEmbedUrl(video, start = video.start || 0) {
+        const provider = this.getProvider(video.provider);
+        return provider ? provider.embedUrl(video.id, start) : null;
+    },
+
+    /**
+     * Get the link for a talk: its own link, otherwise its video's watch page
+     * @param {Object} talk - Talk from CONTENT_DATA.misc.thoughts
+     * @returns {string|null} URL
+     */
+    getTalkUrl(talk) {
+        return talk.link || (talk.video ? this.getWatchUrl(talk.video) : null);
+    },
+
+    /**
+     * Replace a click-to-load placeholder with the player
+     * @param {HTMLElement} container - .video-embed element
+     * @param {number} [start] - Start offset in seconds (defaults to the video's own)
+     * @returns {HTMLIFrameElement|null} Player frame
+     */
+    load(container, start = Number(container.dataset.start) || 0) {
+        const video = { provider: container.dataset.provider, id: container.dataset.videoId };
+        const src = this.getEmbedUrl(video, start);
+        if (!src) {
+            console.warn(`Unknown video provider: ${video.provider}`);
+            return null;
+        }
+
+        const iframe = container.ownerDocument.createElement('iframe');
+        iframe.className = 'video-embed-frame';
+        iframe.src = src;
+        iframe.title = container.dataset.title || 'Video player';
+        iframe.allow = 'autoplay; encrypted-media; picture-in-picture; fullscreen';
+        iframe.allowFullscreen = true;
+        iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+
+        container.replaceChildren(iframe);
+        container.dataset.loaded = 'true';
+        iframe.focus();
+        return iframe;
+    },
+
+    /**
+     * Seek a talk's player, loading it at that offset if it isn't loaded yet
+     * @param {HTMLElement} container - .video-embed element
+     * @param {number} seconds - Offset in seconds
+     */
+    seek(container, seconds) {
+        const iframe = container.querySelector('iframe');
+        if (!iframe) {
+            this.load(container, seconds);
+            return;
+        }
+
+        const provider = this.getProvider(container.dataset.provider);
+        const origin = new URL(iframe.src).origin;
+        provider.seekMessages(seconds).forEach(message => {
+            iframe.contentWindow?.postMessage(JSON.stringify(message), origin);
+        });
+    }
+};
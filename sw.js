@@ -0,0 +1,265 @@
+/**
+ * Service Worker - Offline support
+ * Precaches the app shell under a cache keyed by the app version (registered as sw.js?v=<version>),
+ * serves content stale-while-revalidate and keeps every other same-origin request it has seen,
+ * so the whole site works offline once visited.
+ * A new version installs alongside the old one and waits until the page asks it to take over.
+ */
+
+const params = new URL(self.location).searchParams;
+const VERSION = params.get('v') || 'dev';
+const MAX_AGE = Number(params.get('maxAge')) || 3600000;
+const MAX_SIZE = Number(params.get('maxSize')) || 50;
+
+const CACHE_PREFIX = 'karl-site-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const CONTENT_CACHE = `${CACHE_PREFIX}content-${VERSION}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${VERSION}`;
+
+/**
+ * Header recording when a content response was cached
+ */
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+/**
+ * App shell, relative to the service worker scope
+ * Keep in sync with src/scripts and src/styles; anything missing is still cached on first use
+ */
+const SHELL_URLS = [
+    './',
+    './index.html',
+    './asset.png',
+    './src/styles/main.css',
+    './src/styles/base/reset.css',
+    './src/styles/components/layout.css',
+    './src/styles/components/content.css',
+    './src/styles/utils/helpers.css',
+    './src/scripts/main.js',
+    './src/scripts/app-config.js',
+    './src/scripts/app-manager.js',
+    './src/scripts/command-palette.js',
+    './src/scripts/content-loader.js',
+    './src/scripts/environment.js',
+    './src/scripts/event-bus.js',
+    './src/scripts/github.js',
+    './src/scripts/highlight.js',
+    './src/scripts/html.js',
+    './src/scripts/i18n.js',
+    './src/scripts/locale-manager.js',
+    './src/scripts/lru-cache.js',
+    './src/scripts/markdown.js',
+    './src/scripts/math.js',
+    './src/scripts/navigation-manager.js',
+    './src/scripts/page-registry.js',
+    './src/scripts/period.js',
+    './src/scripts/plugin-manager.js',
+    './src/scripts/resume.js',
+    './src/scripts/router.js',
+    './src/scripts/search-index.js',
+    './src/scripts/search-manager.js',
+    './src/scripts/service-worker-manager.js',
+    './src/scripts/tag-utils.js',
+    './src/scripts/theme-manager.js',
+    './src/scripts/video-embed.js'
+];
+
+/**
+ * Content, served stale-while-revalidate
+ */
+const CONTENT_URLS = [
+    './src/data/content.js',
+    './src/data/content.zh.js',
+    './src/data/github.js',
+    './src/data/strings.js'
+];
+
+/**
+ * Entry module, always fetched from the network when online: it carries APP_CONFIG.version,
+ * so a cached copy would keep registering the old worker and never notice a deploy
+ */
+const ENTRY_URL = './src/scripts/main.js';
+
+/**
+ * Paths (relative to the scope) that count as content
+ */
+const CONTENT_PATTERN = /^(src\/data\/|feed\.xml$|rss\.xml$|feed\.json$)/;
+
+/**
+ * Resolve a scope-relative URL
+ * @param {string} url - Relative URL
+ * @returns {string} Absolute URL
+ */
+function resolve(url) {
+    return new URL(url, self.registration.scope).href;
+}
+
+/**
+ * Get a request's path relative to the scope
+ * @param {URL} url - Request URL
+ * @returns {string|null} Relative path, or null when outside the scope
+ */
+function getScopePath(url) {
+    const scope = self.registration.scope;
+    return url.href.startsWith(scope) ? url.href.slice(scope.length).split(/[?#]/)[0] : null;
+}
+
+/**
+ * Look a request up in this version's caches only, so a waiting newer worker's caches are never mixed in
+ * @param {Request|string} request - Request or URL
+ * @param {Object} [options] - Cache match options
+ * @returns {Promise<Response|undefined>} Cached response
+ */
+async function matchCached(request, options) {
+    for (const name of [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE]) {
+        const cached = await (await caches.open(name)).match(request, options);
+        if (cached) return cached;
+    }
+    return undefined;
+}
+
+/**
+ * Copy a response, stamping the time it was cached
+ * @param {Response} response - Network response
+ * @returns {Promise<Response>} Stamped response
+ */
+async function stamp(response) {
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+/**
+ * Drop the oldest entries of a cache beyond MAX_SIZE
+ * @param {string} cacheName - Cache name
+ */
+async function trimCache(cacheName) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_SIZE)).map(key => cache.delete(key)));
+}
+
+/**
+ * Serve from the shell cache, falling back to the network
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cached = await matchCached(request, { ignoreSearch: true });
+    return cached || networkFirst(request);
+}
+
+/**
+ * Serve cached content immediately and refresh it in the background
+ * Content older than MAX_AGE waits for the network instead, unless offline
+ * @param {FetchEvent} event - Fetch event
+ * @returns {Promise<Response>} Response
+ */
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CONTENT_CACHE);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+
+    const refresh = fetch(event.request).then(async response => {
+        if (response.ok) {
+            await cache.put(event.request, await stamp(response.clone()));
+        }
+        return response;
+    });
+
+    if (!cached) {
+        return refresh;
+    }
+
+    const age = Date.now() - Number(cached.headers.get(CACHED_AT_HEADER) || 0);
+    if (age > MAX_AGE) {
+        return refresh.catch(() => cached);
+    }
+
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+}
+
+/**
+ * Fetch from the network, caching the response; fall back to the cache when offline
+ * Navigations without a cached page fall back to the app shell at the matching hash route
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(RUNTIME_CACHE);
+            await cache.put(request, response.clone());
+            await trimCache(RUNTIME_CACHE);
+        }
+        return response;
+    } catch (error) {
+        const cached = await matchCached(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+
+        if (request.mode === 'navigate') {
+            // Prerendered pages live at <route>/; the shell's relative asset paths only work at the root,
+            // so send deeper paths to the equivalent hash route instead
+            const route = getScopePath(new URL(request.url)).replace(/(^|\/)index\.html$/, '').replace(/\/$/, '');
+            if (route) {
+                return Response.redirect(resolve(`./#${route}`), 302);
+            }
+
+            const shell = await matchCached(resolve('./index.html'));
+            if (shell) return shell;
+        }
+        throw error;
+    }
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const [shell, content] = await Promise.all([caches.open(SHELL_CACHE), caches.open(CONTENT_CACHE)]);
+        await shell.addAll(SHELL_URLS.map(resolve));
+        await Promise.all(CONTENT_URLS.map(async url => {
+            const response = await fetch(resolve(url), { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`Failed to precache ${url}: ${response.status}`);
+            await content.put(resolve(url), await stamp(response));
+        }));
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const current = [SHELL_CACHE, CONTENT_CACHE, RUNTIME_CACHE];
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && !current.includes(name))
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const scopePath = getScopePath(new URL(request.url));
+    if (scopePath === null) return;
+
+    if (request.mode === 'navigate' || resolve(`./${scopePath}`) === resolve(ENTRY_URL)) {
+        event.respondWith(networkFirst(request));
+    } else if (CONTENT_PATTERN.test(scopePath)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (SHELL_URLS.some(url => resolve(url) === resolve(`./${scopePath}`))) {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,115 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ApplicationManager } from '../src/scripts/app-manager.js';
+import { createEnvironment, settle } from './helpers/dom.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Start an application on a jsdom page
+ * @param {Object} [options] - createEnvironment options
+ * @returns {Promise<{app: ApplicationManager, env: Object, scrolls: Array<number>}>} Started application
+ */
+async function startApp(options) {
+    const env = createEnvironment(options);
+    const app = new ApplicationManager({ features: { notifications: false } }, { environment: env });
+    await app.init();
+    await settle();
+
+    // Record restores only, not the scroll to the top of the first page
+    const scrolls = [];
+    env.window.scrollTo = (x, y) => scrolls.push(y);
+
+    return { app, env, scrolls };
+}
+
+describe('ApplicationManager', () => {
+    it('creates no managers until init()', () => {
+        const env = createEnvironment();
+        const app = new ApplicationManager({}, { environment: env });
+
+        assert.equal(app.navigationManager, null);
+        assert.equal(app.initialized, false);
+        assert.equal(env.document.querySelector('.command-palette'), null);
+    });
+
+    it('starts every enabled manager against the injected environment', async () => {
+        const { app, env } = await startApp();
+
+        assert.equal(app.initialized, true);
+        assert.equal(app.navigationManager.getCurrentPage(), 'home');
+        assert.ok(env.document.documentElement.hasAttribute('data-theme'));
+        assert.ok(env.document.querySelector('.command-palette'));
+    });
+
+    it('saves the current page, theme and scroll position when the page is hidden', async () => {
+        const { app, env } = await startApp({ storage: { theme: 'dark' } });
+        env.window.pageYOffset = 320;
+
+        app.handlePageHide();
+
+        const state = JSON.parse(env.storage.getItem('appState'));
+        assert.equal(state.currentPage, 'home');
+        assert.equal(state.theme, 'dark');
+        assert.equal(state.scrollPosition, 320);
+    });
+
+    it('restores the saved scroll position when the page is shown again', async () => {
+        const { app, env, scrolls } = await startApp();
+        env.window.pageYOffset = 640;
+        app.saveApplicationState();
+
+        app.restoreApplicationState();
+        await settle(150);
+
+        assert.deepEqual(scrolls, [640]);
+    });
+
+    it('drops saved state that is stale or unreadable', async () => {
+        const { app, env, scrolls } = await startApp();
+
+        env.storage.setItem('appState', JSON.stringify({ timestamp: Date.now() - 2 * HOUR, scrollPosition: 100 }));
+        app.restoreApplicationState();
+        assert.equal(env.storage.getItem('appState'), null);
+
+        env.storage.setItem('appState', '{not json');
+        app.restoreApplicationState();
+        assert.equal(env.storage.getItem('appState'), null);
+
+        await settle(150);
+        assert.deepEqual(scrolls, []);
+    });
+
+    it('keeps search working after the caches are cleared', async () => {
+        const { app, env } = await startApp();
+        env.storage.setItem('appState', '{}');
+
+        app.clearAllCaches();
+
+        assert.equal(env.storage.getItem('appState'), null);
+        assert.ok(app.searchManager.searchContent('bulletproofs').length > 0);
+    });
+
+    it('relabels the command palette, its actions and the theme menu when the locale changes', async (t) => {
+        const { app, env } = await startApp();
+        const palette = app.commandPalette;
+        const actionIds = palette.actions.map(action => action.id);
+        t.after(() => app.localeManager.setLocale('en'));
+
+        palette.open();
+        app.localeManager.setLocale('zh');
+
+        assert.equal(palette.input.placeholder, '搜索页面、文章、项目、演讲或操作…');
+        assert.equal(env.document.querySelector('.command-palette-dialog').getAttribute('aria-label'), '命令面板');
+        assert.equal(env.document.querySelector('.command-palette-group-label').textContent, '页面');
+        assert.deepEqual(palette.actions.map(action => action.id), actionIds);
+        assert.equal(palette.actions.find(action => action.id === 'theme-dark').title, '主题：深色');
+        assert.equal(env.document.querySelector('.theme-toggle').getAttribute('aria-label'), '选择主题');
+        assert.equal(env.document.querySelector('[data-theme-id="dark"] .theme-menu-label').textContent, '深色');
+
+        palette.input.value = 'zzzz';
+        palette.update();
+        assert.equal(env.document.querySelector('.command-palette-empty').textContent.trim(), '没有与“zzzz”相关的结果');
+    });
+});
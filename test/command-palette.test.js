@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CommandPalette } from '../src/scripts/command-palette.js';
+import { createEnvironment } from './helpers/dom.js';
+
+/**
+ * Start a command palette without search or navigation
+ * @param {Object} [storage] - Initial storage entries
+ * @returns {{palette: CommandPalette, env: Object}} Started palette
+ */
+function startPalette(storage) {
+    const env = createEnvironment({ storage });
+    const palette = new CommandPalette({ environment: env });
+    palette.init();
+    return { palette, env };
+}
+
+describe('CommandPalette', () => {
+    it('lists recent searches before the pages when opened', () => {
+        const { palette, env } = startPalette({ recentSearches: JSON.stringify(['noir', 'kzg']) });
+
+        palette.open();
+
+        const recent = env.document.querySelectorAll('[aria-labelledby="command-palette-group-recent"] .command-palette-title');
+        assert.deepEqual([...recent].map(title => title.textContent), ['noir', 'kzg']);
+    });
+
+    for (const stored of ['{}', '5', '"noir"', 'null', '{not json']) {
+        it(`ignores stored recent searches of ${stored}`, () => {
+            const { palette, env } = startPalette({ recentSearches: stored });
+
+            assert.deepEqual(palette.getRecentQueries(), []);
+            assert.doesNotThrow(() => palette.open());
+            assert.ok(env.document.querySelector('.command-palette-option'));
+
+            palette.saveRecentQuery('noir');
+            assert.deepEqual(palette.getRecentQueries(), ['noir']);
+        });
+    }
+
+    it('drops stored entries that are not strings', () => {
+        const { palette } = startPalette({ recentSearches: JSON.stringify(['noir', 5, null, { q: 'x' }]) });
+
+        assert.deepEqual(palette.getRecentQueries(), ['noir']);
+    });
+});
@@ -0,0 +1,88 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { ContentLoader } from '../src/scripts/content-loader.js';
+import { EventBus } from '../src/scripts/event-bus.js';
+import { i18n } from '../src/scripts/i18n.js';
+import { fetchFromRepository } from './helpers/dom.js';
+
+const POST_SLUG = CONTENT_DATA.blogs.posts[0];
+
+/**
+ * Start a content loader with the given fetch and wait for its posts
+ * @param {Function} fetch - Fetch implementation
+ * @returns {Promise<{loader: ContentLoader, loaded: Array<Object>}>} Loader and content:loaded payloads
+ */
+async function startLoader(fetch) {
+    const events = new EventBus();
+    const loaded = [];
+    events.on('content:loaded', detail => loaded.push(detail));
+
+    const loader = new ContentLoader(undefined, { events, environment: { fetch } });
+    loader.init();
+    await loader.postsReady;
+
+    return { loader, loaded };
+}
+
+describe('ContentLoader', () => {
+    it('does not fetch posts before init()', () => {
+        let requests = 0;
+        const loader = new ContentLoader(undefined, { environment: { fetch: async () => { requests++; } } });
+
+        assert.equal(loader.postsReady, null);
+        assert.equal(requests, 0);
+    });
+
+    it('loads local posts through the injected fetch', async () => {
+        const requested = [];
+        const { loader, loaded } = await startLoader(url => {
+            requested.push(String(url));
+            return fetchFromRepository(url);
+        });
+
+        assert.ok(requested.some(url => url.endsWith(`/src/data/posts/${POST_SLUG}.md`)));
+        assert.deepEqual(loaded, [{ posts: [POST_SLUG] }]);
+        assert.match(String(await loader.loadContentComponent('blogs')), new RegExp(`#blogs/${POST_SLUG}`));
+    });
+
+    it('falls back to the external articles when posts fail to load', async () => {
+        const { loader, loaded } = await startLoader(async () => {
+            throw new TypeError('Failed to fetch');
+        });
+
+        assert.equal(loader.posts.size, 0);
+        assert.deepEqual(loaded, [{ posts: [] }]);
+
+        const blogs = String(await loader.loadContentComponent('blogs'));
+        CONTENT_DATA.blogs.articles.forEach(article => {
+            assert.ok(blogs.includes(article.link), `missing ${article.link}`);
+        });
+        assert.ok(!blogs.includes(`#blogs/${POST_SLUG}`));
+    });
+
+    it('renders the not found page for a post that failed to load', async () => {
+        const { loader } = await startLoader(async () => ({ ok: false, status: 404, text: async () => '' }));
+
+        const post = String(await loader.loadContentComponent('blogs', {
+            page: 'blogs',
+            renderer: 'renderPostContent',
+            params: { slug: POST_SLUG },
+            query: {}
+        }));
+        assert.match(post, /not-found/);
+    });
+
+    it('renders projects that have neither an id nor links', async (t) => {
+        const projects = i18n.content.projects.items;
+        projects.push({ title: 'Unlinked experiment', description: 'No repository yet', technologies: ['Unlinked'] });
+        t.after(() => projects.pop());
+
+        const { loader } = await startLoader(fetchFromRepository);
+
+        assert.doesNotThrow(() => loader.getTaggedItems());
+        assert.match(String(loader.renderTagContent(null, { tag: 'Unlinked' })), /Unlinked experiment/);
+        assert.match(String(await loader.loadContentComponent('projects')), /Unlinked experiment/);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * DOM Helpers - jsdom environments for the manager tests
+ * Each environment loads index.html without its scripts and is passed to the managers through
+ * their `environment` option (see src/scripts/environment.js), so no test touches the globals.
+ */
+
+import { readFileSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { JSDOM } from 'jsdom';
+
+import { createMemoryStorage } from '../../src/scripts/environment.js';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const INDEX_HTML = readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8')
+    .replace(/<script type="module"[^>]*><\/script>/g, '');
+
+/**
+ * Fetch that serves files from the repository, for file: URLs (ContentLoader resolves posts
+ * against import.meta.url) and paths relative to the site root
+ * @param {string|URL} url - Requested URL
+ * @returns {Promise<Object>} Response with ok, status, text() and json()
+ */
+export async function fetchFromRepository(url) {
+    const href = String(url);
+    const file = href.startsWith('file:')
+        ? fileURLToPath(href)
+        : path.join(ROOT_DIR, new URL(href, 'http://localhost/').pathname);
+
+    try {
+        const body = await readFile(file, 'utf8');
+        return { ok: true, status: 200, text: async () => body, json: async () => JSON.parse(body) };
+    } catch (error) {
+        return { ok: false, status: 404, text: async () => '', json: async () => ({}) };
+    }
+}
+
+/**
+ * Create a jsdom window with the site's markup
+ * @param {Object} [options] - Options
+ * @param {string} [options.url] - Page URL, including the route hash
+ * @param {Object} [options.storage] - Initial storage entries
+ * @param {Function} [options.fetch] - Fetch implementation (defaults to fetchFromRepository)
+ * @param {Object<string, boolean>} [options.media] - Media query results, e.g. { '(prefers-color-scheme: dark)': true }
+ * @returns {{window: Window, document: Document, storage: Storage, fetch: Function, media: Object}} Environment
+ */
+export function createEnvironment({ url = 'http://localhost/', storage = {}, fetch = fetchFromRepository, media = {} } = {}) {
+    const dom = new JSDOM(INDEX_HTML, { url, pretendToBeVisual: true });
+    const { window } = dom;
+    const queries = new Map();
+
+    // jsdom implements neither media queries nor scrolling
+    window.matchMedia = query => {
+        if (!queries.has(query)) {
+            const listeners = new Set();
+            queries.set(query, {
+                media: query,
+                get matches() {
+                    return Boolean(media[query]);
+                },
+                addEventListener: (type, listener) => listeners.add(listener),
+                removeEventListener: (type, listener) => listeners.delete(listener),
+                dispatch: () => listeners.forEach(listener => listener({ matches: Boolean(media[query]) }))
+            });
+        }
+        return queries.get(query);
+    };
+    window.scrollTo = () => {};
+    window.HTMLElement.prototype.scrollIntoView = function () {};
+
+    return {
+        window,
+        document: window.document,
+        storage: createMemoryStorage(storage),
+        fetch,
+        media: {
+            set(query, matches) {
+                media[query] = matches;
+                queries.get(query)?.dispatch();
+            }
+        }
+    };
+}
+
+/**
+ * Wait for pending timers, promises and hash changes to settle
+ * @param {number} [ms] - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+export function settle(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { JSDOM } from 'jsdom';
+
+import { Highlighter } from '../src/scripts/highlight.js';
+import { MarkdownUtils } from '../src/scripts/markdown.js';
+
+describe('Highlighter.parseLineRanges', () => {
+    it('parses single lines and ranges', () => {
+        assert.deepEqual([...Highlighter.parseLineRanges('1, 3-5', 10)], [1, 3, 4, 5]);
+    });
+
+    it('ignores malformed parts', () => {
+        assert.deepEqual([...Highlighter.parseLineRanges('x,2-,4', 10)], [4]);
+        assert.deepEqual([...Highlighter.parseLineRanges('', 10)], []);
+    });
+
+    it('clamps ranges to the lines of the code block', () => {
+        assert.deepEqual([...Highlighter.parseLineRanges('0-2,4-999999999', 5)], [1, 2, 4, 5]);
+        assert.deepEqual([...Highlighter.parseLineRanges('7-9', 5)], []);
+    });
+
+    it('keeps only the existing lines of huge ranges', () => {
+        const lines = Highlighter.parseLineRanges('1-999999999,1-999999999', 3);
+
+        assert.equal(lines.size, 3);
+        assert.deepEqual([...lines], [1, 2, 3]);
+    });
+});
+
+describe('Highlighted code blocks', () => {
+    it('marks the requested lines of a fenced block', () => {
+        const fragment = JSDOM.fragment(MarkdownUtils.render('```rust {2-999999999}\nfn a() {}\nfn b() {}\nfn c() {}\n```'));
+        const highlighted = [...fragment.querySelectorAll('.code-line.highlighted')].map(line => line.dataset.line);
+
+        assert.deepEqual(highlighted, ['2', '3']);
+    });
+});
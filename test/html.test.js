@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { JSDOM } from 'jsdom';
+
+import { SafeHtml, escapeHtml, html, raw, safeUrl } from '../src/scripts/html.js';
+
+const HOSTILE = '<script>alert(1)</script><img src=x onerror="alert(2)">';
+
+/**
+ * Parse rendered markup the way innerHTML would
+ * @param {SafeHtml|string} markup - Rendered HTML
+ * @returns {DocumentFragment} Parsed fragment
+ */
+function parse(markup) {
+    return JSDOM.fragment(String(markup));
+}
+
+describe('html', () => {
+    it('escapes interpolated text', () => {
+        const rendered = html`<p>${HOSTILE}</p>`;
+        const fragment = parse(rendered);
+
+        assert.ok(rendered instanceof SafeHtml);
+        assert.equal(fragment.querySelector('script, img'), null);
+        assert.equal(fragment.querySelector('p').textContent, HOSTILE);
+    });
+
+    it('keeps interpolated values inside their attribute', () => {
+        const title = '" onmouseover="alert(1)';
+        const element = parse(html`<span title="${title}" data-x='${"' onclick='alert(1)"}'>x</span>`).firstChild;
+
+        assert.deepEqual(element.getAttributeNames(), ['title', 'data-x']);
+        assert.equal(element.title, title);
+    });
+
+    it('escapes every HTML special character', () => {
+        assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+    });
+
+    it('renders arrays item by item and nested templates once', () => {
+        const items = ['<b>', 'plain'];
+        const rendered = html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`;
+
+        assert.equal(String(rendered), '<ul><li>&lt;b&gt;</li><li>plain</li></ul>');
+    });
+
+    it('renders null and undefined as nothing', () => {
+        assert.equal(String(html`<p>${null}${undefined}${0}</p>`), '<p>0</p>');
+    });
+
+    it('replaces unsafe URLs in URL attributes', () => {
+        const fragment = parse(html`<a href="${'javascript:alert(1)'}">a</a><img src='${'data:text/html,x'}'>`);
+
+        assert.equal(fragment.querySelector('a').getAttribute('href'), '#');
+        assert.equal(fragment.querySelector('img').getAttribute('src'), '#');
+    });
+
+    it('escapes allowed URLs so they cannot close the attribute', () => {
+        const link = parse(html`<a href="${'https://example.com/"onclick="alert(1)'}">a</a>`).firstChild;
+
+        assert.deepEqual(link.getAttributeNames(), ['href']);
+        assert.equal(link.getAttribute('href'), 'https://example.com/"onclick="alert(1)');
+    });
+});
+
+describe('raw', () => {
+    it('passes trusted markup through unescaped', () => {
+        assert.equal(String(html`<div>${raw('<em>trusted</em>')}</div>`), '<div><em>trusted</em></div>');
+    });
+
+    it('returns SafeHtml values unchanged and renders null as nothing', () => {
+        const trusted = raw('<b>x</b>');
+
+        assert.equal(raw(trusted), trusted);
+        assert.equal(String(raw(null)), '');
+    });
+});
+
+describe('safeUrl', () => {
+    for (const url of [
+        'javascript:alert(1)',
+        'JAVASCRIPT:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        '  javascript:alert(1)',
+        'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+        'vbscript:msgbox(1)'
+    ]) {
+        it(`rejects ${JSON.stringify(url)}`, () => {
+            assert.equal(safeUrl(url), '#');
+        });
+    }
+
+    it('allows http, https, mailto and scheme-less URLs', () => {
+        for (const url of ['http://example.com', 'HTTPS://example.com/a?b=c', 'mailto:me@example.com', '#blogs', './feed.xml', '/posts/a']) {
+            assert.equal(safeUrl(url), url);
+        }
+    });
+
+    it('treats a missing URL as empty', () => {
+        assert.equal(safeUrl(undefined), '');
+    });
+});
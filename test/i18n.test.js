@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { I18n, getItemKey, mergeContent } from '../src/scripts/i18n.js';
+
+describe('mergeContent', () => {
+    it('merges objects key by key and replaces other values', () => {
+        const base = { title: 'Projects', meta: { lang: 'en', dir: 'ltr' }, skills: ['Rust', 'Noir'] };
+
+        assert.deepEqual(mergeContent(base, { meta: { lang: 'zh' }, skills: ['Rust'] }), {
+            title: 'Projects',
+            meta: { lang: 'zh', dir: 'ltr' },
+            skills: ['Rust']
+        });
+        assert.equal(mergeContent(base, undefined), base);
+        assert.deepEqual(base.meta, { lang: 'en', dir: 'ltr' });
+    });
+
+    it('overrides list items by key, whatever their order', () => {
+        const items = [
+            { id: 'reth', title: 'Reth', description: 'Ethereum in Rust' },
+            { title: 'Notes', description: 'Short notes' },
+            { degree: 'BSc', description: 'Computer science' },
+            { description: 'No key' }
+        ];
+
+        const merged = mergeContent(items, {
+            BSc: { degree: '学士' },
+            Notes: { title: '笔记' },
+            reth: { description: '以 Rust 编写的以太坊' },
+            missing: { description: 'Ignored' }
+        });
+
+        assert.deepEqual(merged, [
+            { id: 'reth', title: 'Reth', description: '以 Rust 编写的以太坊' },
+            { title: '笔记', description: 'Short notes' },
+            { degree: '学士', description: 'Computer science' },
+            { description: 'No key' }
+        ]);
+    });
+
+    it('keeps translations on their item when the content is reordered', () => {
+        const overrides = { navigation: { blogs: { name: '博客' }, home: { name: '首页' } } };
+        const reordered = { navigation: [...CONTENT_DATA.navigation].reverse() };
+
+        const names = content => Object.fromEntries(mergeContent(content, overrides).navigation.map(entry => [entry.page, entry.name]));
+
+        assert.deepEqual(names(reordered), names(CONTENT_DATA));
+        assert.equal(names(reordered).home, '首页');
+        assert.equal(names(reordered).blogs, '博客');
+    });
+
+    it('keys items by id, slug, page, title, then degree', () => {
+        assert.equal(getItemKey({ id: 'reth', title: 'Reth' }), 'reth');
+        assert.equal(getItemKey({ slug: 'sumcheck', title: 'Sum-check' }), 'sumcheck');
+        assert.equal(getItemKey({ page: 'home', title: 'Home' }), 'home');
+        assert.equal(getItemKey({ degree: 'BSc' }), 'BSc');
+        assert.equal(getItemKey({ description: 'No key' }), null);
+        assert.equal(getItemKey('Rust'), null);
+    });
+
+    it('translates the Chinese content without losing untranslated fields', () => {
+        const i18n = new I18n();
+        i18n.setLocale('zh');
+        const { content } = i18n;
+
+        const reth = content.projects.items.find(project => project.id === 'reth');
+        assert.match(reth.description, /以太坊/);
+        assert.equal(reth.title, 'Reth');
+        assert.equal(content.navigation.find(entry => entry.page === 'home').name, '首页');
+        assert.equal(content.home.experience[0].company, CONTENT_DATA.home.experience[0].company);
+        assert.deepEqual(content.home.skills, CONTENT_DATA.home.skills);
+    });
+});
+
+describe('I18n', () => {
+    const strings = {
+        en: {
+            greeting: 'Hello, {name}',
+            results: { one: '{count} result', other: '{count} results' },
+            onlyEnglish: 'English only'
+        },
+        zh: {
+            greeting: '你好，{name}',
+            results: { other: '{count} 个结果' }
+        }
+    };
+
+    it('fills placeholders and leaves unknown ones as they are', () => {
+        const i18n = new I18n({ strings });
+
+        assert.equal(i18n.t('greeting', { name: 'Ada' }), 'Hello, Ada');
+        assert.equal(i18n.t('greeting'), 'Hello, {name}');
+    });
+
+    it('picks the plural form for the count in the active locale', () => {
+        const i18n = new I18n({ strings });
+
+        assert.equal(i18n.t('results', { count: 1 }), '1 result');
+        assert.equal(i18n.t('results', { count: 3 }), '3 results');
+        assert.equal(i18n.t('results'), '{count} results');
+
+        i18n.setLocale('zh');
+        assert.equal(i18n.t('results', { count: 1 }), '1 个结果');
+    });
+
+    it('falls back to English, then to the key', () => {
+        const i18n = new I18n({ strings });
+        i18n.setLocale('zh');
+
+        assert.equal(i18n.t('greeting', { name: 'Ada' }), '你好，Ada');
+        assert.equal(i18n.t('onlyEnglish'), 'English only');
+        assert.equal(i18n.t('missing.key'), 'missing.key');
+    });
+
+    it('switches only to supported locales and matches language tags to them', () => {
+        const i18n = new I18n({ strings });
+
+        assert.equal(i18n.setLocale('fr'), false);
+        assert.equal(i18n.locale, 'en');
+        assert.equal(i18n.setLocale('zh'), true);
+        assert.equal(i18n.lang, 'zh-CN');
+
+        assert.equal(i18n.match('zh-TW'), 'zh');
+        assert.equal(i18n.match('EN-gb'), 'en');
+        assert.equal(i18n.match('fr'), null);
+        assert.equal(i18n.match(undefined), null);
+    });
+});
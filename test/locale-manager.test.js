@@ -0,0 +1,110 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { EventBus } from '../src/scripts/event-bus.js';
+import { i18n } from '../src/scripts/i18n.js';
+import { LocaleManager } from '../src/scripts/locale-manager.js';
+import { PageRegistry } from '../src/scripts/page-registry.js';
+import { createEnvironment } from './helpers/dom.js';
+
+/**
+ * Start a locale manager on a jsdom page, with its own page registry
+ * @param {Object} t - Test context, used to restore the default locale afterwards
+ * @param {Object} [options] - createEnvironment options
+ * @param {Array<string>} [options.languages] - Browser languages
+ * @returns {{locales: LocaleManager, env: Object, registry: PageRegistry, changes: Array<Object>}} Started manager
+ */
+function startLocales(t, { languages = ['en-US'], ...options } = {}) {
+    t.after(() => i18n.setLocale('en'));
+
+    const env = createEnvironment(options);
+    Object.defineProperty(env.window.navigator, 'languages', { value: languages });
+
+    const events = new EventBus();
+    const changes = [];
+    events.on('locale:changed', detail => changes.push(detail));
+
+    const registry = new PageRegistry(CONTENT_DATA.navigation);
+    const locales = new LocaleManager({ registry, events, environment: env });
+    locales.init();
+
+    return { locales, env, registry, changes };
+}
+
+/**
+ * hreflang alternates in the document head
+ * @param {Object} env - Environment
+ * @returns {Array<Array<string>>} [hreflang, href] pairs
+ */
+function alternates(env) {
+    return [...env.document.head.querySelectorAll('link[rel="alternate"][hreflang]')]
+        .map(link => [link.hreflang, link.href]);
+}
+
+describe('LocaleManager', () => {
+    it('uses the first supported browser language without saving it', (t) => {
+        const { locales, env, changes } = startLocales(t, { languages: ['fr-FR', 'zh-TW', 'en'] });
+
+        assert.equal(locales.getCurrentLocale(), 'zh');
+        assert.equal(env.document.documentElement.lang, 'zh-CN');
+        assert.equal(env.storage.getItem('locale'), null);
+        assert.deepEqual(changes, [{ locale: 'zh', lang: 'zh-CN' }]);
+    });
+
+    it('saves the chosen locale and restores it on the next visit', (t) => {
+        const { locales, env, registry } = startLocales(t);
+
+        env.document.querySelector('.locale-select').value = 'zh';
+        env.document.querySelector('.locale-select').dispatchEvent(new env.window.Event('change'));
+
+        assert.equal(env.storage.getItem('locale'), 'zh');
+        assert.equal(env.document.documentElement.lang, 'zh-CN');
+        assert.equal(registry.get('home').navLabel, '首页');
+        assert.equal(env.document.querySelector('.locale-select').getAttribute('aria-label'), '语言');
+
+        locales.setLocale('en');
+        assert.equal(env.storage.getItem('locale'), 'en');
+
+        const next = startLocales(t, { storage: { locale: 'zh' } });
+        assert.equal(next.locales.getCurrentLocale(), 'zh');
+        assert.equal(next.env.document.documentElement.lang, 'zh-CN');
+    });
+
+    it('follows and remembers a ?lang= link over the saved locale', (t) => {
+        const { locales, env } = startLocales(t, { url: 'http://localhost/?lang=zh#projects', storage: { locale: 'en' } });
+
+        assert.equal(locales.getCurrentLocale(), 'zh');
+        assert.equal(env.storage.getItem('locale'), 'zh');
+    });
+
+    it('ignores unknown saved or requested locales', (t) => {
+        const { locales, env } = startLocales(t, { url: 'http://localhost/?lang=fr', storage: { locale: 'klingon' } });
+
+        assert.equal(locales.getCurrentLocale(), 'en');
+        assert.equal(env.document.documentElement.lang, 'en');
+
+        locales.setLocale('fr');
+        assert.equal(locales.getCurrentLocale(), 'en');
+    });
+
+    it('links every locale of the page with hreflang', (t) => {
+        const { env } = startLocales(t, { url: 'http://localhost/blog/?lang=en#blogs' });
+
+        assert.deepEqual(alternates(env), [
+            ['en', 'http://localhost/blog/?lang=en'],
+            ['zh-CN', 'http://localhost/blog/?lang=zh'],
+            ['x-default', 'http://localhost/blog/']
+        ]);
+    });
+
+    it('keeps the hreflang links a prerendered page already has', (t) => {
+        const env = createEnvironment();
+        env.document.head.insertAdjacentHTML('beforeend', '<link rel="alternate" hreflang="x-default" href="https://example.com/">');
+        t.after(() => i18n.setLocale('en'));
+
+        new LocaleManager({ registry: new PageRegistry(CONTENT_DATA.navigation), environment: env }).init();
+
+        assert.deepEqual(alternates(env), [['x-default', 'https://example.com/']]);
+    });
+});
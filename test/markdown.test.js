@@ -0,0 +1,134 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { JSDOM } from 'jsdom';
+
+import { i18n } from '../src/scripts/i18n.js';
+import { MarkdownUtils } from '../src/scripts/markdown.js';
+
+/**
+ * Render Markdown and parse the result the way innerHTML would
+ * @param {string} markdown - Markdown source
+ * @returns {DocumentFragment} Parsed fragment
+ */
+function render(markdown) {
+    return JSDOM.fragment(MarkdownUtils.render(markdown));
+}
+
+/**
+ * Collect the event handler attributes anywhere in a fragment
+ * @param {DocumentFragment} fragment - Parsed fragment
+ * @returns {string[]} Attribute names starting with "on"
+ */
+function eventHandlers(fragment) {
+    return [...fragment.querySelectorAll('*')]
+        .flatMap(element => element.getAttributeNames())
+        .filter(name => name.startsWith('on'));
+}
+
+describe('MarkdownUtils.render', () => {
+    it('escapes raw HTML in paragraphs', () => {
+        const fragment = render('Hello <script>alert(1)</script> <img src=x onerror=alert(2)>');
+
+        assert.equal(fragment.querySelector('script, img'), null);
+        assert.match(fragment.querySelector('p').textContent, /<script>alert\(1\)<\/script>/);
+    });
+
+    it('replaces javascript: and data: link targets', () => {
+        const links = render('[a](javascript:alert(1)) [b](JAVASCRIPT:alert(1)) [c](data:text/html,x)').querySelectorAll('a');
+
+        assert.deepEqual([...links].map(link => link.getAttribute('href')), ['#', '#', '#']);
+    });
+
+    it('keeps quotes and handlers in link targets inside the href', () => {
+        const link = render('[site](https://example.com/"onerror="alert;1)').querySelector('a');
+
+        assert.deepEqual(link.getAttributeNames(), ['href', 'target', 'rel']);
+        assert.equal(link.getAttribute('href'), 'https://example.com/"onerror="alert;1');
+    });
+
+    it('escapes markup in link labels', () => {
+        const fragment = render('[<script>alert(1)</script>](https://example.com)');
+
+        assert.equal(fragment.querySelector('script'), null);
+        assert.equal(fragment.querySelector('a').textContent, '<script>alert(1)</script>');
+    });
+
+    it('keeps image alt text inside the alt attribute', () => {
+        const fragment = render('![" onerror="alert(1)" x="<script>](https://example.com/a.png)');
+        const image = fragment.querySelector('img');
+
+        assert.deepEqual(eventHandlers(fragment), []);
+        assert.equal(fragment.querySelector('script'), null);
+        assert.equal(image.alt, '" onerror="alert(1)" x="<script>');
+        assert.equal(image.getAttribute('src'), 'https://example.com/a.png');
+    });
+
+    it('replaces unsafe image sources', () => {
+        assert.equal(render('![x](javascript:alert(1))').querySelector('img').getAttribute('src'), '#');
+    });
+
+    it('renders code spans as text', () => {
+        const code = render('Use `<script>alert("x")</script>` or `<img onerror=alert(1)>`').querySelectorAll('code');
+
+        assert.deepEqual([...code].map(element => element.textContent), ['<script>alert("x")</script>', '<img onerror=alert(1)>']);
+        assert.equal(code[0].children.length, 0);
+    });
+
+    it('renders fenced code blocks as text', () => {
+        const source = '<script>alert("x")</script>\n<img src=x onerror=alert(1)>\nlet s = "\\"";';
+        const fragment = render(`\`\`\`ts\n${source}\n\`\`\``);
+
+        assert.equal(fragment.querySelector('script, img'), null);
+        assert.deepEqual(eventHandlers(fragment), []);
+        assert.equal(fragment.querySelector('pre code').textContent.trim(), source);
+    });
+
+    it('escapes the language of a fenced code block', () => {
+        const fragment = render('```"><script>alert(1)</script>\ncode\n```');
+
+        assert.equal(fragment.querySelector('script'), null);
+        assert.deepEqual(eventHandlers(fragment), []);
+    });
+});
+
+describe('Math in Markdown', () => {
+    it('keeps dollar signs literal next to math', () => {
+        const paragraph = render('Price: $5 only, formula $x^2$ here.').querySelector('p');
+        const math = paragraph.querySelector('.math-tex');
+
+        assert.equal(paragraph.textContent, 'Price: $5 only, formula $x^2$ here.');
+        assert.equal(math.dataset.tex, 'x^2');
+        assert.equal(math.dataset.display, 'inline');
+    });
+
+    it('renders escaped dollar signs without the backslash', () => {
+        const fragment = render('Not math: \\$x\\$, and neither is $5 or $10.');
+
+        assert.equal(fragment.querySelector('p').textContent, 'Not math: $x$, and neither is $5 or $10.');
+        assert.equal(fragment.querySelector('.math-tex'), null);
+    });
+
+    it('marks display math and escapes its source', () => {
+        const math = render('$$\\text{<b>x</b>} \\leq y$$').querySelector('.math-tex');
+
+        assert.equal(math.dataset.display, 'block');
+        assert.equal(math.dataset.tex, '\\text{<b>x</b>} \\leq y');
+        assert.equal(math.children.length, 0);
+    });
+});
+
+describe('Localized Markdown labels', () => {
+    it('labels the copy button and read time in the active locale', (t) => {
+        t.after(() => i18n.setLocale('en'));
+
+        assert.equal(render('```\ncode\n```').querySelector('.code-copy').textContent, 'Copy');
+        assert.equal(MarkdownUtils.estimateReadTime('word'), '1 min read');
+
+        i18n.setLocale('zh');
+        const button = render('```\ncode\n```').querySelector('.code-copy');
+        assert.equal(button.textContent, '复制');
+        assert.equal(button.getAttribute('aria-label'), '复制代码到剪贴板');
+        assert.equal(MarkdownUtils.estimateReadTime('word'), '阅读约 1 分钟');
+    });
+});
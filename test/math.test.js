@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { JSDOM } from 'jsdom';
+
+import { MathUtils } from '../src/scripts/math.js';
+
+/**
+ * Render TeX and parse the result the way innerHTML would
+ * @param {string} tex - TeX source
+ * @param {Object} [options] - toMathML options
+ * @returns {Element} <math> element
+ */
+function render(tex, options) {
+    return JSDOM.fragment(MathUtils.toMathML(tex, options)).firstElementChild;
+}
+
+describe('MathUtils.split', () => {
+    it('splits inline and display math from text', () => {
+        assert.deepEqual(MathUtils.split('a $x$ b $$y$$ c'), [
+            { text: 'a ' },
+            { tex: 'x', display: false },
+            { text: ' b ' },
+            { tex: 'y', display: true },
+            { text: ' c' }
+        ]);
+    });
+
+    it('keeps prices as text', () => {
+        assert.deepEqual(MathUtils.split('$5 and $10'), [{ text: '$5 and $10' }]);
+        assert.deepEqual(MathUtils.split('from $ 5 to $10'), [{ text: 'from $ 5 to $10' }]);
+    });
+
+    it('treats \\$ as a literal dollar sign', () => {
+        assert.deepEqual(MathUtils.split('\\$x\\$ and $y$'), [{ text: '$x$ and ' }, { tex: 'y', display: false }]);
+    });
+
+    it('leaves unclosed delimiters as text', () => {
+        assert.deepEqual(MathUtils.split('$x and $$y'), [{ text: '$x and $$y' }]);
+    });
+});
+
+describe('MathUtils.hasMath', () => {
+    it('finds math only where a formula is delimited', () => {
+        assert.equal(MathUtils.hasMath('area $\\pi r^2$'), true);
+        assert.equal(MathUtils.hasMath('$5 and $10'), false);
+        assert.equal(MathUtils.hasMath('\\$x\\$'), false);
+        assert.equal(MathUtils.hasMath('no math'), false);
+    });
+});
+
+describe('MathUtils.toMathML', () => {
+    it('renders fractions, scripts and display mode', () => {
+        const math = render('\\frac{1}{2} + x_i^2', { display: true });
+
+        assert.equal(math.getAttribute('display'), 'block');
+        assert.ok(math.querySelector('mfrac'));
+        assert.ok(math.querySelector('msubsup'));
+        assert.equal(math.querySelector('annotation').textContent, '\\frac{1}{2} + x_i^2');
+    });
+
+    it('escapes markup in the source and in \\text', () => {
+        const math = render('a < b & \\text{<script>alert(1)</script><img src=x onerror=alert(2)>}');
+
+        assert.equal(math.querySelector('script, img'), null);
+        assert.match(math.querySelector('mtext').textContent, /^<script>alert\(1\)<\/script>/);
+        assert.deepEqual([...math.querySelectorAll('mo')].map(mo => mo.textContent), ['<', '&']);
+    });
+
+    it('renders unknown commands as errors and keeps the rest', () => {
+        const math = render('\\foo x');
+
+        assert.equal(math.querySelector('merror').textContent, '\\foo');
+        assert.equal(math.querySelector('mi').textContent, 'x');
+    });
+
+    it('renders unbalanced braces without throwing', () => {
+        for (const tex of ['\\frac{a}{b', 'a}', '{{x', '\\sqrt{']) {
+            const math = render(tex);
+            assert.equal(math.localName, 'math');
+            assert.equal(math.querySelector('annotation').textContent, tex);
+        }
+    });
+});
+
+describe('MathUtils.toSearchText', () => {
+    it('replaces formulas with plain text and the command names', () => {
+        const text = MathUtils.toSearchText('Cost $O(n \\log n)$ with $\\alpha$');
+
+        assert.match(text, /O\(n log n\)/);
+        assert.match(text, /α alpha/);
+        assert.doesNotMatch(text, /\$|\\/);
+    });
+
+    it('leaves text without math unchanged', () => {
+        assert.equal(MathUtils.toSearchText('$5 and $10'), '$5 and $10');
+        assert.equal(MathUtils.toSearchText(undefined), '');
+    });
+});
+
+describe('MathUtils.renderIn', () => {
+    it('renders marked-up TeX and math in text, but not in .no-math or code', () => {
+        const { document } = new JSDOM(`
+            <p>Area $\\pi r^2$ for $5</p>
+            <div class="no-math">Literal $x$ and ${MathUtils.toSource('y^2', { display: true })}</div>
+            <code>$z$</code>
+        `).window;
+
+        assert.equal(MathUtils.renderIn(document.body), 2);
+        assert.equal(document.querySelector('p math annotation').textContent, '\\pi r^2');
+        assert.match(document.querySelector('p').textContent, /for \$5$/);
+        assert.match(document.querySelector('.no-math').textContent, /^Literal \$x\$ and/);
+        assert.equal(document.querySelector('.no-math math').getAttribute('display'), 'block');
+        assert.equal(document.querySelector('code').textContent, '$z$');
+    });
+});
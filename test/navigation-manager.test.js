@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { EventBus } from '../src/scripts/event-bus.js';
+import { NavigationManager } from '../src/scripts/navigation-manager.js';
+import { createEnvironment, settle } from './helpers/dom.js';
+
+/**
+ * Start a navigation manager on a jsdom page and wait for its first route
+ * @param {string} [hash] - Initial location hash
+ * @returns {Promise<{navigation: NavigationManager, env: Object, changes: Array<Object>}>} Started manager
+ */
+async function startNavigation(hash = '') {
+    const env = createEnvironment({ url: `http://localhost/${hash}` });
+    const events = new EventBus();
+    const changes = [];
+    events.on('page:changed', detail => changes.push(detail));
+
+    const navigation = new NavigationManager(undefined, { events, environment: env });
+    navigation.init();
+    await navigation.contentLoader.postsReady;
+    await settle();
+
+    return { navigation, env, changes };
+}
+
+/**
+ * Navigate and wait for the hashchange to render
+ * @param {NavigationManager} navigation - Navigation manager
+ * @param {...*} args - navigateToPage arguments
+ */
+async function navigate(navigation, ...args) {
+    navigation.navigateToPage(...args);
+    await settle();
+}
+
+describe('NavigationManager', () => {
+    it('does nothing until init() is called', () => {
+        const env = createEnvironment();
+        const navigation = new NavigationManager(undefined, { environment: env });
+
+        assert.equal(navigation.currentRoute, null);
+        assert.equal(navigation.contentLoader.postsReady, null);
+        assert.equal(env.document.querySelector('.nav-list').children.length, 0);
+    });
+
+    it('renders the home page when there is no hash', async () => {
+        const { navigation, env, changes } = await startNavigation();
+
+        assert.equal(navigation.getCurrentPage(), 'home');
+        assert.equal(changes.length, 1);
+        assert.match(env.document.title, /Home/);
+        assert.equal(env.document.querySelector('.nav-link[aria-current="page"]').dataset.page, 'home');
+    });
+
+    it('routes nested paths and query parameters from the hash', async () => {
+        const { navigation, env } = await startNavigation('#projects/reth');
+
+        assert.equal(navigation.getCurrentPage(), 'projects');
+        assert.deepEqual(navigation.getCurrentMatch().params, { id: 'reth' });
+
+        await navigate(navigation, 'blogs', { tag: 'ZK' });
+        assert.equal(env.window.location.hash, '#blogs?tag=ZK');
+        assert.deepEqual(navigation.getCurrentMatch().query, { tag: 'ZK' });
+        assert.equal(env.document.querySelector('.nav-link.active').dataset.page, 'blogs');
+    });
+
+    it('renders each history entry once when going back and forward', async () => {
+        const { navigation, env, changes } = await startNavigation();
+
+        await navigate(navigation, 'blogs');
+        await navigate(navigation, 'projects');
+        assert.equal(env.window.history.length, 3);
+
+        env.window.history.back();
+        await settle();
+        assert.equal(navigation.currentRoute, 'blogs');
+
+        env.window.history.forward();
+        await settle();
+        assert.equal(navigation.currentRoute, 'projects');
+
+        assert.deepEqual(changes.map(change => change.route), ['home', 'blogs', 'projects', 'blogs', 'projects']);
+    });
+
+    it('renders the not found page for unknown routes', async () => {
+        const { navigation, env } = await startNavigation('#no-such-page');
+
+        assert.equal(navigation.getCurrentPage(), null);
+        assert.equal(navigation.currentRoute, 'no-such-page');
+        assert.equal(env.document.querySelector('.nav-link.active'), null);
+        assert.ok(env.document.querySelector('.content-container h1'));
+    });
+
+    it('renders the not found page for routes with malformed escapes', async () => {
+        const { navigation, env, changes } = await startNavigation('#tags/%E0%A4');
+
+        assert.equal(navigation.currentRoute, 'tags/%E0%A4');
+        assert.equal(navigation.isLoading, false);
+        assert.deepEqual(changes.map(change => change.page), [null]);
+        assert.ok(env.document.querySelector('.content-container .not-found-state'));
+
+        await navigate(navigation, 'blogs/%E0%A4');
+        assert.equal(navigation.currentRoute, 'blogs/%E0%A4');
+        assert.ok(env.document.querySelector('.content-container .not-found-state'));
+    });
+
+    it('renders the math of a post to MathML', async () => {
+        const { env } = await startNavigation('#blogs/sumcheck-in-one-page');
+        const body = env.document.querySelector('.post-body');
+
+        assert.ok(body.querySelector('math'));
+        assert.equal(body.querySelector('.math-tex'), null);
+    });
+
+    it('moves focus to the new page heading after navigating', async () => {
+        const { navigation, env } = await startNavigation();
+
+        await navigate(navigation, 'blogs');
+        const heading = env.document.querySelector('.content-container h1');
+        assert.equal(env.document.activeElement, heading);
+        assert.match(env.document.querySelector('[data-route-announcer]').textContent, new RegExp(heading.textContent.trim()));
+    });
+
+    it('saves and restores the scroll position of a page', async () => {
+        const { navigation, env } = await startNavigation();
+        const scrolls = [];
+        env.window.scrollTo = (x, y) => scrolls.push(y);
+
+        env.window.pageYOffset = 480;
+        navigation.handlePageHide();
+        navigation.handlePageShow();
+        await settle(150);
+
+        assert.deepEqual(scrolls, [480]);
+    });
+});
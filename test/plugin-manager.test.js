@@ -0,0 +1,154 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ApplicationManager } from '../src/scripts/app-manager.js';
+import { html } from '../src/scripts/html.js';
+import { createEnvironment, settle } from './helpers/dom.js';
+
+/**
+ * Start an application with plugins on a jsdom page
+ * @param {Array<Object>} plugins - Plugins installed during init
+ * @param {string} [hash] - Initial location hash
+ * @returns {Promise<{app: ApplicationManager, env: Object, errors: Array<Object>}>} Started application
+ */
+async function startApp(plugins, hash = '') {
+    const env = createEnvironment({ url: `http://localhost/${hash}` });
+    const app = new ApplicationManager({ features: { notifications: false } }, { environment: env, plugins });
+    const errors = [];
+    app.events.on('error', detail => errors.push(detail));
+
+    await app.init();
+    await settle();
+
+    return { app, env, errors };
+}
+
+/**
+ * Navigate and wait for the hashchange to render
+ * @param {Object} env - Environment
+ * @param {string} route - Route without the leading '#'
+ */
+async function navigate(env, route) {
+    env.window.location.hash = `#${route}`;
+    await settle();
+}
+
+/**
+ * Plugin sections on the current page
+ * @param {Object} env - Environment
+ * @returns {Array<HTMLElement>} Sections
+ */
+function sections(env) {
+    return [...env.document.querySelectorAll('.plugin-section')];
+}
+
+describe('PluginManager', () => {
+    it('adds pages with nested routes and a navigation item', async () => {
+        const { env } = await startApp([{
+            name: 'guestbook',
+            pages: [{
+                page: 'guestbook',
+                name: 'Guestbook',
+                data: { heading: 'Sign here' },
+                renderer: data => html`<h1 class="guestbook">${data.heading}</h1>`,
+                routes: [{ path: 'guestbook/:id', renderer: (data, params) => html`<p class="guestbook-entry">${params.id}</p>` }]
+            }]
+        }]);
+
+        assert.ok(env.document.querySelector('.nav-link[data-page="guestbook"]'));
+
+        await navigate(env, 'guestbook');
+        assert.equal(env.document.querySelector('.guestbook').textContent, 'Sign here');
+
+        await navigate(env, 'guestbook/ada');
+        assert.equal(env.document.querySelector('.guestbook-entry').textContent, 'ada');
+    });
+
+    it('fills slots with html`` markup and escapes plain strings', async () => {
+        const { env } = await startApp([
+            { name: 'banner', slots: { 'home:top': () => html`<strong class="banner">${'<b>hi</b>'}</strong>` } },
+            { name: 'notice', slots: { 'home:bottom': () => '<img src=x onerror=alert(1)>' } },
+            { name: 'quiet', slots: { 'home:top': () => null } }
+        ]);
+
+        const banner = env.document.querySelector('[data-slot="home:top"] .banner');
+        assert.equal(banner.textContent, '<b>hi</b>');
+
+        const notice = env.document.querySelector('[data-slot="home:bottom"] [data-plugin="notice"]');
+        assert.equal(notice.querySelector('img'), null);
+        assert.equal(notice.textContent, '<img src=x onerror=alert(1)>');
+
+        assert.deepEqual(sections(env).map(section => section.dataset.plugin), ['banner', 'notice']);
+        assert.equal(env.document.querySelector('[data-slot="home:top"]').hidden, false);
+    });
+
+    it('mounts after each page renders and unmounts before the next page change', async () => {
+        const calls = [];
+        const { env } = await startApp([{
+            name: 'tracker',
+            slots: { 'projects:top': ({ route }) => html`<p class="tracker">${route}</p>` },
+            mount: ({ route, page, slots }) => calls.push(['mount', route, page, slots.length]),
+            unmount: ({ route }) => calls.push(['unmount', route])
+        }]);
+
+        await navigate(env, 'projects');
+        assert.equal(env.document.querySelector('.tracker').textContent, 'projects');
+
+        await navigate(env, 'blogs');
+        assert.deepEqual(sections(env), []);
+
+        assert.deepEqual(calls, [
+            ['mount', 'home', 'home', 0],
+            ['unmount', 'home'],
+            ['mount', 'projects', 'projects', 1],
+            ['unmount', 'projects'],
+            ['mount', 'blogs', 'blogs', 0]
+        ]);
+    });
+
+    it('adds search entries, shortcuts and prefixed palette actions', async () => {
+        const runs = [];
+        const { app, env } = await startApp([{
+            name: 'reader',
+            searchEntries: [{ type: 'page', title: 'Reading list', text: 'Zettelkasten notes', route: 'misc' }],
+            shortcuts: [{ keys: 'Alt+R', description: 'Reading list', run: () => runs.push('shortcut') }],
+            actions: [{ id: 'open', title: 'Open reading list', run: () => runs.push('action') }]
+        }]);
+
+        const results = app.searchManager.searchContent('zettelkasten');
+        assert.deepEqual(results.map(result => result.title), ['Reading list']);
+
+        env.document.dispatchEvent(new env.window.KeyboardEvent('keydown', { key: 'r', altKey: true, bubbles: true }));
+        env.document.dispatchEvent(new env.window.KeyboardEvent('keydown', { key: 'r', bubbles: true }));
+
+        const action = app.commandPalette.actions.find(existing => existing.id === 'reader:open');
+        assert.equal(action.title, 'Open reading list');
+        action.run();
+
+        assert.deepEqual(runs, ['shortcut', 'action']);
+    });
+
+    it('reports failing hooks as errors without breaking navigation', async () => {
+        const { app, env, errors } = await startApp([
+            { name: 'broken', mount: () => { throw new Error('boom'); }, slots: { 'home:top': () => { throw new Error('slot'); } } },
+            { name: 'working', slots: { 'home:bottom': () => html`<p class="working">ok</p>` } }
+        ]);
+
+        assert.deepEqual(errors.map(({ error, source }) => [error.message, source]), [
+            ['slot', 'plugin:broken'],
+            ['boom', 'plugin:broken']
+        ]);
+        assert.ok(env.document.querySelector('.working'));
+
+        await navigate(env, 'projects');
+        assert.equal(app.navigationManager.getCurrentPage(), 'projects');
+    });
+
+    it('rejects plugins without a name or already installed', async () => {
+        const { app } = await startApp([{ name: 'once' }]);
+
+        assert.throws(() => app.use({}), /requires a name/);
+        assert.throws(() => app.use({ name: 'once' }), /already installed: once/);
+        assert.ok(app.plugins.get('once'));
+    });
+});
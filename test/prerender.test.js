@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+
+import { JSDOM } from 'jsdom';
+
+import { ROOT_DIR } from './helpers/dom.js';
+
+const SITE_URL = 'https://example.com';
+
+describe('Prerender', () => {
+    let outDir;
+
+    /**
+     * Parse a prerendered page
+     * @param {string} file - Path inside the output directory
+     * @returns {Promise<Document>} Document
+     */
+    async function readPage(file) {
+        return new JSDOM(await readFile(path.join(outDir, file), 'utf8')).window.document;
+    }
+
+    before(async () => {
+        outDir = await mkdtemp(path.join(tmpdir(), 'prerender-'));
+        await promisify(execFile)(process.execPath,
+            ['tools/prerender.mjs', '--site-url', SITE_URL, '--out-dir', outDir], { cwd: ROOT_DIR });
+    });
+
+    after(() => rm(outDir, { recursive: true, force: true }));
+
+    it('renders pages in the default locale with hreflang links to the others', async () => {
+        const document = await readPage('projects/index.html');
+        const links = [...document.querySelectorAll('link[rel="alternate"][hreflang]')]
+            .map(link => [link.getAttribute('hreflang'), link.getAttribute('href')]);
+
+        assert.equal(document.documentElement.lang, 'en');
+        assert.equal(document.querySelector('.content-container').dataset.locale, 'en');
+        assert.deepEqual(links, [
+            ['en', `${SITE_URL}/projects/?lang=en`],
+            ['zh-CN', `${SITE_URL}/projects/?lang=zh`],
+            ['x-default', `${SITE_URL}/projects/`]
+        ]);
+    });
+});
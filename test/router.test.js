@@ -0,0 +1,56 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { Router } from '../src/scripts/router.js';
+
+/**
+ * Router with the shapes of routes the page registry adds
+ * @returns {Router} Router
+ */
+function createRouter() {
+    return new Router()
+        .add('blogs', { page: 'blogs' })
+        .add('blogs/:slug', { page: 'blogs', renderer: 'renderPostContent' })
+        .add('tags/:tag', { page: 'tags', renderer: 'renderTagContent' });
+}
+
+describe('Router', () => {
+    it('matches named parameters and decodes them', () => {
+        const match = createRouter().match('#tags/Zero%20Knowledge');
+
+        assert.equal(match.page, 'tags');
+        assert.equal(match.pattern, 'tags/:tag');
+        assert.deepEqual(match.params, { tag: 'Zero Knowledge' });
+    });
+
+    it('parses query parameters, collecting repeated keys', () => {
+        const match = createRouter().match('blogs?tag=ZK&tag=Rust&mode=all');
+
+        assert.equal(match.renderer, undefined);
+        assert.deepEqual(match.query, { tag: ['ZK', 'Rust'], mode: 'all' });
+    });
+
+    it('ignores leading and trailing slashes', () => {
+        assert.deepEqual(createRouter().match('/blogs/sumcheck/').params, { slug: 'sumcheck' });
+    });
+
+    it('returns null for unknown routes', () => {
+        assert.equal(createRouter().match('#nowhere'), null);
+        assert.equal(createRouter().match('#blogs/a/b'), null);
+    });
+
+    it('returns null instead of throwing for malformed escapes', () => {
+        const router = createRouter();
+
+        assert.doesNotThrow(() => router.match('#tags/%E0%A4'));
+        assert.equal(router.match('#tags/%E0%A4'), null);
+        assert.equal(router.match('blogs/%'), null);
+    });
+
+    it('builds routes that parse back to the same path and query', () => {
+        const route = Router.build('blogs', { tag: ['ZK', 'Rust'], mode: 'all', empty: '' });
+
+        assert.equal(route, 'blogs?tag=ZK&tag=Rust&mode=all');
+        assert.deepEqual(Router.parse(route), { path: 'blogs', query: { tag: ['ZK', 'Rust'], mode: 'all' } });
+    });
+});
@@ -0,0 +1,178 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { ContentLoader } from '../src/scripts/content-loader.js';
+import { EventBus } from '../src/scripts/event-bus.js';
+import { i18n } from '../src/scripts/i18n.js';
+import { SearchIndex, tokenize } from '../src/scripts/search-index.js';
+import { SearchManager } from '../src/scripts/search-manager.js';
+import { createEnvironment } from './helpers/dom.js';
+
+/**
+ * Start a search manager over the site content, with local posts loaded
+ * @returns {Promise<{search: SearchManager, env: Object, events: EventBus}>} Started manager
+ */
+async function startSearch() {
+    const env = createEnvironment();
+    const events = new EventBus();
+    const contentLoader = new ContentLoader(undefined, { events, environment: env });
+    const search = new SearchManager({ contentLoader, events, environment: env });
+
+    search.init();
+    contentLoader.init();
+    await contentLoader.postsReady;
+
+    return { search, env, events };
+}
+
+/**
+ * Build a bare index from documents
+ * @param {Array<Object>} documents - Documents (type, title, text, tags, route)
+ * @returns {SearchIndex} Index
+ */
+function buildIndex(documents) {
+    const index = new SearchIndex();
+    index.build(documents.map((doc, id) => ({ id, tags: [], technologies: [], years: [], text: '', ...doc })));
+    return index;
+}
+
+describe('SearchIndex', () => {
+    it('ranks title matches above tag and text matches', () => {
+        const index = buildIndex([
+            { type: 'article', title: 'Notes', text: 'A short aside on polynomial commitments' },
+            { type: 'article', title: 'Polynomial commitments explained', text: 'Notes' },
+            { type: 'talk', title: 'Talk', tags: ['Polynomial'], text: 'Slides' }
+        ]);
+
+        assert.deepEqual(index.search('polynomial').map(result => result.title),
+            ['Polynomial commitments explained', 'Talk', 'Notes']);
+    });
+
+    it('requires every term and tolerates typos and prefixes', () => {
+        const index = buildIndex([
+            { type: 'article', title: 'Bulletproofs and the sum-check protocol' },
+            { type: 'article', title: 'Bulletproofs in Rust' }
+        ]);
+
+        assert.deepEqual(index.search('bulletproofs sumcheck').map(result => result.title), []);
+        assert.deepEqual(index.search('bulletprofs sum').map(result => result.title), ['Bulletproofs and the sum-check protocol']);
+        assert.equal(index.search('bullet').length, 2);
+    });
+
+    it('applies field qualifiers and quoted phrases', () => {
+        const index = buildIndex([
+            { type: 'talk', title: 'Proof of solvency', tags: ['ZK'], years: [2024] },
+            { type: 'article', title: 'Solvency proofs in ZK', tags: ['ZK'], years: [2025] }
+        ]);
+
+        assert.deepEqual(index.search('solvency type:talk').map(result => result.title), ['Proof of solvency']);
+        assert.deepEqual(index.search('tag:zk year:2025').map(result => result.title), ['Solvency proofs in ZK']);
+        assert.deepEqual(index.search('"proof of solvency"').map(result => result.title), ['Proof of solvency']);
+    });
+
+    it('splits CJK text into overlapping character pairs', () => {
+        assert.deepEqual(tokenize('零知识证明 in Noir'), ['零知', '知识', '识证', '证明', 'in', 'noir']);
+        assert.deepEqual(tokenize('zk证明与链'), ['zk', '证明', '明与', '与链']);
+        assert.deepEqual(tokenize('链'), ['链']);
+    });
+
+    it('finds Chinese words inside sentences', () => {
+        const index = buildIndex([
+            { type: 'talk', title: '关于区块链技术与零知识证明的演讲' },
+            { type: 'article', title: '智能合约安全' }
+        ]);
+        const titles = query => index.search(query).map(result => result.title);
+
+        assert.deepEqual(titles('零知识'), ['关于区块链技术与零知识证明的演讲']);
+        assert.deepEqual(titles('证明'), ['关于区块链技术与零知识证明的演讲']);
+        assert.deepEqual(titles('区块链 演讲'), ['关于区块链技术与零知识证明的演讲']);
+        assert.deepEqual(titles('合约'), ['智能合约安全']);
+        assert.deepEqual(titles('"零知识证明"'), ['关于区块链技术与零知识证明的演讲']);
+        assert.deepEqual(titles('"证明零知识"'), []);
+        assert.deepEqual(titles('量子'), []);
+    });
+
+    it('highlights CJK query words whole', () => {
+        assert.deepEqual(SearchIndex.getHighlightTerms('零知识 "智能合约" tag:ZK'), ['零知识', '智能合约']);
+    });
+});
+
+describe('SearchManager', () => {
+    it('does not index or bind the search input before init()', () => {
+        const env = createEnvironment();
+        const search = new SearchManager({ environment: env });
+
+        assert.equal(search.searchInput, null);
+        assert.equal(search.getStats().indexSize, 0);
+    });
+
+    it('indexes site content and local posts once they load', async () => {
+        const { search } = await startSearch();
+
+        const [talk] = search.searchContent('bulletproofs kzg');
+        assert.equal(talk.type, 'talk');
+        assert.equal(talk.route, 'misc');
+
+        const [post] = search.searchContent('sum-check one page');
+        assert.equal(post.route, 'blogs/sumcheck-in-one-page');
+    });
+
+    it('renders results for what is typed and emits search:query', async () => {
+        const { search, env, events } = await startSearch();
+        const queries = [];
+        events.on('search:query', detail => queries.push(detail.query));
+
+        search.searchInput.value = 'noir';
+        search.searchInput.dispatchEvent(new env.window.Event('input'));
+
+        const items = env.document.querySelectorAll('.search-result-item');
+        assert.ok(items.length > 0);
+        assert.deepEqual(queries, ['noir']);
+    });
+
+    it('renders the results header and empty state in the active locale', async (t) => {
+        const { search, env } = await startSearch();
+        t.after(() => i18n.setLocale('en'));
+
+        search.searchInput.value = 'noir';
+        search.searchInput.dispatchEvent(new env.window.Event('input'));
+        assert.match(env.document.querySelector('.search-results-header').textContent, /^Found \d+ results?$/);
+
+        i18n.setLocale('zh');
+        search.searchInput.value = 'zzzz';
+        search.searchInput.dispatchEvent(new env.window.Event('input'));
+        assert.equal(env.document.querySelector('.search-no-results p').textContent, '没有找到与“zzzz”相关的结果');
+    });
+
+    it('finds Chinese content and section titles once the locale changes', async (t) => {
+        const { search, events } = await startSearch();
+        t.after(() => i18n.setLocale('en'));
+
+        i18n.setLocale('zh');
+        events.emit('locale:changed', { locale: i18n.locale, lang: i18n.lang });
+
+        assert.ok(search.searchContent('零知识').some(result => result.type === 'talk'));
+        assert.ok(search.searchContent('稳定币').some(result => result.type === 'article'));
+        assert.ok(search.searchContent('技能').some(result => result.anchor === 'skills'));
+    });
+
+    it('still finds content after its cache is cleared', async () => {
+        const { search } = await startSearch();
+        const before = search.getStats().indexSize;
+
+        search.clearCache();
+
+        assert.equal(search.getStats().indexSize, before);
+        assert.ok(search.searchContent('bulletproofs').length > 0);
+    });
+
+    it('indexes documents added by plugins and drops them when removed', async () => {
+        const { search } = await startSearch();
+
+        search.addDocuments('plugin:guestbook', [{ type: 'page', title: 'Guestbook', route: 'guestbook' }]);
+        assert.equal(search.searchContent('guestbook')[0].page, 'guestbook');
+
+        search.removeDocuments('plugin:guestbook');
+        assert.equal(search.searchContent('guestbook').length, 0);
+    });
+});
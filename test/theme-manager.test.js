@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { EventBus } from '../src/scripts/event-bus.js';
+import { ThemeManager } from '../src/scripts/theme-manager.js';
+import { createEnvironment } from './helpers/dom.js';
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+/**
+ * Start a theme manager
+ * @param {Object} env - Environment from createEnvironment
+ * @param {EventBus} [events] - Event bus
+ * @returns {ThemeManager} Started manager
+ */
+function startTheme(env, events = new EventBus()) {
+    const theme = new ThemeManager({ events, environment: env });
+    theme.init();
+    return theme;
+}
+
+describe('ThemeManager', () => {
+    it('does not read storage or touch the document before init()', () => {
+        const env = createEnvironment({ storage: { theme: 'dark' } });
+        const theme = new ThemeManager({ environment: env });
+
+        assert.equal(theme.getPreference(), null);
+        assert.equal(env.document.documentElement.hasAttribute('data-theme'), false);
+    });
+
+    it('follows the system preference when nothing is saved', () => {
+        const env = createEnvironment({ media: { [DARK_QUERY]: true } });
+        const theme = startTheme(env);
+
+        assert.equal(theme.getPreference(), 'system');
+        assert.equal(theme.getCurrentTheme(), 'dark');
+        assert.equal(env.storage.getItem('theme'), null);
+
+        env.media.set(DARK_QUERY, false);
+        assert.equal(env.document.documentElement.dataset.theme, 'light');
+    });
+
+    it('saves the chosen theme and restores it on the next visit', () => {
+        const env = createEnvironment();
+        const events = new EventBus();
+        const changes = [];
+        events.on('theme:changed', detail => changes.push(detail));
+
+        startTheme(env, events).setTheme('sepia');
+        assert.equal(env.storage.getItem('theme'), 'sepia');
+        assert.deepEqual(changes.at(-1), { theme: 'sepia', preference: 'sepia' });
+
+        const nextVisit = createEnvironment({ storage: { theme: env.storage.getItem('theme') } });
+        const restored = startTheme(nextVisit);
+        assert.equal(restored.getCurrentTheme(), 'sepia');
+        assert.equal(nextVisit.document.documentElement.dataset.theme, 'sepia');
+    });
+
+    it('keeps an explicit theme when the system preference changes', () => {
+        const env = createEnvironment({ storage: { theme: 'light' } });
+        const theme = startTheme(env);
+
+        env.media.set(DARK_QUERY, true);
+        assert.equal(theme.getCurrentTheme(), 'light');
+    });
+
+    it('migrates legacy stored values and ignores unknown ones', () => {
+        const legacy = createEnvironment({ storage: { theme: 'dark-mode' } });
+        assert.equal(startTheme(legacy).getPreference(), 'dark');
+        assert.equal(legacy.storage.getItem('theme'), 'dark');
+
+        const unknown = createEnvironment({ storage: { theme: 'neon' } });
+        assert.equal(startTheme(unknown).getPreference(), 'system');
+    });
+});
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+/**
+ * Build Feeds - Generates Atom (feed.xml), RSS 2.0 (rss.xml) and JSON Feed 1.1 (feed.json)
+ * from local blog posts, CONTENT_DATA.blogs.articles and CONTENT_DATA.misc.thoughts
+ *
+ * Usage: node tools/build-feeds.mjs [--site-url https://example.com] [--out-dir .]
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { MarkdownUtils } from '../src/scripts/markdown.js';
+import { escapeHtml } from '../src/scripts/html.js';
+import { VideoEmbed } from '../src/scripts/video-embed.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Feed files, relative to the site root
+ */
+const FEED_FILES = {
+    atom: 'feed.xml',
+    rss: 'rss.xml',
+    json: 'feed.json'
+};
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{siteUrl: string, outDir: string}} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        siteUrl: CONTENT_DATA.site.url,
+        outDir: ROOT_DIR
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--site-url') {
+            options.siteUrl = argv[++i];
+        } else if (argv[i] === '--out-dir') {
+            options.outDir = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!options.siteUrl) {
+        throw new Error('Site URL missing: set CONTENT_DATA.site.url or pass --site-url');
+    }
+
+    options.siteUrl = options.siteUrl.replace(/\/+$/, '');
+    return options;
+}
+
+/**
+ * Parse a content date (YYYY-MM-DD is read as midnight UTC)
+ * @param {string} value - Date string
+ * @returns {Date} Date
+ */
+function parseDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+}
+
+/**
+ * Load local Markdown posts listed in CONTENT_DATA.blogs.posts
+ * @returns {Promise<Array<Object>>} Posts with front-matter fields and body
+ */
+async function loadPosts() {
+    const slugs = CONTENT_DATA.blogs.posts || [];
+
+    return Promise.all(slugs.map(async slug => {
+        const source = await readFile(path.join(ROOT_DIR, 'src/data/posts', `${slug}.md`), 'utf8');
+        const { attributes, body } = MarkdownUtils.parseFrontMatter(source);
+        return { slug, ...attributes, body };
+    }));
+}
+
+/**
+ * Collect feed items from posts, external articles and talks, newest first
+ * @param {string} siteUrl - Site URL without trailing slash
+ * @param {Array<Object>} posts - Local posts
+ * @returns {Array<Object>} Items with id, url, title, summary, contentHtml, date and tags
+ */
+function collectItems(siteUrl, posts) {
+    const localPosts = posts.map(post => ({
+        id: `${siteUrl}/#blogs/${post.slug}`,
+        url: `${siteUrl}/#blogs/${post.slug}`,
+        title: post.title || post.slug,
+        summary: post.description || '',
+        contentHtml: MarkdownUtils.render(post.body, { copyButton: false }),
+        date: parseDate(post.date),
+        tags: post.tags || []
+    }));
+
+    const articles = CONTENT_DATA.blogs.articles.map(article => ({
+        id: article.link,
+        url: article.link,
+        title: article.title,
+        summary: article.description,
+        date: parseDate(article.date),
+        tags: article.tags || []
+    }));
+
+    const talks = CONTENT_DATA.misc.thoughts.map(thought => ({
+        id: VideoEmbed.getTalkUrl(thought),
+        url: VideoEmbed.getTalkUrl(thought),
+        title: thought.title,
+        summary: thought.content,
+        date: parseDate(thought.date),
+        tags: thought.tags || []
+    }));
+
+    return [...localPosts, ...articles, ...talks]
+        .sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Build feed-level metadata from CONTENT_DATA.site
+ * @param {string} siteUrl - Site URL without trailing slash
+ * @param {Array<Object>} items - Feed items
+ * @returns {Object} Feed metadata
+ */
+function getFeedMetadata(siteUrl, items) {
+    const { site } = CONTENT_DATA;
+
+    return {
+        title: site.title,
+        description: site.description,
+        language: site.language || 'en',
+        homeUrl: `${siteUrl}/`,
+        author: {
+            name: site.author,
+            email: site.social.email,
+            url: site.social.github
+        },
+        // Derived from content so unchanged content produces identical files
+        updated: items.length > 0 ? items[0].date : new Date(0)
+    };
+}
+
+/**
+ * Render an Atom feed
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} items - Feed items
+ * @param {string} siteUrl - Site URL without trailing slash
+ * @returns {string} XML
+ */
+function renderAtom(feed, items, siteUrl) {
+    const entries = items.map(item => `
+    <entry>
+        <title>${escapeHtml(item.title)}</title>
+        <link rel="alternate" type="text/html" href="${escapeHtml(item.url)}"/>
+        <id>${escapeHtml(item.id)}</id>
+        <published>${item.date.toISOString()}</published>
+        <updated>${item.date.toISOString()}</updated>
+        <summary>${escapeHtml(item.summary)}</summary>${item.contentHtml ? `
+        <content type="html">${escapeHtml(item.contentHtml)}</content>` : ''}${item.tags.map(tag => `
+        <category term="${escapeHtml(tag)}"/>`).join('')}
+    </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeHtml(feed.language)}">
+    <title>${escapeHtml(feed.title)}</title>
+    <subtitle>${escapeHtml(feed.description)}</subtitle>
+    <link rel="self" type="application/atom+xml" href="${escapeHtml(`${siteUrl}/${FEED_FILES.atom}`)}"/>
+    <link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+    <id>${escapeHtml(feed.homeUrl)}</id>
+    <updated>${feed.updated.toISOString()}</updated>
+    <author>
+        <name>${escapeHtml(feed.author.name)}</name>
+        <email>${escapeHtml(feed.author.email)}</email>
+        <uri>${escapeHtml(feed.author.url)}</uri>
+    </author>${entries}
+</feed>
+`;
+}
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} items - Feed items
+ * @param {string} siteUrl - Site URL without trailing slash
+ * @returns {string} XML
+ */
+function renderRss(feed, items, siteUrl) {
+    const entries = items.map(item => `
+        <item>
+            <title>${escapeHtml(item.title)}</title>
+            <link>${escapeHtml(item.url)}</link>
+            <guid isPermaLink="${item.id === item.url}">${escapeHtml(item.id)}</guid>
+            <pubDate>${item.date.toUTCString()}</pubDate>
+            <description>${escapeHtml(item.contentHtml || item.summary)}</description>${item.tags.map(tag => `
+            <category>${escapeHtml(tag)}</category>`).join('')}
+        </item>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+    <channel>
+        <title>${escapeHtml(feed.title)}</title>
+        <link>${escapeHtml(feed.homeUrl)}</link>
+        <description>${escapeHtml(feed.description)}</description>
+        <language>${escapeHtml(feed.language)}</language>
+        <managingEditor>${escapeHtml(`${feed.author.email} (${feed.author.name})`)}</managingEditor>
+        <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+        <atom:link rel="self" type="application/rss+xml" href="${escapeHtml(`${siteUrl}/${FEED_FILES.rss}`)}"/>${entries}
+    </channel>
+</rss>
+`;
+}
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - Feed metadata
+ * @param {Array<Object>} items - Feed items
+ * @param {string} siteUrl - Site URL without trailing slash
+ * @returns {string} JSON
+ */
+function renderJsonFeed(feed, items, siteUrl) {
+    const document = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: `${siteUrl}/${FEED_FILES.json}`,
+        description: feed.description,
+        language: feed.language,
+        authors: [{ name: feed.author.name, url: feed.author.url }],
+        items: items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            summary: item.summary,
+            // JSON Feed requires content; external entries only have their summary
+            ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+            date_published: item.date.toISOString(),
+            tags: item.tags
+        }))
+    };
+
+    return `${JSON.stringify(document, null, 4)}\n`;
+}
+
+/**
+ * Generate and write every feed
+ */
+async function main() {
+    const { siteUrl, outDir } = parseArgs(process.argv.slice(2));
+    const items = collectItems(siteUrl, await loadPosts());
+    const feed = getFeedMetadata(siteUrl, items);
+
+    const outputs = {
+        [FEED_FILES.atom]: renderAtom(feed, items, siteUrl),
+        [FEED_FILES.rss]: renderRss(feed, items, siteUrl),
+        [FEED_FILES.json]: renderJsonFeed(feed, items, siteUrl)
+    };
+
+    await mkdir(outDir, { recursive: true });
+    await Promise.all(Object.entries(outputs).map(([file, contents]) => {
+        return writeFile(path.join(outDir, file), contents, 'utf8');
+    }));
+
+    console.log(`Wrote ${Object.keys(outputs).join(', ')} (${items.length} items) to ${outDir}`);
+}
+
+main().catch(error => {
+    console.error('Failed to build feeds:', error.message);
+    process.exit(1);
+});
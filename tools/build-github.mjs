@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Build GitHub - Bundles the repository snapshots in src/data/github (one owner__repo.json per
+ * repository: stars, primary language, license, last commit date and the author's contribution
+ * count) into src/data/github.js, which the projects page merges into its cards.
+ * Snapshots are plain files updated by hand or from `gh api repos/OWNER/REPO`, so the build
+ * never touches the network.
+ *
+ * Usage: node tools/build-github.mjs [--out src/data/github.js]
+ */
+
+import { readFile, readdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { GitHubUtils } from '../src/scripts/github.js';
+import { SchemaValidator, formatPath } from './lib/json-schema.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SNAPSHOT_DIR = 'src/data/github';
+const SCHEMA_FILE = 'src/data/content.schema.json';
+const OUTPUT_FILE = 'src/data/github.js';
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{out: string}} Options
+ */
+function parseArgs(argv) {
+    const options = { out: path.join(ROOT_DIR, OUTPUT_FILE) };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read and validate every snapshot
+ * @param {SchemaValidator} validator - Validator for the snapshot schema
+ * @returns {Promise<{snapshots: Array<Object>, errors: string[]}>} Valid snapshots and formatted errors
+ */
+async function readSnapshots(validator) {
+    const files = (await readdir(path.join(ROOT_DIR, SNAPSHOT_DIR)))
+        .filter(file => file.endsWith('.json'))
+        .sort();
+
+    const snapshots = [];
+    const errors = [];
+
+    for (const file of files) {
+        const location = path.join(SNAPSHOT_DIR, file);
+        let snapshot;
+        try {
+            snapshot = JSON.parse(await readFile(path.join(ROOT_DIR, location), 'utf8'));
+        } catch (error) {
+            errors.push(`${location}: ${error.message}`);
+            continue;
+        }
+
+        const problems = validator.validate(snapshot, validator.resolve('#/$defs/githubSnapshot'));
+        if (problems.length === 0 && file !== `${snapshot.repo.replace('/', '__')}.json`) {
+            problems.push({ path: ['repo'], message: `"${snapshot.repo}" doesn't match the file name` });
+        }
+
+        if (problems.length > 0) {
+            errors.push(...problems.map(problem => `${location}: ${formatPath(problem.path)}: ${problem.message}`));
+        } else {
+            snapshots.push(snapshot);
+        }
+    }
+
+    return { snapshots, errors };
+}
+
+/**
+ * Render the snapshots as an ES module keyed by lowercase repository name
+ * @param {Array<Object>} snapshots - Snapshots
+ * @returns {string} Module source
+ */
+function renderModule(snapshots) {
+    const data = Object.fromEntries(snapshots.map(({ repo, ...stats }) => [repo.toLowerCase(), stats]));
+
+    return [
+        '/**',
+        ' * GitHub repository snapshots keyed by lowercase "owner/repo"',
+        ` * Generated by tools/build-github.mjs from ${SNAPSHOT_DIR}; edit the snapshots, not this file`,
+        ' */',
+        '',
+        `export const GITHUB_DATA = ${JSON.stringify(data, null, 4)};`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Validate the snapshots and write src/data/github.js
+ */
+async function main() {
+    const { out } = parseArgs(process.argv.slice(2));
+    const schema = JSON.parse(await readFile(path.join(ROOT_DIR, SCHEMA_FILE), 'utf8'));
+    const { snapshots, errors } = await readSnapshots(new SchemaValidator(schema));
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        process.exitCode = 1;
+        return;
+    }
+
+    // Missing or unused snapshots don't fail the build: cards just show no stats
+    const repos = new Set(snapshots.map(snapshot => snapshot.repo.toLowerCase()));
+    const linked = new Set();
+    CONTENT_DATA.projects.items.forEach(project => {
+        const repo = GitHubUtils.getRepoName(project.links?.github);
+        if (!repo) return;
+        linked.add(repo.toLowerCase());
+        if (!repos.has(repo.toLowerCase())) {
+            console.warn(`No snapshot for ${repo} (project "${project.title}")`);
+        }
+    });
+    snapshots
+        .filter(snapshot => !linked.has(snapshot.repo.toLowerCase()))
+        .forEach(snapshot => console.warn(`Snapshot for ${snapshot.repo} isn't linked from any project`));
+
+    await writeFile(out, renderModule(snapshots));
+    console.log(`Wrote ${snapshots.length} snapshot${snapshots.length !== 1 ? 's' : ''} to ${path.relative(process.cwd(), out) || out}`);
+}
+
+main().catch(error => {
+    console.error('Failed to build GitHub data:', error.message);
+    process.exit(1);
+});
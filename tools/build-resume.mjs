@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Build Resume - Exports CONTENT_DATA.home and CONTENT_DATA.site as a JSON Resume
+ * (https://jsonresume.org/schema) to resume.json, the file linked from the #resume page
+ *
+ * Usage: node tools/build-resume.mjs [--site-url https://example.com] [--out resume.json]
+ */
+
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { ResumeUtils } from '../src/scripts/resume.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const RESUME_FILE = 'resume.json';
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{siteUrl: string, out: string}} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        siteUrl: CONTENT_DATA.site.url,
+        out: path.join(ROOT_DIR, RESUME_FILE)
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--site-url') {
+            options.siteUrl = argv[++i];
+        } else if (argv[i] === '--out') {
+            options.out = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!options.siteUrl) {
+        throw new Error('Site URL missing: set CONTENT_DATA.site.url or pass --site-url');
+    }
+
+    options.siteUrl = options.siteUrl.replace(/\/+$/, '');
+    return options;
+}
+
+/**
+ * Write resume.json
+ */
+async function main() {
+    const { siteUrl, out } = parseArgs(process.argv.slice(2));
+    const resume = ResumeUtils.toJsonResume(CONTENT_DATA.home, { ...CONTENT_DATA.site, url: siteUrl });
+
+    await writeFile(out, `${JSON.stringify(resume, null, 2)}\n`);
+    console.log(`Wrote ${path.relative(process.cwd(), out) || out}`);
+}
+
+main().catch(error => {
+    console.error('Failed to build resume:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,169 @@
+/**
+ * JSON Schema - Minimal validator for the draft 2020-12 keywords used by content.schema.json
+ * Supports $ref (local #/$defs), type, required, properties, additionalProperties,
+ * minProperties, items, minItems, uniqueItems, enum, minimum, minLength, pattern and format (uri, email)
+ */
+
+/**
+ * Check a value against a JSON type name
+ * @param {*} value - Value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+/**
+ * Format checks for the "format" keyword
+ */
+const FORMATS = {
+    uri: value => {
+        try {
+            return ['http:', 'https:', 'mailto:'].includes(new URL(value).protocol);
+        } catch (error) {
+            return false;
+        }
+    },
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+};
+
+/**
+ * Format a path as a readable property path (e.g. home.experience[0].period)
+ * @param {Array<string|number>} path - Path segments
+ * @returns {string} Property path
+ */
+export function formatPath(path) {
+    return path.reduce((result, segment) => {
+        if (typeof segment === 'number') return `${result}[${segment}]`;
+        return result ? `${result}.${segment}` : segment;
+    }, '') || '(root)';
+}
+
+export class SchemaValidator {
+    /**
+     * @param {Object} schema - Root schema
+     */
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Validate a value against the root schema or a sub-schema
+     * @param {*} value - Value to validate
+     * @param {Object} [schema] - Schema (defaults to the root schema)
+     * @returns {Array<{path: Array<string|number>, message: string}>} Errors
+     */
+    validate(value, schema = this.schema) {
+        const errors = [];
+        this.check(value, schema, [], errors);
+        return errors;
+    }
+
+    /**
+     * Resolve a local $ref
+     * @param {string} ref - Reference such as '#/$defs/date'
+     * @returns {Object} Referenced schema
+     */
+    resolve(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Unsupported $ref: ${ref}`);
+        }
+
+        return ref.slice(2).split('/').reduce((node, key) => {
+            if (!node || !(key in node)) {
+                throw new Error(`Unresolved $ref: ${ref}`);
+            }
+            return node[key];
+        }, this.schema);
+    }
+
+    /**
+     * Check a value and collect errors
+     * @param {*} value - Value
+     * @param {Object} schema - Schema
+     * @param {Array<string|number>} path - Path to the value
+     * @param {Array<Object>} errors - Collected errors
+     */
+    check(value, schema, path, errors) {
+        const fail = message => errors.push({ path, message });
+
+        if (schema.$ref) {
+            this.check(value, this.resolve(schema.$ref), path, errors);
+        }
+
+        if (schema.type && !hasType(value, schema.type)) {
+            fail(`must be of type ${schema.type}`);
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+        }
+
+        if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+                const expected = schema.description ? ` (${schema.description})` : ` /${schema.pattern}/`;
+                fail(`${JSON.stringify(value)} does not match the expected format${expected}`);
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                fail(`${JSON.stringify(value)} is not a valid ${schema.format}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                fail(`must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+            }
+            if (schema.uniqueItems) {
+                const seen = new Set();
+                value.forEach((item, index) => {
+                    const key = JSON.stringify(item);
+                    if (seen.has(key)) {
+                        errors.push({ path: [...path, index], message: `duplicate item ${key}` });
+                    }
+                    seen.add(key);
+                });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.check(item, schema.items, [...path, index], errors));
+            }
+        }
+
+        if (hasType(value, 'object')) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    fail(`missing required property "${key}"`);
+                }
+            });
+
+            if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+                fail(`must have at least ${schema.minProperties} propert${schema.minProperties !== 1 ? 'ies' : 'y'}`);
+            }
+
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([key, item]) => {
+                if (properties[key]) {
+                    this.check(item, properties[key], [...path, key], errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: [...path, key], message: `unknown property "${key}"` });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    this.check(item, schema.additionalProperties, [...path, key], errors);
+                }
+            });
+        }
+    }
+}
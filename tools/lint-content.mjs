@@ -0,0 +1,476 @@
+#!/usr/bin/env node
+/**
+ * Lint Content - Validates CONTENT_DATA against src/data/content.schema.json and checks
+ * what the schema can't express: real calendar dates, readable periods, duplicate titles,
+ * navigation entries pointing at missing renderers or data, talk chapters out of order or past
+ * the end of the video, and local posts with missing files or bad front matter.
+ * Each locale's content (CONTENT_DATA with its overrides merged in) gets the same checks, its
+ * overrides must name existing items, and its UI strings are checked against the English ones.
+ * Errors are reported as file:line so editors can jump to them.
+ *
+ * Usage: node tools/lint-content.mjs
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { ContentLoader } from '../src/scripts/content-loader.js';
+import { ITEM_KEYS, LOCALES, getItemKey, mergeContent } from '../src/scripts/i18n.js';
+import { UI_STRINGS } from '../src/data/strings.js';
+import { MarkdownUtils } from '../src/scripts/markdown.js';
+import { PeriodUtils } from '../src/scripts/period.js';
+import { VideoEmbed } from '../src/scripts/video-embed.js';
+import { SchemaValidator, formatPath } from './lib/json-schema.mjs';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const CONTENT_FILE = 'src/data/content.js';
+const SCHEMA_FILE = 'src/data/content.schema.json';
+const STRINGS_FILE = 'src/data/strings.js';
+const POSTS_DIR = 'src/data/posts';
+
+/**
+ * Collections whose entries must have unique titles, with the field used as the title
+ */
+const UNIQUE_TITLES = [
+    { path: ['home', 'experience'], key: item => `${item.title} @ ${item.company}` },
+    { path: ['home', 'education'], key: item => `${item.degree} @ ${item.institution}` },
+    { path: ['home', 'hackathons'], key: item => item.title },
+    { path: ['home', 'grants'], key: item => item.title },
+    { path: ['blogs', 'articles'], key: item => item.title },
+    { path: ['projects', 'items'], key: item => item.title },
+    { path: ['projects', 'items'], key: item => item.id, label: 'id' },
+    { path: ['misc', 'thoughts'], key: item => item.title },
+    { path: ['navigation'], key: item => item.page, label: 'page' }
+];
+
+/**
+ * Map property paths in an object literal to the line they start on
+ * Tokenizes the source (skipping comments and strings) and walks the literal
+ * assigned to `name`, recording the line of every key and array item.
+ */
+class SourceLocator {
+    /**
+     * @param {string} source - JavaScript source
+     * @param {string} name - Name of the exported constant
+     */
+    constructor(source, name) {
+        this.lines = new Map();
+        this.init(source, name);
+    }
+
+    /**
+     * Tokenize the source and index the literal
+     * @param {string} source - JavaScript source
+     * @param {string} name - Name of the exported constant
+     */
+    init(source, name) {
+        const start = source.search(new RegExp(`\\b${name}\\s*=\\s*\\{`));
+        if (start === -1) {
+            return;
+        }
+
+        this.tokens = this.tokenize(source, source.indexOf('{', start));
+        this.position = 0;
+        this.readValue([]);
+    }
+
+    /**
+     * Split source into punctuation, string and word tokens with line numbers
+     * @param {string} source - JavaScript source
+     * @param {number} offset - Index to start at
+     * @returns {Array<{type: string, value: string, line: number}>} Tokens
+     */
+    tokenize(source, offset) {
+        const tokens = [];
+        let line = source.slice(0, offset).split('\n').length;
+        let i = offset;
+
+        while (i < source.length) {
+            const char = source[i];
+
+            if (char === '\n') {
+                line++;
+                i++;
+            } else if (/\s/.test(char)) {
+                i++;
+            } else if (source.startsWith('//', i)) {
+                i = source.indexOf('\n', i);
+                if (i === -1) break;
+            } else if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                line += source.slice(i, end).split('\n').length - 1;
+                i = end + 2;
+            } else if (char === '"' || char === "'" || char === '`') {
+                let end = i + 1;
+                while (end < source.length && source[end] !== char) {
+                    end += source[end] === '\\' ? 2 : 1;
+                }
+                const raw = source.slice(i + 1, end);
+                tokens.push({ type: 'string', value: raw, line });
+                line += raw.split('\n').length - 1;
+                i = end + 1;
+            } else if ('{}[],:'.includes(char)) {
+                tokens.push({ type: char, value: char, line });
+                i++;
+            } else {
+                const word = source.slice(i).match(/^[^\s{}[\],:'"`]+/)[0];
+                tokens.push({ type: 'word', value: word, line });
+                i += word.length;
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Read one value starting at the current token and index its children
+     * @param {Array<string|number>} path - Path of the value
+     */
+    readValue(path) {
+        const token = this.tokens[this.position];
+        if (!token) return;
+
+        if (!this.lines.has(formatPath(path))) {
+            this.lines.set(formatPath(path), token.line);
+        }
+
+        if (token.type === '{') {
+            this.position++;
+            while (this.tokens[this.position] && this.tokens[this.position].type !== '}') {
+                const key = this.tokens[this.position];
+                this.lines.set(formatPath([...path, key.value]), key.line);
+                this.position += 2; // key and ':'
+                this.readValue([...path, key.value]);
+                if (this.tokens[this.position]?.type === ',') this.position++;
+            }
+            this.position++;
+        } else if (token.type === '[') {
+            this.position++;
+            let index = 0;
+            while (this.tokens[this.position] && this.tokens[this.position].type !== ']') {
+                this.readValue([...path, index++]);
+                if (this.tokens[this.position]?.type === ',') this.position++;
+            }
+            this.position++;
+        } else {
+            // Scalars, possibly several tokens such as a function call; skip to the next separator
+            while (this.tokens[this.position] && !',}]'.includes(this.tokens[this.position].type)) {
+                this.position++;
+            }
+        }
+    }
+
+    /**
+     * Get the line of a path, falling back to its nearest indexed ancestor
+     * @param {Array<string|number>} path - Property path
+     * @returns {number} Line number (1 if nothing matched)
+     */
+    lineOf(path) {
+        for (let length = path.length; length >= 0; length--) {
+            const line = this.lines.get(formatPath(path.slice(0, length)));
+            if (line) return line;
+        }
+        return 1;
+    }
+}
+
+/**
+ * Read a value at a path
+ * @param {Object} data - Root object
+ * @param {Array<string|number>} path - Property path
+ * @returns {*} Value or undefined
+ */
+function getAt(data, path) {
+    return path.reduce((node, key) => (node == null ? undefined : node[key]), data);
+}
+
+/**
+ * Check that a YYYY-MM-DD string is a real calendar date
+ * @param {string} value - Date string
+ * @returns {boolean} True if the date exists
+ */
+function isCalendarDate(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Find every string under a path stored in a given field
+ * @param {*} value - Value
+ * @param {string} field - Field name (e.g. 'date', 'period')
+ * @param {Array<string|number>} path - Path of the value
+ * @returns {Array<{path: Array<string|number>, value: string}>} Values
+ */
+function collectField(value, field, path = []) {
+    if (Array.isArray(value)) {
+        return value.flatMap((item, index) => collectField(item, field, [...path, index]));
+    }
+    if (value && typeof value === 'object') {
+        return Object.entries(value).flatMap(([key, item]) => collectField(item, field, [...path, key]));
+    }
+    return path[path.length - 1] === field && typeof value === 'string' ? [{ path, value }] : [];
+}
+
+/**
+ * Check CONTENT_DATA for problems the schema can't express
+ * @param {Object} data - CONTENT_DATA
+ * @returns {Array<{path: Array<string|number>, message: string}>} Errors
+ */
+function checkContent(data) {
+    const errors = [];
+
+    collectField(data, 'date')
+        .filter(({ value }) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isCalendarDate(value))
+        .forEach(({ path, value }) => errors.push({ path, message: `"${value}" is not a real date` }));
+
+    collectField(data, 'period').forEach(({ path, value }) => {
+        const period = PeriodUtils.parse(value);
+        if (!period) {
+            errors.push({ path, message: `"${value}" can't be read as a period` });
+        } else if (period.end && PeriodUtils.toSortKey(period.end) < PeriodUtils.toSortKey(period.start)) {
+            errors.push({ path, message: `"${value}" ends before it starts` });
+        }
+    });
+
+    UNIQUE_TITLES.forEach(({ path, key, label = 'title' }) => {
+        const items = getAt(data, path);
+        if (!Array.isArray(items)) return;
+
+        const seen = new Map();
+        items.forEach((item, index) => {
+            const value = item && key(item);
+            if (value === undefined) return;
+
+            const normalized = String(value).trim().toLowerCase();
+            if (seen.has(normalized)) {
+                errors.push({
+                    path: [...path, index],
+                    message: `duplicate ${label} "${value}" (first used at ${formatPath([...path, seen.get(normalized)])})`
+                });
+            } else {
+                seen.set(normalized, index);
+            }
+        });
+    });
+
+    (data.navigation || []).forEach((entry, index) => {
+        const path = ['navigation', index];
+
+        if (entry.renderer && typeof ContentLoader.prototype[entry.renderer] !== 'function') {
+            errors.push({ path: [...path, 'renderer'], message: `page "${entry.page}" uses unknown renderer "${entry.renderer}"` });
+        }
+        if (entry.dataKey && !(entry.dataKey in data)) {
+            errors.push({ path: [...path, 'dataKey'], message: `page "${entry.page}" points to missing CONTENT_DATA.${entry.dataKey}` });
+        }
+        (entry.routes || []).forEach((route, routeIndex) => {
+            const routePath = [...path, 'routes', routeIndex];
+            if (route.path && route.path.split('/')[0] !== entry.page) {
+                errors.push({ path: [...routePath, 'path'], message: `route "${route.path}" does not start with page "${entry.page}"` });
+            }
+            if (route.renderer && typeof ContentLoader.prototype[route.renderer] !== 'function') {
+                errors.push({ path: [...routePath, 'renderer'], message: `route "${route.path}" uses unknown renderer "${route.renderer}"` });
+            }
+        });
+    });
+
+    ((data.misc && data.misc.thoughts) || []).forEach((talk, index) => {
+        const path = ['misc', 'thoughts', index];
+        const duration = talk.duration ? VideoEmbed.parseTimestamp(talk.duration) : Infinity;
+        let previous = -1;
+
+        if (talk.chapters && !talk.video) {
+            errors.push({ path: [...path, 'chapters'], message: `talk "${talk.title}" has chapters but no video to seek` });
+        }
+        (talk.chapters || []).forEach((chapter, chapterIndex) => {
+            const seconds = VideoEmbed.parseTimestamp(chapter.time);
+            if (seconds === null) return;
+
+            const chapterPath = [...path, 'chapters', chapterIndex, 'time'];
+            if (seconds <= previous) {
+                errors.push({ path: chapterPath, message: `chapter "${chapter.title}" at ${chapter.time} is not after the previous chapter` });
+            }
+            if (seconds >= duration) {
+                errors.push({ path: chapterPath, message: `chapter "${chapter.title}" at ${chapter.time} is past the end of the talk (${talk.duration})` });
+            }
+            previous = seconds;
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Lint local Markdown posts listed in CONTENT_DATA.blogs.posts
+ * @param {SchemaValidator} validator - Validator for the post front matter
+ * @param {SourceLocator} locator - Locator for content.js
+ * @returns {Promise<string[]>} Formatted errors
+ */
+async function lintPosts(validator, locator) {
+    const slugs = CONTENT_DATA.blogs.posts || [];
+    const titles = new Map(CONTENT_DATA.blogs.articles.map(article => [article.title.toLowerCase(), 'an article']));
+
+    const results = await Promise.all(slugs.map(async (slug, index) => {
+        const file = path.join(POSTS_DIR, `${slug}.md`);
+        let source;
+        try {
+            source = await readFile(path.join(ROOT_DIR, file), 'utf8');
+        } catch (error) {
+            return [`${CONTENT_FILE}:${locator.lineOf(['blogs', 'posts', index])}: blogs.posts[${index}]: no post file ${file}`];
+        }
+
+        const { attributes } = MarkdownUtils.parseFrontMatter(source);
+        const lines = source.split(/\r?\n/);
+        const lineOf = key => Math.max(1, lines.findIndex(line => line.startsWith(`${key}:`)) + 1);
+
+        const errors = validator.validate(attributes, validator.resolve('#/$defs/post'));
+        if (typeof attributes.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(attributes.date) && !isCalendarDate(attributes.date)) {
+            errors.push({ path: ['date'], message: `"${attributes.date}" is not a real date` });
+        }
+
+        const title = String(attributes.title || '').toLowerCase();
+        if (titles.has(title)) {
+            errors.push({ path: ['title'], message: `duplicate title "${attributes.title}" (also used by ${titles.get(title)})` });
+        }
+        titles.set(title, file);
+
+        return errors.map(error => `${file}:${lineOf(error.path[0])}: ${formatPath(error.path)}: ${error.message}`);
+    }));
+
+    return results.flat();
+}
+
+/**
+ * Find list overrides that don't match an item of the content they merge over, or that
+ * list items by position instead of by key
+ * @param {*} base - Content
+ * @param {*} overrides - Localized overrides
+ * @param {Array<string|number>} [path] - Path of the values
+ * @returns {Array<{path: Array, message: string}>} Errors
+ */
+function checkOverrideShape(base, overrides, path = []) {
+    if (Array.isArray(base) && base.some(item => getItemKey(item) !== null)) {
+        if (Array.isArray(overrides)) {
+            return [{ path, message: `lists items by position; key them by ${ITEM_KEYS.join(', ')} (see mergeContent)` }];
+        }
+        const items = new Map(base.map(item => [getItemKey(item), item]));
+        return Object.entries(overrides || {}).flatMap(([key, value]) => (items.has(key)
+            ? checkOverrideShape(items.get(key), value, [...path, key])
+            : [{ path: [...path, key], message: `matches no item in CONTENT_DATA (items are keyed by ${ITEM_KEYS.join(', ')})` }]));
+    }
+    if (overrides && typeof overrides === 'object' && !Array.isArray(overrides)) {
+        return Object.entries(overrides).flatMap(([key, value]) => checkOverrideShape(base?.[key], value, [...path, key]));
+    }
+    return [];
+}
+
+/**
+ * Translate a path into merged content to the path of its override, replacing list indexes
+ * with item keys (['projects', 'items', 1] → ['projects', 'items', 'reth'])
+ * @param {Object} base - Content the overrides merge over
+ * @param {Array<string|number>} path - Path into the merged content
+ * @returns {Array<string|number>} Path into the overrides
+ */
+function toOverridePath(base, path) {
+    let node = base;
+    return path.map(key => {
+        const itemKey = Array.isArray(node) ? getItemKey(node[key]) : null;
+        node = node?.[key];
+        return itemKey ?? key;
+    });
+}
+
+/**
+ * Read a source file for a locator, treating a missing file as empty
+ * @param {string} file - Path relative to the repository root
+ * @returns {Promise<string>} Source
+ */
+function readSource(file) {
+    return readFile(path.join(ROOT_DIR, file), 'utf8').catch(() => '');
+}
+
+/**
+ * Lint every non-default locale: its merged content and its UI strings
+ * Content errors point into the locale's overrides (src/data/content.<id>.js, exporting
+ * CONTENT_DATA_<ID>) when the value came from there, and into content.js otherwise
+ * @param {SchemaValidator} validator - Validator for the content schema
+ * @param {SourceLocator} locator - Locator for content.js
+ * @returns {Promise<string[]>} Formatted errors
+ */
+async function lintLocales(validator, locator) {
+    const [defaultLocale, ...locales] = LOCALES;
+    const knownKeys = new Set(Object.keys(UI_STRINGS[defaultLocale.id]));
+    const stringsLocator = new SourceLocator(await readSource(STRINGS_FILE), 'UI_STRINGS');
+
+    const results = await Promise.all(locales.map(async locale => {
+        const file = `src/data/content.${locale.id}.js`;
+        const localeLocator = new SourceLocator(await readSource(file), `CONTENT_DATA_${locale.id.toUpperCase()}`);
+        const locate = errorPath => {
+            const overridePath = toOverridePath(CONTENT_DATA, errorPath);
+            return getAt(locale.content, overridePath) !== undefined
+                ? { file, line: localeLocator.lineOf(overridePath) }
+                : { file: CONTENT_FILE, line: locator.lineOf(errorPath) };
+        };
+
+        const merged = mergeContent(CONTENT_DATA, locale.content);
+        const contentErrors = [
+            ...checkOverrideShape(CONTENT_DATA, locale.content),
+            ...validator.validate(merged),
+            ...checkContent(merged)
+        ]
+            .map(error => ({ ...error, ...locate(error.path) }))
+            .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line)
+            .map(error => `${error.file}:${error.line}: locale ${locale.id}: ${formatPath(error.path)}: ${error.message}`);
+
+        const stringErrors = Object.entries(UI_STRINGS[locale.id] || {}).flatMap(([key, value]) => {
+            const where = `${STRINGS_FILE}:${stringsLocator.lineOf([locale.id, key])}: locale ${locale.id}`;
+            if (!knownKeys.has(key)) {
+                return [`${where}: string "${key}" isn't an English string key`];
+            }
+            if (value && typeof value === 'object' && !('other' in value)) {
+                return [`${where}: plural string "${key}" has no "other" form`];
+            }
+            return [];
+        });
+
+        return [...contentErrors, ...stringErrors];
+    }));
+
+    return results.flat();
+}
+
+/**
+ * Run every check and report errors
+ */
+async function main() {
+    const [schema, source] = await Promise.all([
+        readFile(path.join(ROOT_DIR, SCHEMA_FILE), 'utf8').then(JSON.parse),
+        readFile(path.join(ROOT_DIR, CONTENT_FILE), 'utf8')
+    ]);
+
+    const validator = new SchemaValidator(schema);
+    const locator = new SourceLocator(source, 'CONTENT_DATA');
+
+    const contentErrors = [...validator.validate(CONTENT_DATA), ...checkContent(CONTENT_DATA)]
+        .map(error => ({ ...error, line: locator.lineOf(error.path) }))
+        .sort((a, b) => a.line - b.line)
+        .map(error => `${CONTENT_FILE}:${error.line}: ${formatPath(error.path)}: ${error.message}`);
+
+    const errors = [...contentErrors, ...await lintPosts(validator, locator), ...await lintLocales(validator, locator)];
+
+    if (errors.length > 0) {
+        errors.forEach(error => console.error(error));
+        console.error(`\n${errors.length} content error${errors.length !== 1 ? 's' : ''}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.log('Content OK');
+}
+
+main().catch(error => {
+    console.error('Failed to lint content:', error.message);
+    process.exit(1);
+});
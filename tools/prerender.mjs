@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Prerender - Renders every route with the app's own renderers into static HTML
+ * Writes dist/<route>/index.html (home is dist/index.html) plus dist/404.html, and copies
+ * the assets the pages load. The SPA hydrates the prerendered content on load.
+ * Pages are rendered in the default locale; hreflang links point at ?lang= for the others,
+ * which the SPA renders on load instead of hydrating.
+ *
+ * Usage: node tools/prerender.mjs [--site-url https://example.com] [--out-dir dist]
+ */
+
+import { cp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { CONTENT_DATA } from '../src/data/content.js';
+import { pageRegistry } from '../src/scripts/page-registry.js';
+import { Router } from '../src/scripts/router.js';
+import { ContentLoader } from '../src/scripts/content-loader.js';
+import { NavigationManager } from '../src/scripts/navigation-manager.js';
+import { escapeHtml } from '../src/scripts/html.js';
+import { LOCALES, i18n } from '../src/scripts/i18n.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Files and directories copied next to the prerendered pages
+ */
+const STATIC_ASSETS = ['src', 'sw.js', 'asset.png', 'feed.xml', 'rss.xml', 'feed.json', 'resume.json'];
+
+/**
+ * Parameter values for each nested route pattern
+ */
+const ROUTE_PARAMS = {
+    'blogs/:slug': loader => [...loader.posts.keys()],
+    'projects/:id': () => CONTENT_DATA.projects.items.map(project => project.id).filter(Boolean),
+    'tags/:tag': loader => [...new Set(loader.getTaggedItems().flatMap(item => item.tags))]
+};
+
+/**
+ * Parse command line options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{siteUrl: string, outDir: string}} Options
+ */
+function parseArgs(argv) {
+    const options = {
+        siteUrl: CONTENT_DATA.site.url,
+        outDir: path.join(ROOT_DIR, 'dist')
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--site-url') {
+            options.siteUrl = argv[++i];
+        } else if (argv[i] === '--out-dir') {
+            options.outDir = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    options.siteUrl = (options.siteUrl || '').replace(/\/+$/, '');
+    return options;
+}
+
+/**
+ * List every route to prerender
+ * @param {ContentLoader} loader - Loader with posts loaded
+ * @returns {string[]} Routes without the leading '#'
+ */
+function getRoutes(loader) {
+    return pageRegistry.getAll().flatMap(page => [
+        page.id,
+        ...page.routes.flatMap(route => {
+            const getParams = ROUTE_PARAMS[route.path];
+            if (!getParams) {
+                console.warn(`No parameter source for route ${route.path}; skipping`);
+                return [];
+            }
+
+            const [name] = route.path.match(/:(\w+)/).slice(1);
+            return getParams(loader).map(value => route.path.replace(`:${name}`, encodeURIComponent(value)));
+        })
+    ]);
+}
+
+/**
+ * Get the output directory of a route, relative to the site root
+ * @param {string} route - Route path without query
+ * @returns {string} Directory ('' for home)
+ */
+function getRouteDir(route) {
+    return route === 'home' ? '' : route.split('/').map(decodeURIComponent).join('/');
+}
+
+/**
+ * Rewrite in-app '#route' links to the prerendered pages, so links work without JavaScript,
+ * and point site-relative './' links at the site root
+ * @param {string} markup - Rendered HTML
+ * @param {Router} router - Router used to tell routes from in-page anchors
+ * @param {string} prefix - Relative path from the page to the site root
+ * @returns {string} HTML with static links
+ */
+function rewriteLinks(markup, router, prefix) {
+    return markup
+        .replace(/(href|src)="\.\//g, (match, attr) => `${attr}="${prefix}`)
+        .replace(/href="#([^"]+)"/g, (match, target) => {
+            const [routePath, query] = target.replace(/&amp;/g, '&').split('?');
+            if (!router.match(routePath)) {
+                return match;
+            }
+
+            const dir = routePath === 'home' ? '' : `${routePath}/`;
+            const search = query ? `?${query}` : '';
+            return `href="${escapeHtml(`${prefix}${dir}${search}`)}"`;
+        });
+}
+
+/**
+ * Fill the index.html template for one route
+ * @param {string} template - index.html source
+ * @param {Object} page - Page data
+ * @param {string} page.route - Route the SPA hydrates
+ * @param {string} page.content - Rendered content
+ * @param {string} page.navigation - Rendered navigation items
+ * @param {{title: string, description: string}} page.meta - Title and description
+ * @param {string} page.prefix - Relative path from the page to the site root
+ * @param {string|null} page.canonical - Canonical URL
+ * @returns {string} HTML document
+ */
+function renderDocument(template, { route, content, navigation, meta, prefix, canonical }) {
+    const canonicalLink = canonical ? `\n    <link rel="canonical" href="${escapeHtml(canonical)}">` : '';
+    const alternateLinks = canonical
+        ? [...LOCALES.map(locale => [locale.lang, `${canonical}?lang=${locale.id}`]), ['x-default', canonical]]
+            .map(([hreflang, href]) => `\n    <link rel="alternate" hreflang="${hreflang}" href="${escapeHtml(href)}">`)
+            .join('')
+        : '';
+
+    // Replacement functions keep '$' in content from being read as a replacement pattern
+    return template
+        .replace(/<html lang="[^"]*">/, () => `<html lang="${i18n.lang}">`)
+        .replace(/<title>[\s\S]*?<\/title>/, () => `<title>${escapeHtml(meta.title)}</title>`)
+        .replace(/<meta name="description" content="[^"]*">/,
+            () => `<meta name="description" content="${escapeHtml(meta.description)}">${canonicalLink}${alternateLinks}`)
+        .replace(/(href|src)="\.\//g, (match, attr) => `${attr}="${prefix}`)
+        .replace(/<ul class="nav-list">[\s\S]*?<\/ul>/,
+            () => `<ul class="nav-list" data-prerendered>${navigation}</ul>`)
+        .replace(/<div class="content-container">[\s\S]*?<\/main>/,
+            () => `<div class="content-container" data-route="${escapeHtml(route)}" data-locale="${i18n.locale}">${content}</div>\n            </main>`);
+}
+
+/**
+ * Prerender every route and copy assets
+ */
+async function main() {
+    const { siteUrl, outDir } = parseArgs(process.argv.slice(2));
+    const template = await readFile(path.join(ROOT_DIR, 'index.html'), 'utf8');
+
+    const loader = new ContentLoader(pageRegistry, {
+        loadPostSource: slug => readFile(path.join(ROOT_DIR, 'src/data/posts', `${slug}.md`), 'utf8')
+    });
+    loader.init();
+    await loader.postsReady;
+
+    const router = pageRegistry.registerRoutes(new Router());
+
+    await rm(outDir, { recursive: true, force: true });
+    await mkdir(outDir, { recursive: true });
+
+    const routes = getRoutes(loader);
+    for (const route of routes) {
+        const match = router.match(route);
+        const dir = getRouteDir(route);
+        const prefix = dir ? '../'.repeat(dir.split('/').length) : './';
+
+        const html = renderDocument(template, {
+            route,
+            content: rewriteLinks(String(loader.renderPage(match.page, match)), router, prefix),
+            navigation: rewriteLinks(String(NavigationManager.renderNavigationItems(pageRegistry, match.page)), router, prefix),
+            meta: loader.getRouteMeta(match),
+            prefix,
+            canonical: siteUrl ? `${siteUrl}/${dir ? `${route}/` : ''}` : null
+        });
+
+        await mkdir(path.join(outDir, dir), { recursive: true });
+        await writeFile(path.join(outDir, dir, 'index.html'), html, 'utf8');
+    }
+
+    // Served by static hosts for unknown paths; absolute asset paths since it can appear at any depth
+    // '404' matches no route, so the SPA keeps showing the not found page
+    const notFound = renderDocument(template, {
+        route: '404',
+        content: rewriteLinks(String(loader.renderNotFoundContent()), router, '/'),
+        navigation: rewriteLinks(String(NavigationManager.renderNavigationItems(pageRegistry)), router, '/'),
+        meta: loader.getRouteMeta(null),
+        prefix: '/',
+        canonical: null
+    });
+    await writeFile(path.join(outDir, '404.html'), notFound, 'utf8');
+
+    await Promise.all(STATIC_ASSETS.map(asset => {
+        return cp(path.join(ROOT_DIR, asset), path.join(outDir, asset), { recursive: true })
+            .catch(error => console.warn(`Skipping asset ${asset}: ${error.message}`));
+    }));
+
+    console.log(`Prerendered ${routes.length} routes to ${outDir}`);
+}
+
+main().catch(error => {
+    console.error('Failed to prerender:', error);
+    process.exit(1);
+});